@@ -0,0 +1,22 @@
+// Search response cache configuration
+// SEARCH_CACHE_STORE=mongo additionally persists entries in MongoDB so they
+// survive restarts and are shared between instances; memory is always used.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+module.exports = {
+  enabled: process.env.SEARCH_CACHE_DISABLED !== 'true',
+  store: (process.env.SEARCH_CACHE_STORE || 'memory').toLowerCase(),
+  maxEntries: parseInt(process.env.SEARCH_CACHE_MAX) || 300,
+
+  // How long a result set is kept, keyed by the provider that produced it
+  ttl: {
+    spoonacular: 6 * HOUR,
+    gemini: 24 * HOUR,
+    cohere: 24 * HOUR,
+    openrouter: 24 * HOUR,
+    local: 10 * MINUTE,
+    default: HOUR
+  }
+};
@@ -0,0 +1,86 @@
+// Recipe provider configuration
+// RECIPE_PROVIDERS sets the fallback order (comma separated provider names),
+// RECIPE_PROVIDERS_DISABLED switches individual providers off without touching the order.
+// SEARCH_DEADLINE_MS caps the whole search; SEARCH_HEDGE_DELAY_MS is how long a provider
+// gets before the next one in line is started alongside it (0 starts them all at once).
+// The frontend waits SEARCH_TIMEOUT (20s, frontend/src/api/config.js) for a search,
+// so keep the deadline well under that: local results only come after it.
+// CIRCUIT_FAILURE_THRESHOLD failures in a row take a provider or model out of rotation
+// for CIRCUIT_COOLDOWN_MS before it gets a single trial request again.
+// LOCAL_RECIPES_DIRS adds directories of recipe packs (comma separated) to the
+// bundled local catalogue in data/recipes.
+
+const path = require('path');
+
+const DEFAULT_ORDER = ['spoonacular', 'gemini', 'cohere', 'openrouter', 'local'];
+
+const parseList = (value) => {
+  if (!value) return null;
+  const list = value.split(',').map(item => item.trim().toLowerCase()).filter(item => item);
+  return list.length > 0 ? list : null;
+};
+
+module.exports = {
+  order: parseList(process.env.RECIPE_PROVIDERS) || DEFAULT_ORDER,
+  explicitOrder: !!parseList(process.env.RECIPE_PROVIDERS),
+  disabled: parseList(process.env.RECIPE_PROVIDERS_DISABLED) || [],
+  deadlineMs: parseInt(process.env.SEARCH_DEADLINE_MS) || 12000,
+  hedgeDelayMs: process.env.SEARCH_HEDGE_DELAY_MS !== undefined ? parseInt(process.env.SEARCH_HEDGE_DELAY_MS) || 0 : 2000,
+  // AI providers generate up to `maxRecipes` per search (never more than the
+  // requested number), `recipesPerCall` at a time in parallel requests.
+  // maxRecipes is a cost limit: every recipe is ~450 output tokens on a paid
+  // API, so a 15-recipe search would cost 2.5x a 6-recipe one. Searches that
+  // ask for more say so in their message. It can't go above 15 (one style each).
+  ai: {
+    maxRecipes: parseInt(process.env.AI_MAX_RECIPES) || 6,
+    recipesPerCall: parseInt(process.env.AI_RECIPES_PER_CALL) || 2
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS) || 5 * 60 * 1000
+  },
+
+  // Per-provider settings, keyed by provider name
+  settings: {
+    spoonacular: {
+      apiKey: process.env.SPOONACULAR_API_KEY,
+      baseUrl: 'https://api.spoonacular.com',
+      timeout: 8000,
+      number: 5,
+      detailsTtl: 24 * 60 * 60 * 1000
+    },
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      timeout: 10000,
+      models: parseList(process.env.GEMINI_MODELS) || [
+        'gemini-1.5-flash',
+        'gemini-1.5-pro',
+        'gemini-2.0-flash',
+        'gemini-2.0-flash-exp'
+      ]
+    },
+    cohere: {
+      apiKey: process.env.COHERE_API_KEY,
+      timeout: 10000,
+      models: parseList(process.env.COHERE_MODELS) || [
+        'command-a-03-2025',      // Most performant (newest)
+        'command-r7b-12-2024',    // Small & fast
+        'command-r-plus-08-2024', // Updated R+
+        'command-r-08-2024'       // Updated R
+      ]
+    },
+    openrouter: {
+      apiKey: process.env.OPEN_ROUTER_API_KEY,
+      timeout: 10000,
+      model: process.env.OPEN_ROUTER_MODEL || 'mistralai/mistral-7b-instruct:free'
+    },
+    local: {
+      recipeDirs: [
+        path.join(__dirname, '..', 'data', 'recipes'),
+        ...(process.env.LOCAL_RECIPES_DIRS || '').split(',').map(dir => dir.trim()).filter(dir => dir)
+      ],
+      // Share of the searched ingredients a recipe has to use to be a result
+      minShare: 0.5
+    }
+  }
+};
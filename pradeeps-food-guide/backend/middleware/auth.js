@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const { verifyToken } = require('../utils/token');
+
+// Verifies the Bearer token issued by /api/auth and loads the user onto req.user
+const authenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(401).json({
+      success: false,
+      error: 'Invalid token'
+    });
+  }
+};
+
+module.exports = authenticate;
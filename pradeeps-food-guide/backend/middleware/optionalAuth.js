@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyToken } = require('../utils/token');
+
+// Like authenticate, but for routes anyone can use: a valid Bearer token loads
+// the user onto req.user, anything else (no token, bad token, no database)
+// just carries on anonymously
+const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token || mongoose.connection.readyState !== 1) return next();
+
+  try {
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.userId);
+    if (user) req.user = user;
+  } catch (error) {
+    // Expired or invalid tokens are treated as signed out here
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
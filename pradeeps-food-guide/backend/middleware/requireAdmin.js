@@ -0,0 +1,14 @@
+// For routes behind authenticate: only admins get through. Existing accounts
+// are made admins with `npm run set-role` (scripts/setRole.js).
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Account data lives only in MongoDB. When the connection is down we answer
+// 503 instead of pretending to save something that would be lost.
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Account service is temporarily unavailable (database not connected)',
+      degraded: true
+    });
+  }
+
+  next();
+};
+
+module.exports = requireDatabase;
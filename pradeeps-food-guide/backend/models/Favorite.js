@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Stored as a string so numeric provider ids and generated ids share one field
+  recipeId: {
+    type: String,
+    required: true
+  },
+  // Snapshot of the recipe card at the time it was saved
+  recipe: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { timestamps: { createdAt: 'addedAt', updatedAt: false } });
+
+favoriteSchema.index({ user: 1, recipeId: 1 }, { unique: true });
+
+favoriteSchema.methods.toPublicJSON = function () {
+  return {
+    ...this.recipe,
+    addedAt: this.addedAt.toISOString()
+  };
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A recipe produced by one of the AI providers, kept so the detail view,
+// favorites and meal plans can come back to exactly what was generated
+const generatedRecipeSchema = new mongoose.Schema({
+  recipeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: String,
+  prepTime: Number,
+  servings: Number,
+  // Ingredient lines with quantities, e.g. "chicken - 200g"
+  ingredients: [String],
+  instructions: [String],
+  tips: String,
+  provider: {
+    type: String,
+    required: true
+  },
+  model: String,
+  // What the user asked for when this recipe was generated
+  prompt: {
+    ingredients: [String],
+    filters: [String]
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('GeneratedRecipe', generatedRecipeSchema);
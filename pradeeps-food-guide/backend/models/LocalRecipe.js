@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// An admin's change to the local recipe catalogue. Recipes added through the
+// admin API live here; a bundled recipe (data/recipes) with the same id is
+// replaced by this version, or hidden when `deleted` is set.
+const localRecipeSchema = new mongoose.Schema({
+  recipeId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  title: String,
+  description: String,
+  image: String,
+  prepTime: Number,
+  servings: Number,
+  // Ingredient lines with quantities, e.g. "chicken - 200g"
+  ingredients: [String],
+  instructions: [String],
+  tips: String,
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('LocalRecipe', localRecipeSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const mealPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  week: {
+    type: String,
+    required: true
+  },
+  // { Monday: { Breakfast: recipe, ... }, ... } as sent by the planner
+  meals: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { timestamps: { createdAt: 'savedAt', updatedAt: 'updatedAt' } });
+
+mealPlanSchema.index({ user: 1, week: 1 }, { unique: true });
+
+mealPlanSchema.methods.toPublicJSON = function () {
+  return {
+    meals: this.meals,
+    savedAt: this.savedAt.toISOString(),
+    updatedAt: this.updatedAt.toISOString()
+  };
+};
+
+module.exports = mongoose.model('MealPlan', mealPlanSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const searchCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: String,
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  cachedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // MongoDB removes the document once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+module.exports = mongoose.model('SearchCache', searchCacheSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Admins can curate the local recipe catalogue; set with scripts/setRole.js
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Ingredients the user always has; unset means the default staples
+  staples: {
+    type: [String],
+    default: undefined
+  }
+}, { timestamps: true });
+
+// Shape returned to clients - never includes the password hash
+userSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: this.role || 'user'
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
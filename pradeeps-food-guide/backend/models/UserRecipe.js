@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// One ingredient as the editor shows it: "2 cups rice, rinsed" is
+// { amount: 2, unit: 'cup', name: 'rice', preparation: 'rinsed' }.
+// amount is null for "salt, to taste".
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  amountMax: {
+    type: Number,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: null
+  },
+  preparation: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  // Optional timer for the step
+  minutes: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// One saved version: the full recipe (so it can be restored) and what changed
+// since the version before it (see utils/recipeDiff.js)
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  note: String,
+  changes: [mongoose.Schema.Types.Mixed],
+  recipe: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A recipe a user wrote themselves, or their version of someone else's; only they can see it
+const userRecipeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  image: String,
+  prepTime: Number,
+  servings: Number,
+  ingredients: [ingredientSchema],
+  instructions: [stepSchema],
+  tips: String,
+  // The recipe this one was forked from, as it was called at the time
+  forkedFrom: {
+    type: new mongoose.Schema({
+      id: String,
+      source: String,
+      title: String
+    }, { _id: false }),
+    default: undefined
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Oldest first, the last entry is the current version
+  history: [versionSchema]
+}, { timestamps: true });
+
+userRecipeSchema.methods.toPublicJSON = function () {
+  return {
+    id: `user-${this._id.toString()}`,
+    title: this.title,
+    description: this.description || '',
+    image: this.image || null,
+    prepTime: this.prepTime,
+    servings: this.servings,
+    ingredients: this.ingredients.map(ing => ({
+      name: ing.name,
+      amount: ing.amount,
+      amountMax: ing.amountMax,
+      unit: ing.unit,
+      preparation: ing.preparation
+    })),
+    instructions: this.instructions.map(step => ({ text: step.text, minutes: step.minutes })),
+    tips: this.tips || '',
+    forkedFrom: this.forkedFrom || null,
+    version: this.version || 1,
+    createdAt: this.createdAt.toISOString(),
+    updatedAt: this.updatedAt.toISOString()
+  };
+};
+
+module.exports = mongoose.model('UserRecipe', userRecipeSchema);
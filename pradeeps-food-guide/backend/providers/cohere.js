@@ -0,0 +1,147 @@
+const axios = require('axios');
+const { settings } = require('../config/providers');
+const { MAX_RECIPES, buildRecipePrompt, maxTokensFor, ensureValidRecipes, generateRecipeSet, toSearchResult, toRecipeDetails } = require('../utils/aiRecipe');
+const { saveGeneratedRecipe, findGeneratedRecipe } = require('../services/generatedRecipes');
+const { getCircuit } = require('../utils/circuitBreaker');
+
+const config = settings.cohere;
+
+const isAvailable = () => !!config.apiKey && config.apiKey.length > 20;
+
+const requestCompletion = async (model, prompt, maxTokens, signal) => {
+  const response = await axios.post(
+    'https://api.cohere.com/v1/chat',
+    {
+      model: model,
+      message: prompt,
+      temperature: 0.7,
+      max_tokens: maxTokens
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json',
+        'accept': 'application/json'
+      },
+      timeout: config.timeout,
+      signal
+    }
+  );
+
+  return response.data.text.trim();
+};
+
+// Generate Cohere AI Recipes (FREE), one per requested style - Chat API
+const generateRecipes = async (ingredients, filters, styles, signal) => {
+  try {
+    console.log(`🤖 Generating ${styles.length} Cohere AI recipe${styles.length !== 1 ? 's' : ''} (FREE)...`);
+
+    const prompt = buildRecipePrompt(ingredients, filters, styles);
+    const maxTokens = maxTokensFor(styles.length);
+
+    let text = null;
+    let workingModel = null;
+
+    for (const model of config.models) {
+      // The search was decided without us, don't spend quota on the next model
+      if (signal?.aborted) return [];
+
+      const circuit = getCircuit(`cohere:${model}`);
+      if (!circuit.canRequest()) {
+        console.log(`   Skipping ${model} (circuit ${circuit.state})`);
+        continue;
+      }
+
+      try {
+        console.log(`   Trying Cohere model: ${model}...`);
+
+        text = await requestCompletion(model, prompt, maxTokens, signal);
+
+        circuit.recordSuccess();
+        workingModel = model;
+        console.log(`✅ Cohere ${model} worked!`);
+        break;
+
+      } catch (modelError) {
+        if (signal?.aborted) {
+          circuit.release();
+          return [];
+        }
+        circuit.recordFailure(modelError);
+        console.log(`   ${model} failed: ${modelError.response?.data?.message || modelError.message}`);
+        continue;
+      }
+    }
+
+    if (!text || !workingModel) {
+      console.log('❌ All Cohere models failed');
+      return [];
+    }
+
+    console.log('📝 Cohere AI Response received');
+
+    const recipes = await ensureValidRecipes({
+      label: 'Cohere',
+      prompt,
+      text,
+      complete: (retryPrompt) => requestCompletion(workingModel, retryPrompt, maxTokens, signal)
+    });
+    if (recipes.length === 0) return [];
+
+    console.log(`✅ Cohere validated ${recipes.length} recipe${recipes.length !== 1 ? 's' : ''}`);
+    return recipes.map(recipe => ({
+      ...recipe,
+      source: 'cohere_ai',
+      modelUsed: workingModel,
+      isFree: true
+    }));
+
+  } catch (error) {
+    console.error('❌ Cohere AI generation error:', error.message);
+    if (error.response) {
+      console.error('Cohere API response:', error.response.status, error.response.data?.message);
+    }
+    return [];
+  }
+};
+
+const search = async ({ ingredients, filters = [], number, staples, signal }) => {
+  const aiRecipes = await generateRecipeSet({ number, filters }, styles => generateRecipes(ingredients, filters, styles, signal));
+  if (aiRecipes.length === 0) throw new Error('Cohere did not produce a valid recipe');
+
+  const stored = await Promise.all(aiRecipes.map(aiRecipe => saveGeneratedRecipe(aiRecipe, {
+    provider: 'cohere',
+    model: aiRecipe.modelUsed,
+    ingredients,
+    filters
+  })));
+
+  return stored.map(record => toSearchResult(record, {
+    label: 'Cohere',
+    source: 'cohere_ai',
+    ingredients,
+    staples
+  }));
+};
+
+const getDetails = async (id) => {
+  const stored = await findGeneratedRecipe(id);
+  if (!stored || stored.provider !== 'cohere') return null;
+
+  return toRecipeDetails(stored, { source: 'cohere_ai' });
+};
+
+module.exports = {
+  name: 'cohere',
+  label: 'Cohere AI',
+  source: 'cohere_ai',
+  isAvailable,
+  search,
+  getDetails,
+  health: () => ({
+    configured: isAvailable(),
+    models: config.models.map(model => ({ model, ...getCircuit(`cohere:${model}`).snapshot() }))
+  }),
+  maxRecipes: MAX_RECIPES,
+  message: (count) => `Cohere AI generated ${count} recipe${count !== 1 ? 's' : ''}`
+};
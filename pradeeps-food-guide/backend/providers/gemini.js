@@ -0,0 +1,151 @@
+const axios = require('axios');
+const { settings } = require('../config/providers');
+const { MAX_RECIPES, buildRecipePrompt, maxTokensFor, ensureValidRecipes, generateRecipeSet, toSearchResult, toRecipeDetails } = require('../utils/aiRecipe');
+const { saveGeneratedRecipe, findGeneratedRecipe } = require('../services/generatedRecipes');
+const { getCircuit } = require('../utils/circuitBreaker');
+
+const config = settings.gemini;
+
+const isAvailable = () => !!config.apiKey && config.apiKey.length > 30;
+
+const requestCompletion = async (model, prompt, maxTokens, signal) => {
+  const response = await axios.post(
+    `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent?key=${config.apiKey}`,
+    {
+      contents: [{
+        parts: [{
+          text: prompt
+        }]
+      }],
+      generationConfig: {
+        temperature: 0.7,
+        maxOutputTokens: maxTokens
+      }
+    },
+    {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: config.timeout,
+      signal
+    }
+  );
+
+  // Extract text from Gemini response
+  return response.data.candidates[0].content.parts[0].text.trim();
+};
+
+// Generate Gemini AI Recipes (FREE), one per requested style
+const generateRecipes = async (ingredients, filters, styles, signal) => {
+  try {
+    console.log(`🤖 Generating ${styles.length} Gemini AI recipe${styles.length !== 1 ? 's' : ''} (FREE)...`);
+
+    const prompt = buildRecipePrompt(ingredients, filters, styles);
+    const maxTokens = maxTokensFor(styles.length);
+
+    let text = null;
+    let workingModel = null;
+
+    for (const model of config.models) {
+      // The search was decided without us, don't spend quota on the next model
+      if (signal?.aborted) return [];
+
+      const circuit = getCircuit(`gemini:${model}`);
+      if (!circuit.canRequest()) {
+        console.log(`   Skipping ${model} (circuit ${circuit.state})`);
+        continue;
+      }
+
+      try {
+        console.log(`   Trying model: ${model}...`);
+
+        text = await requestCompletion(model, prompt, maxTokens, signal);
+
+        circuit.recordSuccess();
+        workingModel = model;
+        console.log(`✅ ${model} worked!`);
+        break;
+
+      } catch (modelError) {
+        if (signal?.aborted) {
+          circuit.release();
+          return [];
+        }
+        circuit.recordFailure(modelError);
+        console.log(`   ${model} failed: ${modelError.response?.data?.error?.message || modelError.message}`);
+        continue;
+      }
+    }
+
+    if (!text || !workingModel) {
+      console.log('❌ All Gemini models failed');
+      return [];
+    }
+
+    console.log('📝 Gemini AI Response received');
+
+    const recipes = await ensureValidRecipes({
+      label: 'Gemini',
+      prompt,
+      text,
+      complete: (retryPrompt) => requestCompletion(workingModel, retryPrompt, maxTokens, signal)
+    });
+    if (recipes.length === 0) return [];
+
+    console.log(`✅ Gemini validated ${recipes.length} recipe${recipes.length !== 1 ? 's' : ''}`);
+    return recipes.map(recipe => ({
+      ...recipe,
+      source: 'gemini_ai',
+      modelUsed: workingModel,
+      isFree: true
+    }));
+
+  } catch (error) {
+    console.error('❌ Gemini AI generation error:', error.message);
+    if (error.response) {
+      console.error('Gemini API response:', error.response.status, error.response.data?.error?.message);
+    }
+    return [];
+  }
+};
+
+const search = async ({ ingredients, filters = [], number, staples, signal }) => {
+  const aiRecipes = await generateRecipeSet({ number, filters }, styles => generateRecipes(ingredients, filters, styles, signal));
+  if (aiRecipes.length === 0) throw new Error('Gemini did not produce a valid recipe');
+
+  const stored = await Promise.all(aiRecipes.map(aiRecipe => saveGeneratedRecipe(aiRecipe, {
+    provider: 'gemini',
+    model: aiRecipe.modelUsed,
+    ingredients,
+    filters
+  })));
+
+  return stored.map(record => toSearchResult(record, {
+    label: 'Gemini',
+    source: 'gemini_ai',
+    ingredients,
+    staples
+  }));
+};
+
+const getDetails = async (id) => {
+  const stored = await findGeneratedRecipe(id);
+  if (!stored || stored.provider !== 'gemini') return null;
+
+  return toRecipeDetails(stored, { source: 'gemini_ai' });
+};
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini AI',
+  source: 'gemini_ai',
+  isAvailable,
+  search,
+  getDetails,
+  health: () => ({
+    configured: isAvailable(),
+    models: config.models.map(model => ({ model, ...getCircuit(`gemini:${model}`).snapshot() }))
+  }),
+  maxRecipes: MAX_RECIPES,
+  message: (count) => `Gemini AI (Google) generated ${count} recipe${count !== 1 ? 's' : ''}`
+};
@@ -0,0 +1,286 @@
+// Recipe provider registry
+//
+// Every .js file in this folder (except this one) is a provider module exporting:
+//   name         unique key used in RECIPE_PROVIDERS / RECIPE_PROVIDERS_DISABLED
+//   label        human readable name for logs
+//   source       value reported as `source` in search responses
+//   isAvailable  () => boolean, false when the provider isn't configured
+//                (on top of that every provider gets a circuit breaker here, and
+//                providers with several models keep one per model themselves)
+//   search       async ({ ingredients, filters, number, staples, signal }) => recipe cards ([] when nothing found);
+//                `staples` are the canonical names the user always has (scored as available),
+//                `signal` is an AbortSignal that fires when the search no longer needs the answer
+//   getDetails   async (id, { ingredients, source }) => full recipe, or null if the id isn't theirs
+//   health       () => status object for /api/health
+//   message      optional (count) => user facing summary
+//   maxRecipes   optional, most recipes one search returns however many were asked for
+//   lastResort   optional, keeps the provider at the end of the default order
+//
+// Adding a provider means dropping a new module in here; it joins the chain
+// automatically unless RECIPE_PROVIDERS pins an explicit order.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/providers');
+const { getCircuit } = require('../utils/circuitBreaker');
+
+const loadProviders = () => {
+  const modules = {};
+
+  fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .forEach(file => {
+      const provider = require(path.join(__dirname, file));
+      if (!provider.name || typeof provider.search !== 'function') {
+        console.log(`⚠️  Skipping ${file}: not a recipe provider`);
+        return;
+      }
+      modules[provider.name] = provider;
+    });
+
+  return modules;
+};
+
+const providers = loadProviders();
+
+const resolveOrder = () => {
+  const order = config.order.filter(name => {
+    if (!providers[name]) {
+      console.log(`⚠️  Unknown recipe provider in configuration: ${name}`);
+      return false;
+    }
+    return true;
+  });
+
+  if (!config.explicitOrder) {
+    const unlisted = Object.keys(providers).filter(name => !order.includes(name));
+    const firstLastResort = order.findIndex(name => providers[name].lastResort);
+    order.splice(firstLastResort === -1 ? order.length : firstLastResort, 0, ...unlisted);
+  }
+
+  return order.filter(name => !config.disabled.includes(name));
+};
+
+const chain = resolveOrder().map(name => providers[name]);
+
+console.log(`
+📊 API AVAILABILITY:
+${chain.map(provider => `${provider.isAvailable() ? '✅' : '❌'} ${provider.label}: ${provider.isAvailable() ? 'Available' : 'Unavailable'}`).join('\n')}
+🔄 Fallback order: ${chain.map(provider => provider.label).join(' → ')}
+`);
+
+const getProvider = (name) => providers[name] || null;
+
+const getProviderChain = () => [...chain];
+
+// Race the remote providers under one deadline.
+//
+// Providers start in chain order, each one `hedgeDelayMs` after the previous
+// (or straight away once everything ahead of it has failed), so a slow
+// Spoonacular call doesn't hold the AI providers back. The highest priority
+// provider that answers with recipes wins: a lower one only wins once every
+// provider ahead of it has failed or the deadline is hit. Whatever is still
+// running at that point is aborted through its AbortSignal.
+const raceProviders = (racers, query) => new Promise((resolve) => {
+  const startedAt = Date.now();
+  const states = racers.map(provider => ({
+    provider,
+    circuit: getCircuit(provider.name),
+    status: 'pending',
+    controller: new AbortController(),
+    started: false,
+    hedgeTimer: null
+  }));
+  let deadlineTimer = null;
+  let settled = false;
+
+  const finish = (reason) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(deadlineTimer);
+
+    states.forEach(state => {
+      clearTimeout(state.hedgeTimer);
+      if (state.status !== 'pending') return;
+
+      if (!state.started) {
+        state.status = 'skipped';
+        state.circuit.release();
+      } else {
+        state.status = reason === 'deadline' ? 'timeout' : 'cancelled';
+        state.durationMs = Date.now() - state.startedAt;
+        state.controller.abort();
+        if (state.status === 'timeout') {
+          state.circuit.recordFailure(new Error(`Timed out after ${state.durationMs}ms`));
+        } else {
+          state.circuit.release();
+        }
+        console.log(`⏱️ ${state.provider.label} ${state.status === 'timeout' ? 'timed out' : 'cancelled'} after ${state.durationMs}ms`);
+      }
+    });
+
+    resolve(states);
+  };
+
+  const start = (state) => {
+    if (settled || state.started) return;
+    state.started = true;
+    state.startedAt = Date.now();
+    clearTimeout(state.hedgeTimer);
+
+    Promise.resolve()
+      .then(() => state.provider.search({ ...query, signal: state.controller.signal }))
+      .then(recipes => {
+        if (settled) return;
+        state.recipes = recipes || [];
+        state.status = state.recipes.length > 0 ? 'success' : 'empty';
+        state.circuit.recordSuccess();
+        console.log(state.status === 'success'
+          ? `✅ ${state.provider.label} successful`
+          : `⚠️ ${state.provider.label} returned no recipes`);
+      })
+      .catch(error => {
+        if (settled) return;
+        state.status = 'error';
+        state.error = error.message;
+        state.circuit.recordFailure(error);
+        console.log(`❌ ${state.provider.label} error: ${error.message}`);
+      })
+      .finally(() => {
+        if (settled) return;
+        state.durationMs = Date.now() - state.startedAt;
+        evaluate();
+      });
+  };
+
+  // The first provider (in priority order) that hasn't failed decides what happens next
+  const evaluate = () => {
+    for (const state of states) {
+      if (state.status === 'success') return finish('winner');
+      if (state.status === 'pending') return start(state);
+    }
+    finish('exhausted');
+  };
+
+  states.forEach((state, index) => {
+    state.hedgeTimer = setTimeout(() => start(state), index * config.hedgeDelayMs);
+  });
+  deadlineTimer = setTimeout(() => {
+    console.log(`⏱️ Search deadline of ${config.deadlineMs}ms reached after ${Date.now() - startedAt}ms`);
+    finish('deadline');
+  }, config.deadlineMs);
+
+  if (states.length === 0) finish('exhausted');
+});
+
+const toAttempt = (state) => ({
+  provider: state.provider.name,
+  status: state.status,
+  ...(state.durationMs !== undefined && { durationMs: state.durationMs }),
+  ...(state.error && { error: state.error })
+});
+
+// Run the chain and return the best result set available within the deadline.
+// Last resort providers (local) only run when nobody else came back with recipes.
+const searchRecipes = async (query) => {
+  const circuitOpen = [];
+  const available = chain.filter(provider => {
+    if (!provider.isAvailable()) {
+      console.log(`⚠️ ${provider.label} not available, skipping`);
+      return false;
+    }
+    // Last resort providers are the safety net, they always get their turn
+    if (!provider.lastResort && !getCircuit(provider.name).canRequest()) {
+      console.log(`🔌 ${provider.label} circuit is open, skipping`);
+      circuitOpen.push(provider);
+      return false;
+    }
+    return true;
+  });
+
+  const racers = available.filter(provider => !provider.lastResort);
+  const states = await raceProviders(racers, query);
+
+  for (const provider of available.filter(provider => provider.lastResort)) {
+    const state = { provider, status: 'skipped' };
+    states.push(state);
+    if (states.some(other => other.status === 'success')) continue;
+
+    const startedAt = Date.now();
+    try {
+      state.recipes = (await provider.search(query)) || [];
+      state.status = state.recipes.length > 0 ? 'success' : 'empty';
+      console.log(state.status === 'success'
+        ? `✅ ${provider.label} successful`
+        : `⚠️ ${provider.label} returned no recipes`);
+    } catch (error) {
+      state.status = 'error';
+      state.error = error.message;
+      console.log(`❌ ${provider.label} error: ${error.message}`);
+    }
+    state.durationMs = Date.now() - startedAt;
+  }
+
+  const attempts = chain.map(provider => {
+    const state = states.find(other => other.provider === provider);
+    if (state) return toAttempt(state);
+    return { provider: provider.name, status: circuitOpen.includes(provider) ? 'circuit-open' : 'unavailable' };
+  });
+  const timedOut = attempts.filter(attempt => attempt.status === 'timeout').map(attempt => attempt.provider);
+  const best = states.find(state => state.status === 'success');
+
+  if (!best) {
+    return { provider: null, recipes: [], fallbackLevel: chain.length, attempts, timedOut };
+  }
+
+  return {
+    provider: best.provider,
+    recipes: best.recipes,
+    fallbackLevel: chain.indexOf(best.provider),
+    attempts,
+    timedOut
+  };
+};
+
+// Ask providers whether they own the recipe id. A `source` hint (the card's
+// source) goes straight to that provider; otherwise the chain is walked from
+// the end, because local and generated recipes only answer for ids they know
+// while Spoonacular treats any number as one of its own.
+const getRecipeDetails = async (id, context = {}) => {
+  const hinted = chain.filter(provider => provider.source === context.source);
+  const candidates = [...hinted, ...[...chain].reverse().filter(provider => !hinted.includes(provider))];
+
+  for (const provider of candidates) {
+    if (typeof provider.getDetails !== 'function') continue;
+
+    try {
+      const recipe = await provider.getDetails(id, context);
+      if (recipe) return recipe;
+    } catch (error) {
+      console.log(`❌ ${provider.label} details error: ${error.message}`);
+    }
+  }
+
+  return null;
+};
+
+const getProvidersHealth = () => {
+  return chain.reduce((acc, provider) => {
+    const circuit = provider.lastResort ? null : getCircuit(provider.name).snapshot();
+    acc[provider.name] = {
+      label: provider.label,
+      available: provider.isAvailable() && circuit?.state !== 'open',
+      ...(provider.health ? provider.health() : {}),
+      ...(circuit && { circuit })
+    };
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  getProvider,
+  getProviderChain,
+  searchRecipes,
+  getRecipeDetails,
+  getProvidersHealth
+};
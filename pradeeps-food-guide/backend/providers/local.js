@@ -0,0 +1,111 @@
+const { toMatchFields } = require('../utils/ingredients');
+const { toExtendedIngredients, toAnalyzedInstructions } = require('../utils/recipeFormat');
+const { classifyRecipe } = require('../utils/dietary');
+const { matchesFilters } = require('../utils/filters');
+const { findLocalRecipes, getLocalRecipe, localRecipeCount } = require('../services/localRecipes');
+
+// Local recipes don't store diet information, it's worked out from their ingredients
+const flagsFor = (recipe) => classifyRecipe({
+  title: recipe.title,
+  ingredients: recipe.ingredients || [],
+  instructions: recipe.instructions || [],
+  readyInMinutes: recipe.prepTime
+});
+
+const toDietFlags = (flags) => ({
+  dairyFree: flags.dairyFree,
+  glutenFree: flags.glutenFree,
+  vegan: flags.vegan,
+  vegetarian: flags.vegetarian,
+  veryHealthy: flags.veryHealthy
+});
+
+const search = async ({ ingredients, filters = [], staples }) => {
+  console.log('📋 Using local recipes...');
+
+  const matchedRecipes = findLocalRecipes(ingredients)
+    .map(recipe => ({ recipe, flags: flagsFor(recipe) }))
+    .filter(({ flags }) => matchesFilters(flags, filters));
+
+  if (matchedRecipes.length > 0) {
+    return matchedRecipes.map(({ recipe, flags }) => ({
+      id: recipe.id,
+      title: recipe.title,
+      image: recipe.image,
+      readyInMinutes: recipe.prepTime || 20,
+      servings: recipe.servings || 2,
+      ...toMatchFields(ingredients, recipe.names, { title: recipe.title, staples }),
+      cheap: true,
+      ...toDietFlags(flags),
+      veryPopular: false,
+      summary: recipe.description || `Local recipe using ${ingredients.join(', ')}`,
+      source: 'local',
+      isFree: true,
+      instructions: recipe.instructions || []
+    }));
+  }
+
+  // Create simple recipes
+  return ingredients
+    .map((ingredient, index) => {
+      const recipe = {
+        title: `${ingredient.charAt(0).toUpperCase() + ingredient.slice(1)} Simple Prep`,
+        prepTime: 10,
+        ingredients: [ingredient],
+        instructions: [
+          `Prepare ${ingredient}`,
+          'Cook as desired',
+          'Season to taste',
+          'Serve and enjoy'
+        ]
+      };
+      return { index, recipe, flags: flagsFor(recipe) };
+    })
+    .filter(({ flags }) => matchesFilters(flags, filters))
+    .map(({ index, recipe, flags }) => ({
+      id: 2000 + index,
+      title: recipe.title,
+      image: `https://images.unsplash.com/photo-1490818387583-1baba5e638af?w=312&h=231&fit=crop&q=80`,
+      readyInMinutes: recipe.prepTime,
+      servings: 1,
+      ...toMatchFields(ingredients, recipe.ingredients, { title: recipe.title, staples }),
+      cheap: true,
+      ...toDietFlags(flags),
+      veryPopular: false,
+      summary: `Simple preparation using ${ingredients[index]}`,
+      source: 'generated',
+      isFree: true,
+      instructions: recipe.instructions
+    }));
+};
+
+const getDetails = async (id) => {
+  const recipe = getLocalRecipe(parseInt(id));
+  if (!recipe) return null;
+
+  return {
+    id: recipe.id,
+    title: recipe.title,
+    image: recipe.image,
+    readyInMinutes: recipe.prepTime || 20,
+    servings: recipe.servings || 2,
+    summary: recipe.description,
+    extendedIngredients: toExtendedIngredients(recipe.ingredients),
+    analyzedInstructions: toAnalyzedInstructions(recipe.instructions),
+    ...toDietFlags(flagsFor(recipe)),
+    source: 'local',
+    isFree: true
+  };
+};
+
+module.exports = {
+  name: 'local',
+  label: 'Local Recipes',
+  source: 'local',
+  lastResort: true,
+  isAvailable: () => true,
+  search,
+  getDetails,
+  health: () => ({ configured: true, recipes: localRecipeCount() }),
+  message: (count) => `Found ${count} local recipe${count !== 1 ? 's' : ''}`
+};
@@ -0,0 +1,137 @@
+const axios = require('axios');
+const { settings } = require('../config/providers');
+const { MAX_RECIPES, buildRecipePrompt, maxTokensFor, ensureValidRecipes, generateRecipeSet, toSearchResult, toRecipeDetails } = require('../utils/aiRecipe');
+const { saveGeneratedRecipe, findGeneratedRecipe } = require('../services/generatedRecipes');
+const { getCircuit } = require('../utils/circuitBreaker');
+
+const config = settings.openrouter;
+
+const isAvailable = () => !!config.apiKey && config.apiKey.length > 20;
+
+const requestCompletion = async (prompt, maxTokens, signal) => {
+  const response = await axios.post(
+    'https://openrouter.ai/api/v1/chat/completions',
+    {
+      model: config.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a helpful recipe assistant. Always return valid JSON format for recipes.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature: 0.7,
+      response_format: { type: "json_object" }
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': 'http://localhost:3001',
+        'X-Title': 'FoodGuide Recipe Generator'
+      },
+      timeout: config.timeout,
+      signal
+    }
+  );
+
+  return response.data.choices[0].message.content.trim();
+};
+
+// Generate OpenRouter Recipes (FREE), one per requested style
+const generateRecipes = async (ingredients, filters, styles, signal) => {
+  const circuit = getCircuit(`openrouter:${config.model}`);
+  if (!circuit.canRequest()) {
+    console.log(`   Skipping ${config.model} (circuit ${circuit.state})`);
+    return [];
+  }
+
+  const prompt = buildRecipePrompt(ingredients, filters, styles);
+  const maxTokens = maxTokensFor(styles.length);
+
+  let text;
+  try {
+    console.log(`🤖 Generating ${styles.length} OpenRouter Mistral recipe${styles.length !== 1 ? 's' : ''} (FREE)...`);
+
+    text = await requestCompletion(prompt, maxTokens, signal);
+  } catch (error) {
+    if (signal?.aborted) {
+      circuit.release();
+    } else {
+      circuit.recordFailure(error);
+      console.error('❌ OpenRouter generation error:', error.message);
+    }
+    return [];
+  }
+
+  circuit.recordSuccess();
+
+  try {
+    console.log('📝 OpenRouter Response received');
+
+    const recipes = await ensureValidRecipes({
+      label: 'OpenRouter',
+      prompt,
+      text,
+      complete: (retryPrompt) => requestCompletion(retryPrompt, maxTokens, signal)
+    });
+    if (recipes.length === 0) return [];
+
+    console.log(`✅ OpenRouter validated ${recipes.length} recipe${recipes.length !== 1 ? 's' : ''}`);
+    return recipes.map(recipe => ({
+      ...recipe,
+      source: 'openrouter_mistral',
+      modelUsed: config.model,
+      isFree: true
+    }));
+
+  } catch (error) {
+    console.error('❌ OpenRouter generation error:', error.message);
+    return [];
+  }
+};
+
+const search = async ({ ingredients, filters = [], number, staples, signal }) => {
+  const aiRecipes = await generateRecipeSet({ number, filters }, styles => generateRecipes(ingredients, filters, styles, signal));
+  if (aiRecipes.length === 0) throw new Error('OpenRouter did not produce a valid recipe');
+
+  const stored = await Promise.all(aiRecipes.map(aiRecipe => saveGeneratedRecipe(aiRecipe, {
+    provider: 'openrouter',
+    model: aiRecipe.modelUsed,
+    ingredients,
+    filters
+  })));
+
+  return stored.map(record => toSearchResult(record, {
+    label: 'Mistral',
+    source: 'openrouter_mistral',
+    ingredients,
+    staples
+  }));
+};
+
+const getDetails = async (id) => {
+  const stored = await findGeneratedRecipe(id);
+  if (!stored || stored.provider !== 'openrouter') return null;
+
+  return toRecipeDetails(stored, { source: 'openrouter_mistral' });
+};
+
+module.exports = {
+  name: 'openrouter',
+  label: 'OpenRouter (Mistral)',
+  source: 'openrouter_mistral',
+  isAvailable,
+  search,
+  getDetails,
+  health: () => ({
+    configured: isAvailable(),
+    models: [{ model: config.model, ...getCircuit(`openrouter:${config.model}`).snapshot() }]
+  }),
+  maxRecipes: MAX_RECIPES,
+  message: (count) => `Mistral AI generated ${count} recipe${count !== 1 ? 's' : ''}`
+};
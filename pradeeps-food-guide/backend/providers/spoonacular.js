@@ -0,0 +1,209 @@
+const axios = require('axios');
+const { settings } = require('../config/providers');
+const { toMatchFields } = require('../utils/ingredients');
+const { createCache } = require('../utils/cache');
+const { toSpoonacularParams } = require('../utils/filters');
+const { parseIngredientLine, normalizeUnit } = require('../utils/ingredientParser');
+
+const config = settings.spoonacular;
+
+// Recipe information rarely changes, and every lookup costs API quota
+const detailsCache = createCache({ max: 200, ttl: config.detailsTtl });
+
+const isAvailable = () => !!config.apiKey && config.apiKey.length > 20;
+
+const FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?w=312&h=231&fit=crop&q=80';
+
+// Both endpoints report used/missed ingredients; only complexSearch (with
+// addRecipeInformation) also knows timing, servings and diet flags
+const toCard = (recipe, ingredients, staples) => {
+  const usedIngs = (recipe.usedIngredients || []).map(i => i.name.toLowerCase());
+  const missedIngs = (recipe.missedIngredients || []).map(i => i.name.toLowerCase());
+  const allRecipeIngredients = [...usedIngs, ...missedIngs];
+
+  return {
+    id: recipe.id,
+    title: recipe.title,
+    image: recipe.image || FALLBACK_IMAGE,
+    readyInMinutes: recipe.readyInMinutes || 30,
+    servings: recipe.servings || 4,
+    ...toMatchFields(ingredients, allRecipeIngredients, { title: recipe.title, staples }),
+    cheap: !!recipe.cheap,
+    dairyFree: !!recipe.dairyFree,
+    glutenFree: !!recipe.glutenFree,
+    vegan: !!recipe.vegan,
+    vegetarian: !!recipe.vegetarian,
+    veryHealthy: !!recipe.veryHealthy,
+    veryPopular: !!recipe.veryPopular,
+    summary: `Uses ${recipe.usedIngredientCount || 0} of your ingredients.`,
+    source: 'spoonacular',
+    usedIngredients: recipe.usedIngredientCount || 0,
+    missedIngredients: recipe.missedIngredientCount || 0,
+    isFree: true
+  };
+};
+
+// findByIngredients can't filter at all, so filtered searches go through complexSearch
+const search = async ({ ingredients, filters = [], staples, signal }) => {
+  console.log('📡 Calling Spoonacular API...');
+
+  let response;
+  if (filters.length === 0) {
+    response = await axios.get(
+      `${config.baseUrl}/recipes/findByIngredients`,
+      {
+        params: {
+          apiKey: config.apiKey,
+          // The user's staples count as owned when ranking, instead of Spoonacular's own pantry list
+          ingredients: [...new Set([...ingredients, ...(staples || [])])].join(','),
+          number: config.number,
+          ranking: 2,
+          ignorePantry: false
+        },
+        timeout: config.timeout,
+        signal
+      }
+    );
+  } else {
+    response = await axios.get(
+      `${config.baseUrl}/recipes/complexSearch`,
+      {
+        params: {
+          apiKey: config.apiKey,
+          includeIngredients: ingredients.join(','),
+          number: config.number,
+          sort: 'max-used-ingredients',
+          ...toSpoonacularParams(filters),
+          fillIngredients: true,
+          addRecipeInformation: true,
+          ignorePantry: false
+        },
+        timeout: config.timeout,
+        signal
+      }
+    );
+  }
+
+  const results = filters.length === 0 ? response.data : response.data?.results;
+  if (!results || results.length === 0) return [];
+
+  console.log(`✅ Spoonacular returned ${results.length} recipes`);
+
+  return results.map(recipe => toCard(recipe, ingredients, staples));
+};
+
+const stripHtml = (html = '') => html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Older recipes only carry an HTML `instructions` blob instead of analyzedInstructions
+const toSteps = (info) => {
+  const analyzed = (info.analyzedInstructions || []).flatMap(section => section.steps || []);
+  if (analyzed.length > 0) {
+    return analyzed.map((step, idx) => ({ number: idx + 1, step: step.step }));
+  }
+
+  const text = stripHtml(info.instructions);
+  if (!text) return [];
+
+  return text
+    .split(/(?<=\.)\s+(?=[A-Z])/)
+    .map(step => step.trim())
+    .filter(step => step)
+    .map((step, idx) => ({ number: idx + 1, step }));
+};
+
+// Map /recipes/{id}/information onto the detail shape RecipeModal consumes
+const toRecipeDetails = (info) => ({
+  id: info.id,
+  title: info.title,
+  image: info.image || 'https://images.unsplash.com/photo-1490818387583-1baba5e638af?w=556&h=370&fit=crop&q=80',
+  readyInMinutes: info.readyInMinutes || 30,
+  servings: info.servings || 2,
+  summary: stripHtml(info.summary),
+  extendedIngredients: (info.extendedIngredients || []).map((ing, idx) => {
+    // Spoonacular's own amount wins; the parsed line fills in ranges, unit aliases and preparation
+    const parsed = parseIngredientLine(ing.original || ing.name);
+    return {
+      id: ing.id || idx + 1,
+      name: ing.nameClean || ing.name || parsed.name,
+      original: ing.original || parsed.original,
+      amount: ing.amount || parsed.amount,
+      amountMax: parsed.amountMax,
+      unit: normalizeUnit(ing.unit) || (ing.amount ? null : parsed.unit),
+      preparation: parsed.preparation
+    };
+  }),
+  analyzedInstructions: [{ steps: toSteps(info) }],
+  cheap: !!info.cheap,
+  dairyFree: !!info.dairyFree,
+  glutenFree: !!info.glutenFree,
+  vegan: !!info.vegan,
+  vegetarian: !!info.vegetarian,
+  veryHealthy: !!info.veryHealthy,
+  veryPopular: !!info.veryPopular,
+  creditsText: info.creditsText || info.sourceName,
+  sourceName: info.sourceName,
+  sourceUrl: info.sourceUrl,
+  source: 'spoonacular',
+  isFree: true
+});
+
+const getDetails = async (id) => {
+  const numericId = Number(id);
+  if (!isAvailable() || !Number.isInteger(numericId) || numericId <= 0) return null;
+
+  const cached = detailsCache.get(numericId);
+  if (cached) {
+    console.log(`📦 Spoonacular details cache hit for ${numericId}`);
+    return cached;
+  }
+
+  console.log(`📡 Fetching Spoonacular details for ${numericId}...`);
+
+  try {
+    const response = await axios.get(
+      `${config.baseUrl}/recipes/${numericId}/information`,
+      {
+        params: { apiKey: config.apiKey, includeNutrition: false },
+        timeout: config.timeout
+      }
+    );
+
+    const recipe = toRecipeDetails(response.data);
+    detailsCache.set(numericId, recipe);
+    return recipe;
+  } catch (error) {
+    // Not a Spoonacular id - let the route fall back
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+// Ingredient autocomplete for the search box
+const autocomplete = async (query) => {
+  const response = await axios.get(
+    `${config.baseUrl}/food/ingredients/autocomplete`,
+    {
+      params: {
+        apiKey: config.apiKey,
+        query: query,
+        number: 8,
+        metaInformation: false
+      },
+      timeout: 3000
+    }
+  );
+
+  return (response.data || []).map(item => item.name);
+};
+
+module.exports = {
+  name: 'spoonacular',
+  label: 'Spoonacular',
+  source: 'spoonacular',
+  isAvailable,
+  search,
+  getDetails,
+  autocomplete,
+  health: () => ({ configured: isAvailable(), cachedDetails: detailsCache.size }),
+  message: (count) => `Found ${count} recipes from Spoonacular`
+};
@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const requireDatabase = require('../middleware/requireDatabase');
+const authenticate = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const {
+  MIN_ID,
+  MAX_ID,
+  toCatalogRecipe,
+  getLocalRecipe,
+  isBundledRecipe,
+  listLocalRecipes,
+  nextLocalRecipeId,
+  saveLocalRecipe,
+  saveLocalRecipes,
+  deleteLocalRecipe,
+  restoreLocalRecipe
+} = require('../services/localRecipes');
+const { clearCachedSearches } = require('../services/searchCache');
+
+// Curating the local recipe catalogue. Changes are stored in MongoDB and take
+// effect immediately, without touching the bundled recipe packs.
+router.use(requireDatabase, authenticate, requireAdmin);
+
+const IMPORT_LIMIT = 500;
+
+const toAdminJSON = ({ names, deleted, ...recipe }) => recipe;
+
+const findListed = (id) => listLocalRecipes().find(recipe => recipe.id === id) || null;
+
+// Cached local search results may include the old version
+const catalogueChanged = () => clearCachedSearches('local');
+
+// GET /api/admin/recipes
+router.get('/recipes', (req, res) => {
+  const recipes = listLocalRecipes().map(toAdminJSON);
+  res.json({
+    success: true,
+    count: recipes.length,
+    nextId: nextLocalRecipeId(),
+    idRange: { min: MIN_ID, max: MAX_ID },
+    recipes
+  });
+});
+
+// GET /api/admin/recipes/:id
+router.get('/recipes/:id', (req, res) => {
+  const recipe = findListed(parseInt(req.params.id));
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      error: 'Recipe not found'
+    });
+  }
+
+  res.json({ success: true, recipe: toAdminJSON(recipe) });
+});
+
+// POST /api/admin/recipes
+// Body: { title, description, image, prepTime, servings, ingredients, instructions, tips, id? }
+// Ingredients are "name - quantity" lines; the next free id is used when none is given
+router.post('/recipes', async (req, res) => {
+  try {
+    const id = req.body.id !== undefined ? Number(req.body.id) : nextLocalRecipeId();
+    if (findListed(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Recipe ${id} already exists, update it instead`
+      });
+    }
+
+    const { recipe, errors } = toCatalogRecipe({ ...req.body, id });
+    if (!recipe) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        errors
+      });
+    }
+
+    const saved = await saveLocalRecipe(recipe, req.user._id);
+    await catalogueChanged();
+    console.log(`🧑‍🍳 Local recipe ${saved.id} "${saved.title}" added by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      recipe: toAdminJSON({ ...saved, origin: 'custom', hidden: false })
+    });
+
+  } catch (error) {
+    console.error('Error creating local recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create recipe'
+    });
+  }
+});
+
+// PUT /api/admin/recipes/:id - replaces the whole recipe
+router.put('/recipes/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!findListed(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    const { recipe, errors } = toCatalogRecipe({ ...req.body, id });
+    if (!recipe) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        errors
+      });
+    }
+
+    const saved = await saveLocalRecipe(recipe, req.user._id);
+    await catalogueChanged();
+    console.log(`🧑‍🍳 Local recipe ${id} "${saved.title}" updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      recipe: toAdminJSON({ ...saved, origin: isBundledRecipe(id) ? 'edited' : 'custom', hidden: false })
+    });
+
+  } catch (error) {
+    console.error('Error updating local recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update recipe'
+    });
+  }
+});
+
+// DELETE /api/admin/recipes/:id - bundled recipes are hidden, not removed
+router.delete('/recipes/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const listed = findListed(id);
+    if (!listed || listed.hidden) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    await deleteLocalRecipe(id, req.user._id);
+    await catalogueChanged();
+    console.log(`🧑‍🍳 Local recipe ${id} "${listed.title}" deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: isBundledRecipe(id) ? 'Bundled recipe hidden' : 'Recipe deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting local recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete recipe'
+    });
+  }
+});
+
+// POST /api/admin/recipes/:id/restore - back to the bundled version of an edited or hidden recipe
+router.post('/recipes/:id/restore', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!isBundledRecipe(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only bundled recipes can be restored'
+      });
+    }
+
+    await restoreLocalRecipe(id);
+    await catalogueChanged();
+
+    res.json({
+      success: true,
+      recipe: toAdminJSON({ ...getLocalRecipe(id), origin: 'bundled', hidden: false })
+    });
+
+  } catch (error) {
+    console.error('Error restoring local recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore recipe'
+    });
+  }
+});
+
+// POST /api/admin/recipes/import
+// Body: { recipes: [...] } (or the array itself), in the same shape as a recipe pack.
+// Recipes with an existing id replace it, the rest are added. Invalid ones are
+// reported back and the valid ones are still imported.
+router.post('/recipes/import', async (req, res) => {
+  try {
+    const list = Array.isArray(req.body) ? req.body : req.body.recipes;
+
+    if (!Array.isArray(list) || list.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'recipes must be a non-empty array'
+      });
+    }
+    if (list.length > IMPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `Import at most ${IMPORT_LIMIT} recipes at a time`
+      });
+    }
+
+    const existing = new Set(listLocalRecipes().map(recipe => recipe.id));
+    const valid = [];
+    const failed = [];
+    const taken = new Set();
+    let created = 0;
+
+    list.forEach((data, index) => {
+      let id = data && data.id !== undefined ? Number(data.id) : null;
+      // New recipes without an id get the next free one not used earlier in this import
+      if (id === null) {
+        id = nextLocalRecipeId();
+        while (id !== null && (taken.has(id) || existing.has(id))) id = id < MAX_ID ? id + 1 : null;
+      }
+
+      const { recipe, errors } = toCatalogRecipe({ ...data, id });
+      if (recipe && taken.has(recipe.id)) errors.push(`id ${recipe.id} appears more than once in this import`);
+
+      if (!recipe || errors.length > 0) {
+        failed.push({ index, title: data && data.title, errors });
+        return;
+      }
+
+      taken.add(recipe.id);
+      if (!existing.has(recipe.id)) created++;
+      valid.push(recipe);
+    });
+
+    if (valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid recipes to import',
+        failed
+      });
+    }
+
+    await saveLocalRecipes(valid, req.user._id);
+    await catalogueChanged();
+    console.log(`🧑‍🍳 Imported ${valid.length} local recipes (${failed.length} failed) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      imported: valid.length,
+      created,
+      updated: valid.length - created,
+      failed
+    });
+
+  } catch (error) {
+    console.error('Error importing local recipes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import recipes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,67 +1,61 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const requireDatabase = require('../middleware/requireDatabase');
+const authenticate = require('../middleware/auth');
+const { signToken } = require('../utils/token');
 
-// Mock user database (in production, use MongoDB)
-const users = [];
+// Accounts are stored in MongoDB, so every auth route needs a live connection
+router.use(requireDatabase);
 
 // Register new user
 router.post('/register', async (req, res) => {
   try {
     const { email, password, name } = req.body;
-    
+
     if (!email || !password) {
       return res.status(400).json({
         success: false,
         error: 'Email and password are required'
       });
     }
-    
+
     // Check if user already exists
-    const existingUser = users.find(user => user.email === email);
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
     if (existingUser) {
       return res.status(400).json({
         success: false,
         error: 'User already exists'
       });
     }
-    
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
-    
+
     // Create user
-    const user = {
-      id: Date.now(),
+    const user = await User.create({
       email,
       name: name || email.split('@')[0],
-      password: hashedPassword,
-      createdAt: new Date().toISOString(),
-      favorites: [],
-      mealPlans: {}
-    };
-    
-    users.push(user);
-    
-    // Create token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
-    
+      password: hashedPassword
+    });
+
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
+      token: signToken(user),
+      user: user.toPublicJSON()
     });
-    
+
   } catch (error) {
+    // Lost a race with a concurrent registration for the same email
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'User already exists'
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -74,23 +68,23 @@ router.post('/register', async (req, res) => {
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    
+
     if (!email || !password) {
       return res.status(400).json({
         success: false,
         error: 'Email and password are required'
       });
     }
-    
+
     // Find user
-    const user = users.find(user => user.email === email);
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
     if (!user) {
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
-    
+
     // Check password
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
@@ -99,24 +93,13 @@ router.post('/login', async (req, res) => {
         error: 'Invalid credentials'
       });
     }
-    
-    // Create token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
-    
+
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
+      token: signToken(user),
+      user: user.toPublicJSON()
     });
-    
+
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -127,43 +110,11 @@ router.post('/login', async (req, res) => {
 });
 
 // Get current user
-router.get('/me', (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = users.find(user => user.id === decoded.userId);
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
-    });
-    
-  } catch (error) {
-    console.error('Auth error:', error);
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token'
-    });
-  }
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user.toPublicJSON()
+  });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,77 +1,97 @@
 const express = require('express');
 const router = express.Router();
+const Favorite = require('../models/Favorite');
+const MealPlan = require('../models/MealPlan');
+const UserRecipe = require('../models/UserRecipe');
+const requireDatabase = require('../middleware/requireDatabase');
+const authenticate = require('../middleware/auth');
+const { DEFAULT_STAPLES, toStaples } = require('../utils/ingredients');
+const {
+  toDocumentId,
+  toUserRecipe,
+  importRecipe,
+  createUserRecipe,
+  recordVersion,
+  findVersion,
+  revertToVersion
+} = require('../services/userRecipes');
+const { diffRecipes } = require('../utils/recipeDiff');
 
-// Mock database
-const users = [];
+// Everything under /api/users is scoped to the signed-in user
+router.use(requireDatabase, authenticate);
 
-// Middleware to authenticate user
-const authenticate = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Authentication required'
+const COOKLANG_IMPORT_LIMIT = 50;
+
+const listFavorites = async (userId) => {
+  const favorites = await Favorite.find({ user: userId }).sort({ addedAt: 1 });
+  return favorites.map(fav => fav.toPublicJSON());
+};
+
+const listMealPlans = async (userId) => {
+  const plans = await MealPlan.find({ user: userId });
+  return plans.reduce((acc, plan) => {
+    acc[plan.week] = plan.toPublicJSON();
+    return acc;
+  }, {});
+};
+
+// Get user favorites
+router.get('/favorites', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      favorites: await listFavorites(req.user._id)
     });
-  }
-  
-  // In production, verify JWT token
-  // For now, we'll use a simple mock
-  const userId = parseInt(token);
-  const user = users.find(u => u.id === userId);
-  
-  if (!user) {
-    return res.status(401).json({
+  } catch (error) {
+    console.error('Error loading favorites:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid user'
+      error: 'Failed to load favorites'
     });
   }
-  
-  req.user = user;
-  next();
-};
-
-// Get user favorites
-router.get('/favorites', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    favorites: req.user.favorites || []
-  });
 });
 
 // Add to favorites
-router.post('/favorites', authenticate, (req, res) => {
+router.post('/favorites', async (req, res) => {
   try {
     const { recipe } = req.body;
-    
+
     if (!recipe || !recipe.id) {
       return res.status(400).json({
         success: false,
         error: 'Recipe data is required'
       });
     }
-    
+
     // Check if already favorited
-    const exists = req.user.favorites.some(fav => fav.id === recipe.id);
+    const exists = await Favorite.exists({ user: req.user._id, recipeId: String(recipe.id) });
     if (exists) {
       return res.status(400).json({
         success: false,
         error: 'Recipe already in favorites'
       });
     }
-    
-    req.user.favorites.push({
-      ...recipe,
-      addedAt: new Date().toISOString()
+
+    await Favorite.create({
+      user: req.user._id,
+      recipeId: String(recipe.id),
+      recipe
     });
-    
+
     res.json({
       success: true,
       message: 'Added to favorites',
-      favorites: req.user.favorites
+      favorites: await listFavorites(req.user._id)
     });
-    
+
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Recipe already in favorites'
+      });
+    }
+
     console.error('Error adding favorite:', error);
     res.status(500).json({
       success: false,
@@ -81,18 +101,18 @@ router.post('/favorites', authenticate, (req, res) => {
 });
 
 // Remove from favorites
-router.delete('/favorites/:recipeId', authenticate, (req, res) => {
+router.delete('/favorites/:recipeId', async (req, res) => {
   try {
     const { recipeId } = req.params;
-    
-    req.user.favorites = req.user.favorites.filter(fav => fav.id !== parseInt(recipeId));
-    
+
+    await Favorite.deleteOne({ user: req.user._id, recipeId: String(recipeId) });
+
     res.json({
       success: true,
       message: 'Removed from favorites',
-      favorites: req.user.favorites
+      favorites: await listFavorites(req.user._id)
     });
-    
+
   } catch (error) {
     console.error('Error removing favorite:', error);
     res.status(500).json({
@@ -103,37 +123,45 @@ router.delete('/favorites/:recipeId', authenticate, (req, res) => {
 });
 
 // Get meal plans
-router.get('/meal-plans', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    mealPlans: req.user.mealPlans || {}
-  });
+router.get('/meal-plans', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      mealPlans: await listMealPlans(req.user._id)
+    });
+  } catch (error) {
+    console.error('Error loading meal plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load meal plans'
+    });
+  }
 });
 
 // Save meal plan
-router.post('/meal-plans', authenticate, (req, res) => {
+router.post('/meal-plans', async (req, res) => {
   try {
     const { week, meals } = req.body;
-    
+
     if (!week || !meals) {
       return res.status(400).json({
         success: false,
         error: 'Week and meals data required'
       });
     }
-    
-    req.user.mealPlans[week] = {
-      meals,
-      savedAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
+
+    await MealPlan.findOneAndUpdate(
+      { user: req.user._id, week: String(week) },
+      { meals },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
     res.json({
       success: true,
       message: 'Meal plan saved',
-      mealPlans: req.user.mealPlans
+      mealPlans: await listMealPlans(req.user._id)
     });
-    
+
   } catch (error) {
     console.error('Error saving meal plan:', error);
     res.status(500).json({
@@ -143,4 +171,430 @@ router.post('/meal-plans', authenticate, (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+const findOwnRecipe = (userId, id) => {
+  const documentId = toDocumentId(id);
+  return documentId ? UserRecipe.findOne({ _id: documentId, user: userId }) : null;
+};
+
+// Get the user's own recipes, most recently edited first
+router.get('/recipes', async (req, res) => {
+  try {
+    const recipes = await UserRecipe.find({ user: req.user._id }).select('-history').sort({ updatedAt: -1 });
+    res.json({
+      success: true,
+      recipes: recipes.map(recipe => recipe.toPublicJSON())
+    });
+  } catch (error) {
+    console.error('Error loading user recipes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load your recipes'
+    });
+  }
+});
+
+// Get one of the user's recipes (the editable version; /api/recipes/:id has the detail view)
+router.get('/recipes/:id', async (req, res) => {
+  try {
+    const recipe = await findOwnRecipe(req.user._id, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    res.json({ success: true, recipe: recipe.toPublicJSON() });
+  } catch (error) {
+    console.error('Error loading user recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load recipe'
+    });
+  }
+});
+
+// Note for the version history, from the request body or `fallback`
+const toVersionNote = (body, fallback) => (
+  typeof body.note === 'string' && body.note.trim() ? body.note.trim().slice(0, 200) : fallback
+);
+
+// Create a recipe
+// Body: { title, description, image, prepTime, servings, tips,
+//         ingredients: [{ name, amount, unit, preparation }], instructions: [{ text, minutes }],
+//         note } - note is optional, for the version history
+router.post('/recipes', async (req, res) => {
+  try {
+    const { recipe, errors } = toUserRecipe(req.body);
+    if (!recipe) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        errors
+      });
+    }
+
+    const saved = await createUserRecipe(req.user._id, recipe, { note: toVersionNote(req.body, 'Created') });
+    console.log(`🧑‍🍳 ${req.user.email} added their recipe "${saved.title}"`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recipe saved',
+      recipe: saved.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Error creating user recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save recipe'
+    });
+  }
+});
+
+// Read a recipe from pasted HTML or JSON-LD, or a Cooklang file, without
+// saving it, so it can be checked in the editor first and then saved with POST /recipes
+// Body: { content, format: 'cooklang' (optional), name: file name (optional) }
+router.post('/recipes/import/preview', (req, res) => {
+  const { recipe, note, errors } = importRecipe(req.body.content, { format: req.body.format, name: req.body.name });
+  if (!recipe) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; '),
+      errors
+    });
+  }
+
+  res.json({ success: true, recipe, note });
+});
+
+// Import a recipe and save it straight away
+// Body: same as /recipes/import/preview
+router.post('/recipes/import', async (req, res) => {
+  try {
+    const { recipe: imported, note, errors: importErrors } = importRecipe(req.body.content, { format: req.body.format, name: req.body.name });
+    const { recipe, errors } = imported ? toUserRecipe(imported) : { recipe: null, errors: importErrors };
+    if (!recipe) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        errors
+      });
+    }
+
+    const saved = await createUserRecipe(req.user._id, recipe, { note });
+    console.log(`📥 ${req.user.email} imported "${saved.title}" (${note})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recipe imported',
+      recipe: saved.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Error importing user recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import recipe'
+    });
+  }
+});
+
+// Import several Cooklang files at once
+// Body: { files: [{ name, content }] }. Files that can't be read or don't make
+// a valid recipe are reported back; the rest are still saved.
+router.post('/recipes/import/cooklang', async (req, res) => {
+  try {
+    const { files } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'files must be a non-empty array'
+      });
+    }
+    if (files.length > COOKLANG_IMPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `Import at most ${COOKLANG_IMPORT_LIMIT} files at a time`
+      });
+    }
+
+    const valid = [];
+    const failed = [];
+    files.forEach(file => {
+      const name = file && typeof file.name === 'string' ? file.name : undefined;
+      const { recipe: imported, note, errors: importErrors } = importRecipe(file && file.content, { format: 'cooklang', name });
+      const { recipe, errors } = imported ? toUserRecipe(imported) : { recipe: null, errors: importErrors };
+      if (recipe) valid.push({ recipe, note });
+      else failed.push({ name, errors });
+    });
+
+    if (valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid recipes to import',
+        failed
+      });
+    }
+
+    const saved = [];
+    for (const { recipe, note } of valid) {
+      saved.push(await createUserRecipe(req.user._id, recipe, { note }));
+    }
+    console.log(`📥 ${req.user.email} imported ${saved.length} Cooklang recipes (${failed.length} failed)`);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${saved.length} recipe${saved.length !== 1 ? 's' : ''}`,
+      recipes: saved.map(recipe => recipe.toPublicJSON()),
+      failed
+    });
+
+  } catch (error) {
+    console.error('Error importing Cooklang recipes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import recipes'
+    });
+  }
+});
+
+// Update a recipe - replaces the whole recipe, same body as POST plus an
+// optional `note` for the version history
+router.put('/recipes/:id', async (req, res) => {
+  try {
+    const existing = await findOwnRecipe(req.user._id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    const { recipe, errors } = toUserRecipe(req.body);
+    if (!recipe) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        errors
+      });
+    }
+
+    const changes = recordVersion(existing, recipe, toVersionNote(req.body, 'Edited'));
+    await existing.save();
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? `Saved as version ${existing.version}` : 'No changes to save',
+      recipe: existing.toPublicJSON(),
+      changes
+    });
+
+  } catch (error) {
+    console.error('Error updating user recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update recipe'
+    });
+  }
+});
+
+// Delete a recipe
+router.delete('/recipes/:id', async (req, res) => {
+  try {
+    const documentId = toDocumentId(req.params.id);
+    const { deletedCount } = documentId
+      ? await UserRecipe.deleteOne({ _id: documentId, user: req.user._id })
+      : { deletedCount: 0 };
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recipe deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting user recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete recipe'
+    });
+  }
+});
+
+// Version history of a recipe, newest first (without the full recipes)
+router.get('/recipes/:id/versions', async (req, res) => {
+  try {
+    const recipe = await findOwnRecipe(req.user._id, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      current: recipe.version,
+      forkedFrom: recipe.forkedFrom || null,
+      versions: [...recipe.history].reverse().map(({ version, note, changes, savedAt }) => ({ version, note, changes, savedAt }))
+    });
+  } catch (error) {
+    console.error('Error loading recipe versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load version history'
+    });
+  }
+});
+
+// Compare two versions: ?from=2&to=5 (to defaults to the current version)
+router.get('/recipes/:id/compare', async (req, res) => {
+  try {
+    const recipe = await findOwnRecipe(req.user._id, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    const from = findVersion(recipe, req.query.from);
+    const to = findVersion(recipe, req.query.to ?? recipe.version);
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        versions: recipe.history.map(entry => entry.version)
+      });
+    }
+
+    res.json({
+      success: true,
+      from: from.version,
+      to: to.version,
+      changes: diffRecipes(from.recipe, to.recipe)
+    });
+  } catch (error) {
+    console.error('Error comparing recipe versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare versions'
+    });
+  }
+});
+
+// One version in full
+router.get('/recipes/:id/versions/:version', async (req, res) => {
+  try {
+    const recipe = await findOwnRecipe(req.user._id, req.params.id);
+    const entry = recipe && findVersion(recipe, req.params.version);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: recipe ? 'Version not found' : 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      version: entry.version,
+      note: entry.note,
+      savedAt: entry.savedAt,
+      recipe: entry.recipe
+    });
+  } catch (error) {
+    console.error('Error loading recipe version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load version'
+    });
+  }
+});
+
+// Go back to an earlier version. Body: { version }. The old version is saved
+// again as the newest one, so nothing is lost.
+router.post('/recipes/:id/revert', async (req, res) => {
+  try {
+    const recipe = await findOwnRecipe(req.user._id, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recipe not found'
+      });
+    }
+
+    const changes = revertToVersion(recipe, req.body.version);
+    if (changes === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+    await recipe.save();
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? `Restored version ${req.body.version}` : 'That version is already the current one',
+      recipe: recipe.toPublicJSON(),
+      changes
+    });
+  } catch (error) {
+    console.error('Error reverting recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore version'
+    });
+  }
+});
+
+// Get pantry staples (the defaults until the user saves their own)
+router.get('/staples', (req, res) => {
+  res.json({
+    success: true,
+    staples: toStaples(req.user.staples),
+    defaults: DEFAULT_STAPLES,
+    custom: Array.isArray(req.user.staples)
+  });
+});
+
+// Save pantry staples; { staples: null } goes back to the defaults
+router.put('/staples', async (req, res) => {
+  try {
+    const { staples } = req.body;
+
+    if (staples !== null && !Array.isArray(staples)) {
+      return res.status(400).json({
+        success: false,
+        error: 'staples must be an array of ingredient names, or null for the defaults'
+      });
+    }
+
+    req.user.staples = staples === null ? undefined : toStaples(staples.map(String));
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Pantry staples saved',
+      staples: toStaples(req.user.staples),
+      defaults: DEFAULT_STAPLES,
+      custom: Array.isArray(req.user.staples)
+    });
+
+  } catch (error) {
+    console.error('Error saving staples:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save pantry staples'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// Makes an existing account an admin (or back into a normal user):
+//   npm run set-role -- someone@example.com admin
+//   npm run set-role -- someone@example.com user
+// Roles are only ever changed here, by someone with access to the database,
+// never through the API, so registering an address can't make anyone an admin.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+const setRole = async (email, role) => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foodguide', {
+    serverSelectionTimeoutMS: 5000
+  });
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      throw new Error(`No account for ${email}; they need to register first`);
+    }
+
+    if (user.role === role) {
+      console.log(`ℹ️  ${user.email} is already ${role === 'admin' ? 'an admin' : 'a user'}`);
+      return;
+    }
+
+    user.role = role;
+    await user.save();
+    console.log(`✅ ${user.email} is now ${role === 'admin' ? 'an admin' : 'a user'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+const [email, role = 'admin'] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> [${ROLES.join('|')}]`);
+  process.exit(1);
+}
+
+setRole(email, role).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -6,6 +6,9 @@ const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
 const path = require('path'); // Add this for serving static files
 require('dotenv').config();
+const { getProviderChain, getProvidersHealth } = require('./providers');
+const { getSearchCacheStats } = require('./services/searchCache');
+const { loadLocalRecipeChanges } = require('./services/localRecipes');
 
 const app = express();
 const PORT = process.env.PORT || 10000; // Changed default to 10000 for Render
@@ -82,22 +85,30 @@ const mongoOptions = {
 };
 
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foodguide', mongoOptions)
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  loadLocalRecipeChanges();
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
   console.log('⚠️  Running in fallback mode without database');
 });
 
+// Live availability per provider: configured and not tripped by its circuit breaker
+const toApiStatus = (providers) => Object.keys(providers).reduce((acc, name) => {
+  acc[name] = providers[name].available;
+  return acc;
+}, {});
+
 // Health check with API status - Enhanced for production
 app.get('/api/health', (req, res) => {
+  const providers = getProvidersHealth();
+
   const apiStatus = {
-    spoonacular: !!process.env.SPOONACULAR_API_KEY && process.env.SPOONACULAR_API_KEY.length > 20,
-    gemini: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY.length > 30,
-    cohere: !!process.env.COHERE_API_KEY && process.env.COHERE_API_KEY.length > 20,
-    openrouter: !!process.env.OPEN_ROUTER_API_KEY && process.env.OPEN_ROUTER_API_KEY.length > 20,
+    ...toApiStatus(providers),
     mongodb: mongoose.connection.readyState === 1
   };
-  
+
   const isHealthy = apiStatus.mongodb || !apiStatus.mongodb; // MongoDB optional for now
   const status = isHealthy ? 'healthy' : 'degraded';
   
@@ -106,11 +117,13 @@ app.get('/api/health', (req, res) => {
     message: 'API is running',
     timestamp: new Date().toISOString(),
     apis: apiStatus,
+    providers: providers,
+    searchCache: getSearchCacheStats(),
     environment: process.env.NODE_ENV || 'development',
     version: '1.0.0',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    fallbackMode: !apiStatus.spoonacular && !apiStatus.gemini
+    fallbackMode: !getProviderChain().some(provider => !provider.lastResort && providers[provider.name].available)
   });
 });
 
@@ -118,21 +131,19 @@ app.get('/api/health', (req, res) => {
 const recipeRoutes = require('./routes/recipes');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
 
 app.use('/api/recipes', recipeRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Route to test API fallback
 app.get('/api/test-fallback', async (req, res) => {
   const { ingredient } = req.query;
   
-  const apiStatus = {
-    spoonacular: !!process.env.SPOONACULAR_API_KEY && process.env.SPOONACULAR_API_KEY.length > 20,
-    gemini: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY.length > 30,
-    cohere: !!process.env.COHERE_API_KEY && process.env.COHERE_API_KEY.length > 20,
-    openrouter: !!process.env.OPEN_ROUTER_API_KEY && process.env.OPEN_ROUTER_API_KEY.length > 20,
-  };
+  const providers = getProvidersHealth();
+  const apiStatus = toApiStatus(providers);
   
   console.log('🧪 Testing fallback system...');
   
@@ -140,7 +151,7 @@ app.get('/api/test-fallback', async (req, res) => {
     success: true,
     message: 'Fallback test',
     apis: apiStatus,
-    fallbackOrder: ['Spoonacular API', 'Gemini AI', 'Cohere AI', 'OpenRouter (Mistral)', 'Local Recipes'],
+    fallbackOrder: getProviderChain().map(provider => provider.label),
     testIngredients: ingredient || 'chicken, rice, egg',
     instructions: 'Use /api/recipes/search?ingredients=your_ingredients to test',
     note: 'All AI APIs are FREE to use'
@@ -297,11 +308,7 @@ ${process.env.OPEN_ROUTER_API_KEY && process.env.OPEN_ROUTER_API_KEY.length > 20
 ${mongoose.connection.readyState === 1 ? '✅ MongoDB: Connected' : '⚠️  MongoDB: Disconnected'}
 
 🔄 FALLBACK SYSTEM:
-1️⃣ Spoonacular API (Primary)
-2️⃣ Gemini AI (Secondary - FREE) 
-3️⃣ Cohere AI (Tertiary - FREE)
-4️⃣ OpenRouter Mistral (Backup - FREE)
-5️⃣ Local Recipes (Last Resort)
+${getProviderChain().map((provider, index) => `${index + 1}. ${provider.label}`).join('\n')}
 
 ⚠️  NOTE: ${!process.env.SPOONACULAR_API_KEY || process.env.SPOONACULAR_API_KEY.length <= 20 ? 'Spoonacular API not configured. Using FREE AI APIs.' : 'API configured. Using Spoonacular when available.'}
   `);
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GeneratedRecipe = require('../models/GeneratedRecipe');
+
+// Used only while MongoDB is down so detail views keep working until restart
+const MEMORY_LIMIT = 500;
+const memoryStore = new Map();
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+const isGeneratedId = (id) => typeof id === 'string' && id.startsWith('ai-');
+
+const toRecord = (doc) => ({
+  recipeId: doc.recipeId,
+  title: doc.title,
+  description: doc.description,
+  prepTime: doc.prepTime,
+  servings: doc.servings,
+  ingredients: doc.ingredients || [],
+  instructions: doc.instructions || [],
+  tips: doc.tips,
+  provider: doc.provider,
+  model: doc.model,
+  prompt: doc.prompt,
+  createdAt: doc.createdAt
+});
+
+// Models occasionally answer with { name, quantity } objects instead of lines
+const toIngredientLine = (ingredient) => {
+  if (typeof ingredient === 'string') return ingredient;
+  return [ingredient.name, ingredient.quantity || ingredient.amount].filter(Boolean).join(' - ');
+};
+
+const rememberInMemory = (record) => {
+  memoryStore.set(record.recipeId, record);
+  if (memoryStore.size > MEMORY_LIMIT) {
+    memoryStore.delete(memoryStore.keys().next().value);
+  }
+};
+
+// Save an AI recipe and return the stored record (including its new recipeId)
+const saveGeneratedRecipe = async (aiRecipe, { provider, model, ingredients, filters = [] }) => {
+  const record = {
+    recipeId: `ai-${crypto.randomUUID()}`,
+    title: aiRecipe.title || 'AI Recipe',
+    description: aiRecipe.description,
+    prepTime: Number(aiRecipe.prepTime) || undefined,
+    servings: Number(aiRecipe.servings) || undefined,
+    ingredients: (aiRecipe.ingredients || []).map(toIngredientLine).filter(line => line),
+    instructions: (aiRecipe.instructions || []).map(String),
+    tips: aiRecipe.tips,
+    provider,
+    model,
+    prompt: { ingredients, filters },
+    createdAt: new Date()
+  };
+
+  if (isDatabaseReady()) {
+    try {
+      const doc = await GeneratedRecipe.create(record);
+      return toRecord(doc);
+    } catch (error) {
+      console.error('❌ Failed to save generated recipe:', error.message);
+    }
+  }
+
+  rememberInMemory(record);
+  return record;
+};
+
+const findGeneratedRecipe = async (recipeId) => {
+  if (!isGeneratedId(recipeId)) return null;
+
+  if (memoryStore.has(recipeId)) {
+    return memoryStore.get(recipeId);
+  }
+
+  if (isDatabaseReady()) {
+    const doc = await GeneratedRecipe.findOne({ recipeId });
+    return doc ? toRecord(doc) : null;
+  }
+
+  return null;
+};
+
+module.exports = {
+  isGeneratedId,
+  saveGeneratedRecipe,
+  findGeneratedRecipe
+};
@@ -0,0 +1,277 @@
+// Local recipe catalogue. Curated recipes ship as JSON packs (an array of
+// recipes per file) in data/recipes and any LOCAL_RECIPES_DIRS; each recipe is
+// { id, title, description, image, prepTime, servings, ingredients, instructions }
+// with ingredient lines written as "name - quantity". Ids are 1000-1999.
+// Admin changes are stored in MongoDB (LocalRecipe) and laid over the packs:
+// they add recipes, replace bundled ones with the same id, or hide them.
+//
+// Recipes are indexed by canonical ingredient so a search only looks at the
+// recipes that use something the user has.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const LocalRecipe = require('../models/LocalRecipe');
+const { settings } = require('../config/providers');
+const { canonicalizeIngredient, ingredientFamily } = require('../utils/ingredients');
+const { parseIngredientLine } = require('../utils/ingredientParser');
+const { validateRecipe } = require('../utils/recipeSchema');
+
+const MIN_ID = 1000;
+const MAX_ID = 1999;
+const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1490818387583-1baba5e638af?w=312&h=231&fit=crop&q=80';
+
+// Pack recipes as loaded, admin changes by id, and the resulting catalogue
+const bundled = new Map();
+const overrides = new Map();
+const recipes = new Map();
+// Recipes by the exact ingredient they use, and by everything that ingredient
+// is a kind of ("basmati rice" is under both "basmati rice" and "rice")
+const byName = new Map();
+const byFamily = new Map();
+
+const addTo = (index, key, id) => {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+};
+
+// Checks a catalogue record and returns { recipe, errors } like validateRecipe,
+// with the catalogue fields and the canonical ingredient names added
+const toCatalogRecipe = (data) => {
+  const { recipe, errors } = validateRecipe(data);
+  const id = Number(data && data.id);
+  if (!(Number.isInteger(id) && id >= MIN_ID && id <= MAX_ID)) {
+    errors.push(`"id" must be a whole number between ${MIN_ID} and ${MAX_ID}`);
+  }
+  if (data && data.image !== undefined && !/^https?:\/\//.test(String(data.image))) {
+    errors.push('"image" must be an http(s) URL');
+  }
+  if (errors.length > 0) return { recipe: null, errors };
+
+  const names = [...new Set(recipe.ingredients
+    .map(line => canonicalizeIngredient(parseIngredientLine(line).name))
+    .filter(name => name))];
+
+  return {
+    recipe: { ...recipe, id, image: data.image || DEFAULT_IMAGE, names },
+    errors
+  };
+};
+
+const indexRecipe = (recipe) => {
+  recipes.set(recipe.id, recipe);
+  recipe.names.forEach(name => {
+    addTo(byName, name, recipe.id);
+    ingredientFamily(name).forEach(member => addTo(byFamily, member, recipe.id));
+  });
+};
+
+const rebuildIndex = () => {
+  recipes.clear();
+  byName.clear();
+  byFamily.clear();
+
+  bundled.forEach((recipe, id) => {
+    if (!overrides.has(id)) indexRecipe(recipe);
+  });
+  overrides.forEach(recipe => {
+    if (!recipe.deleted) indexRecipe(recipe);
+  });
+};
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+// Stored admin change → catalogue recipe ({ id, deleted } for a hidden one)
+const fromDocument = (doc) => {
+  if (doc.deleted) return { id: doc.recipeId, deleted: true };
+
+  const { recipe, errors } = toCatalogRecipe({ ...doc, id: doc.recipeId, image: doc.image || undefined });
+  if (!recipe) {
+    console.warn(`⚠️ Ignoring stored local recipe ${doc.recipeId}: ${errors.join('; ')}`);
+    return null;
+  }
+  return { ...recipe, updatedAt: doc.updatedAt };
+};
+
+const readPack = (file) => {
+  try {
+    const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(pack)) return pack;
+    console.warn(`⚠️ Local recipe pack ${file} is not an array, skipping`);
+  } catch (error) {
+    console.warn(`⚠️ Could not read local recipe pack ${file}: ${error.message}`);
+  }
+  return [];
+};
+
+// (Re)reads every pack in `dirs`. Invalid recipes and duplicate ids are
+// skipped with a warning rather than failing startup.
+const loadLocalRecipes = (dirs = settings.local.recipeDirs) => {
+  bundled.clear();
+
+  let packs = 0;
+  dirs.filter(dir => fs.existsSync(dir)).forEach(dir => {
+    fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+      packs++;
+      readPack(path.join(dir, file)).forEach((data, idx) => {
+        const { recipe, errors } = toCatalogRecipe(data);
+        const label = `${file} #${idx + 1}${data && data.title ? ` (${data.title})` : ''}`;
+        if (!recipe) {
+          console.warn(`⚠️ Skipping local recipe ${label}: ${errors.join('; ')}`);
+        } else if (bundled.has(recipe.id)) {
+          console.warn(`⚠️ Skipping local recipe ${label}: id ${recipe.id} is already used by "${bundled.get(recipe.id).title}"`);
+        } else {
+          bundled.set(recipe.id, recipe);
+        }
+      });
+    });
+  });
+
+  rebuildIndex();
+  console.log(`📚 Loaded ${bundled.size} local recipes from ${packs} pack${packs !== 1 ? 's' : ''}`);
+  return recipes.size;
+};
+
+// Lays the admin changes stored in MongoDB over the packs. Called once the
+// database connects; without it the catalogue is just the packs.
+const loadLocalRecipeChanges = async () => {
+  if (!isDatabaseReady()) return 0;
+
+  try {
+    const docs = await LocalRecipe.find().lean();
+    overrides.clear();
+    docs.map(fromDocument).filter(recipe => recipe).forEach(recipe => overrides.set(recipe.id, recipe));
+    rebuildIndex();
+    console.log(`📚 Applied ${overrides.size} admin change${overrides.size !== 1 ? 's' : ''} to the local recipes`);
+    return overrides.size;
+  } catch (error) {
+    console.error('❌ Failed to load local recipe changes:', error.message);
+    return 0;
+  }
+};
+
+// Where a catalogue entry comes from: a pack, the admin API, or a pack recipe an admin edited
+const originOf = (id) => {
+  if (!overrides.has(id)) return 'bundled';
+  return bundled.has(id) ? 'edited' : 'custom';
+};
+
+// Every recipe for the admin view, including hidden bundled ones
+const listLocalRecipes = () => [...new Set([...bundled.keys(), ...overrides.keys()])]
+  .sort((a, b) => a - b)
+  .map(id => {
+    const recipe = overrides.get(id) || bundled.get(id);
+    const hidden = !!recipe.deleted;
+    return { ...(hidden ? bundled.get(id) : recipe), origin: originOf(id), hidden };
+  });
+
+const nextLocalRecipeId = () => {
+  for (let id = MIN_ID; id <= MAX_ID; id++) {
+    if (!bundled.has(id) && !overrides.has(id)) return id;
+  }
+  return null;
+};
+
+const toDocument = (recipe, userId) => ({
+  recipeId: recipe.id,
+  title: recipe.title,
+  description: recipe.description,
+  image: recipe.image,
+  prepTime: recipe.prepTime,
+  servings: recipe.servings,
+  ingredients: recipe.ingredients,
+  instructions: recipe.instructions,
+  tips: recipe.tips,
+  deleted: false,
+  updatedBy: userId
+});
+
+// Saves already validated catalogue recipes (see toCatalogRecipe) and
+// updates the index once. Needs the database.
+const saveLocalRecipes = async (list, userId) => {
+  const saved = [];
+  for (const recipe of list) {
+    const doc = await LocalRecipe.findOneAndUpdate(
+      { recipeId: recipe.id },
+      toDocument(recipe, userId),
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    saved.push({ ...recipe, updatedAt: doc.updatedAt });
+  }
+
+  saved.forEach(recipe => overrides.set(recipe.id, recipe));
+  rebuildIndex();
+  return saved;
+};
+
+const saveLocalRecipe = async (recipe, userId) => (await saveLocalRecipes([recipe], userId))[0];
+
+// Custom recipes are removed; bundled ones can't be, so they are hidden
+const deleteLocalRecipe = async (id, userId) => {
+  if (bundled.has(id)) {
+    await LocalRecipe.findOneAndUpdate(
+      { recipeId: id },
+      { recipeId: id, deleted: true, updatedBy: userId },
+      { upsert: true }
+    );
+    overrides.set(id, { id, deleted: true });
+  } else {
+    await LocalRecipe.deleteOne({ recipeId: id });
+    overrides.delete(id);
+  }
+  rebuildIndex();
+};
+
+// Drops the admin change to a bundled recipe, bringing back the pack version
+const restoreLocalRecipe = async (id) => {
+  await LocalRecipe.deleteOne({ recipeId: id });
+  overrides.delete(id);
+  rebuildIndex();
+  return recipes.get(id) || null;
+};
+
+// Recipes using at least `minShare` of the user's ingredients, best covered first.
+// "rice" finds basmati rice recipes and "basmati rice" finds plain rice ones,
+// but basmati rice doesn't find brown rice.
+const findLocalRecipes = (ingredients = [], { minShare = settings.local.minShare } = {}) => {
+  const names = [...new Set(ingredients.map(canonicalizeIngredient).filter(name => name))];
+  if (names.length === 0) return [];
+
+  const hits = new Map();
+  names.forEach(name => {
+    const ids = new Set(byFamily.get(name) || []);
+    ingredientFamily(name).forEach(member => (byName.get(member) || []).forEach(id => ids.add(id)));
+    ids.forEach(id => hits.set(id, (hits.get(id) || 0) + 1));
+  });
+
+  const needed = Math.max(1, Math.ceil(names.length * minShare));
+  return [...hits.entries()]
+    .filter(([, count]) => count >= needed)
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([id]) => recipes.get(id));
+};
+
+const getLocalRecipe = (id) => recipes.get(Number(id)) || null;
+
+const isBundledRecipe = (id) => bundled.has(Number(id));
+
+const localRecipeCount = () => recipes.size;
+
+loadLocalRecipes();
+
+module.exports = {
+  MIN_ID,
+  MAX_ID,
+  toCatalogRecipe,
+  loadLocalRecipes,
+  loadLocalRecipeChanges,
+  findLocalRecipes,
+  getLocalRecipe,
+  isBundledRecipe,
+  listLocalRecipes,
+  nextLocalRecipeId,
+  saveLocalRecipe,
+  saveLocalRecipes,
+  deleteLocalRecipe,
+  restoreLocalRecipe,
+  localRecipeCount
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const config = require('../config/cache');
+const SearchCache = require('../models/SearchCache');
+const { createCache } = require('../utils/cache');
+const { canonicalizeIngredient } = require('../utils/ingredients');
+
+const memoryCache = createCache({ max: config.maxEntries, ttl: config.ttl.default });
+
+const useMongo = () => config.store === 'mongo' && mongoose.connection.readyState === 1;
+
+// Same ingredients in any order, casing or name ("tomatoes", "thakkali") share one entry.
+// Staples change the scores, so each staples list gets its own entry.
+const buildSearchKey = ({ ingredients, filters = [], number, staples = [] }) => {
+  const normalized = [...new Set(ingredients.map(canonicalizeIngredient).filter(i => i))].sort();
+  return `${normalized.join(',')}|${[...filters].sort().join(',')}|${number}|${[...staples].sort().join(',')}`;
+};
+
+const ttlFor = (providerName) => config.ttl[providerName] || config.ttl.default;
+
+const getCachedSearch = async (key) => {
+  if (!config.enabled) return null;
+
+  const cached = memoryCache.get(key);
+  if (cached) return { ...cached, store: 'memory' };
+
+  if (useMongo()) {
+    try {
+      const doc = await SearchCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (doc) {
+        const entry = { value: doc.value, provider: doc.provider, cachedAt: doc.cachedAt, expiresAt: doc.expiresAt };
+        memoryCache.set(key, entry, doc.expiresAt.getTime() - Date.now());
+        return { ...entry, store: 'mongo' };
+      }
+    } catch (error) {
+      console.error('❌ Search cache read failed:', error.message);
+    }
+  }
+
+  return null;
+};
+
+const setCachedSearch = async (key, providerName, value) => {
+  if (!config.enabled) return;
+
+  const ttl = ttlFor(providerName);
+  const entry = {
+    value,
+    provider: providerName,
+    cachedAt: new Date(),
+    expiresAt: new Date(Date.now() + ttl)
+  };
+
+  memoryCache.set(key, entry, ttl);
+
+  if (useMongo()) {
+    try {
+      await SearchCache.findOneAndUpdate({ key }, entry, { upsert: true });
+    } catch (error) {
+      console.error('❌ Search cache write failed:', error.message);
+    }
+  }
+};
+
+// Forget every result set a provider produced, e.g. after the local catalogue changes
+const clearCachedSearches = async (providerName) => {
+  memoryCache.deleteWhere(entry => entry.provider === providerName);
+
+  if (useMongo()) {
+    try {
+      await SearchCache.deleteMany({ provider: providerName });
+    } catch (error) {
+      console.error('❌ Search cache clear failed:', error.message);
+    }
+  }
+};
+
+const getSearchCacheStats = () => ({
+  enabled: config.enabled,
+  store: config.store,
+  memoryEntries: memoryCache.size
+});
+
+module.exports = {
+  buildSearchKey,
+  getCachedSearch,
+  setCachedSearch,
+  clearCachedSearches,
+  getSearchCacheStats
+};
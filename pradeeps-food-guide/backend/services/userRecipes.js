@@ -0,0 +1,343 @@
+// Recipes users write themselves ("My Recipes"). They are stored with
+// structured ingredients and steps for the editor, and turned into the same
+// card and detail shapes as provider recipes so search, the recipe view,
+// customizing and shopping lists treat them like any other recipe.
+const mongoose = require('mongoose');
+const UserRecipe = require('../models/UserRecipe');
+const { settings } = require('../config/providers');
+const { canonicalizeIngredient, isSameIngredient, toMatchFields } = require('../utils/ingredients');
+const { normalizeUnit, parseQuantity } = require('../utils/ingredientParser');
+const { formatIngredientLine } = require('../utils/recipeFormat');
+const { validateRecipe } = require('../utils/recipeSchema');
+const { classifyRecipe } = require('../utils/dietary');
+const { matchesFilters } = require('../utils/filters');
+const { diffRecipes } = require('../utils/recipeDiff');
+const { extractRecipe } = require('../utils/recipeImport');
+const { parseCooklang } = require('../utils/cooklang');
+
+const ID_PREFIX = 'user-';
+const MAX_INGREDIENTS = 80;
+const MAX_STEPS = 50;
+const MAX_VERSIONS = 50;
+const DESCRIPTION_LENGTH = 300;
+const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1490818387583-1baba5e638af?w=312&h=231&fit=crop&q=80';
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+const isUserRecipeId = (id) => typeof id === 'string' && id.startsWith(ID_PREFIX);
+
+// "user-<ObjectId>" (or the bare ObjectId) → ObjectId string, or null
+const toDocumentId = (id) => {
+  const raw = String(id || '');
+  const objectId = raw.startsWith(ID_PREFIX) ? raw.slice(ID_PREFIX.length) : raw;
+  return mongoose.isValidObjectId(objectId) ? objectId : null;
+};
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Editor rows ({ name, amount, unit, preparation }) → stored ingredient.
+// amount may be a number or text like "1 1/2" or "2-3".
+const toIngredient = (item, idx, errors) => {
+  const name = toText(item && item.name);
+  if (!name) {
+    errors.push(`ingredient ${idx + 1} needs a name`);
+    return null;
+  }
+
+  const amountText = item.amount === null || item.amount === undefined ? '' : String(item.amount).trim();
+  const unitText = toText(item.unit);
+  let amount = null;
+  let amountMax = null;
+
+  if (amountText) {
+    const quantity = parseQuantity(amountText);
+    if (!quantity || quantity.amount === null || quantity.rest) {
+      errors.push(`ingredient ${idx + 1} (${name}): amount must be a number like 2, 1.5, 1/2 or 2-3`);
+      return null;
+    }
+    ({ amount, amountMax } = quantity);
+  }
+
+  return {
+    name,
+    amount,
+    amountMax,
+    unit: amount === null ? null : normalizeUnit(unitText) || unitText || null,
+    preparation: toText(item.preparation) || null
+  };
+};
+
+const toStep = (item) => {
+  if (typeof item === 'string') return { text: item.trim(), minutes: null };
+  const minutes = Number(item && item.minutes);
+  return {
+    text: toText(item && item.text),
+    minutes: Number.isFinite(minutes) && minutes > 0 ? Math.round(minutes) : null
+  };
+};
+
+// Checks what the editor sent and returns { recipe, errors } like validateRecipe.
+// Title, servings, time and step rules are the same as for every other recipe.
+const toUserRecipe = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { recipe: null, errors: ['recipe must be an object'] };
+  }
+
+  const errors = [];
+  const rawIngredients = Array.isArray(data.ingredients) ? data.ingredients : [];
+  const rawSteps = Array.isArray(data.instructions) ? data.instructions : [];
+
+  if (rawIngredients.length > MAX_INGREDIENTS) errors.push(`at most ${MAX_INGREDIENTS} ingredients`);
+  if (rawSteps.length > MAX_STEPS) errors.push(`at most ${MAX_STEPS} steps`);
+
+  const ingredients = rawIngredients.slice(0, MAX_INGREDIENTS).map((item, idx) => toIngredient(item, idx, errors));
+  const instructions = rawSteps.slice(0, MAX_STEPS).map(toStep);
+
+  const image = toText(data.image);
+  if (image && !/^https?:\/\//.test(image)) errors.push('"image" must be an http(s) URL');
+
+  const { recipe, errors: schemaErrors } = validateRecipe({
+    title: data.title,
+    description: data.description,
+    prepTime: data.prepTime,
+    servings: data.servings,
+    ingredients: Array.isArray(data.ingredients) ? ingredients.filter(ing => ing).map(formatIngredientLine) : data.ingredients,
+    instructions: Array.isArray(data.instructions) ? instructions.map(step => step.text) : data.instructions,
+    tips: data.tips
+  });
+  errors.push(...schemaErrors);
+
+  if (errors.length > 0) return { recipe: null, errors };
+
+  return {
+    recipe: {
+      title: recipe.title,
+      description: recipe.description,
+      image: image || undefined,
+      prepTime: recipe.prepTime,
+      servings: recipe.servings,
+      ingredients,
+      instructions,
+      tips: recipe.tips
+    },
+    errors
+  };
+};
+
+// A provider recipe in the detail shape (extendedIngredients / analyzedInstructions)
+// → what toUserRecipe takes, so it can be saved as the user's own version
+const fromRecipeDetails = (recipe) => {
+  const clamp = (value, min, max) => (Number(value) > 0 ? Math.min(Math.max(Math.round(Number(value)), min), max) : undefined);
+  const summary = String(recipe.summary || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+  return {
+    title: recipe.title,
+    description: summary.length > DESCRIPTION_LENGTH ? `${summary.slice(0, DESCRIPTION_LENGTH - 1).trim()}…` : summary,
+    image: /^https?:\/\//.test(recipe.image || '') ? recipe.image : undefined,
+    prepTime: clamp(recipe.readyInMinutes, 1, 600) || 30,
+    servings: clamp(recipe.servings, 1, 24) || 2,
+    ingredients: (recipe.extendedIngredients || []).map(ing => ({
+      name: ing.name || ing.original,
+      amount: ing.amount === null || ing.amount === undefined
+        ? null
+        : ing.amountMax ? `${ing.amount}-${ing.amountMax}` : ing.amount,
+      unit: ing.unit,
+      preparation: ing.preparation
+    })),
+    instructions: (recipe.analyzedInstructions || [])
+      .flatMap(block => block.steps || [])
+      .map(step => ({ text: step.step, minutes: step.length && step.length.unit === 'minutes' ? step.length.number : null })),
+    tips: recipe.tips
+  };
+};
+
+// Pasted HTML or JSON-LD, or a Cooklang file (format 'cooklang', `name` is
+// its file name) → { recipe, note, errors }: the recipe in the shape
+// toUserRecipe takes (not checked yet, so the user can fix it up first) and
+// a version note saying where it came from
+const importRecipe = (content, { format, name } = {}) => {
+  if (format === 'cooklang') {
+    const { recipe, errors } = parseCooklang(content, { name });
+    return { recipe, note: recipe ? `Imported from ${name || 'Cooklang'}` : null, errors };
+  }
+
+  const { recipe, errors } = extractRecipe(content);
+  if (!recipe) return { recipe: null, note: null, errors };
+
+  let note = 'Imported';
+  try {
+    if (recipe.sourceUrl) note = `Imported from ${new URL(recipe.sourceUrl).hostname.replace(/^www\./, '')}`;
+  } catch (error) {
+    // Keep the plain note for a url we can't read
+  }
+
+  return { recipe: fromRecipeDetails(recipe), note, errors };
+};
+
+// The recipe fields every version keeps
+const toSnapshot = (recipe) => ({
+  title: recipe.title,
+  description: recipe.description || '',
+  image: recipe.image || null,
+  prepTime: recipe.prepTime,
+  servings: recipe.servings,
+  ingredients: recipe.ingredients.map(ing => ({
+    name: ing.name,
+    amount: ing.amount ?? null,
+    amountMax: ing.amountMax ?? null,
+    unit: ing.unit || null,
+    preparation: ing.preparation || null
+  })),
+  instructions: recipe.instructions.map(step => ({ text: step.text, minutes: step.minutes || null })),
+  tips: recipe.tips || ''
+});
+
+// Puts `recipe` (checked by toUserRecipe) into the document as its next
+// version, recording what changed. Nothing is recorded when nothing changed.
+// Returns the changes; the caller saves the document.
+const recordVersion = (doc, recipe, note) => {
+  // Recipes saved before versions were kept start their history here
+  if (doc.history.length === 0 && !doc.isNew) {
+    doc.history.push({ version: doc.version || 1, note: 'Original', changes: [], recipe: toSnapshot(doc.toObject()) });
+  }
+
+  const last = doc.history[doc.history.length - 1];
+  const snapshot = toSnapshot(recipe);
+  const changes = last ? diffRecipes(last.recipe, snapshot) : [];
+  if (last && changes.length === 0) return changes;
+
+  const version = last ? last.version + 1 : 1;
+  doc.set({ ...recipe, version });
+  doc.history.push({ version, note, changes, recipe: snapshot });
+  if (doc.history.length > MAX_VERSIONS) {
+    doc.history.splice(0, doc.history.length - MAX_VERSIONS);
+  }
+  return changes;
+};
+
+// New recipe for the user; forkedFrom is { id, source, title } of the original
+const createUserRecipe = async (userId, recipe, { note = 'Created', forkedFrom } = {}) => {
+  const doc = new UserRecipe({ user: userId, forkedFrom });
+  recordVersion(doc, recipe, note);
+  await doc.save();
+  return doc;
+};
+
+const findVersion = (doc, version) => doc.history.find(entry => entry.version === Number(version)) || null;
+
+// Brings back an earlier version as a new one, so the revert can be undone too
+const revertToVersion = (doc, version) => {
+  const entry = findVersion(doc, version);
+  if (!entry) return null;
+  return recordVersion(doc, entry.recipe, `Restored version ${entry.version}`);
+};
+
+const flagsFor = (recipe, lines) => classifyRecipe({
+  title: recipe.title,
+  ingredients: lines,
+  instructions: recipe.instructions.map(step => step.text),
+  readyInMinutes: recipe.prepTime
+});
+
+const toDietFlags = (flags) => ({
+  dairyFree: flags.dairyFree,
+  glutenFree: flags.glutenFree,
+  vegan: flags.vegan,
+  vegetarian: flags.vegetarian,
+  veryHealthy: flags.veryHealthy
+});
+
+// The user's recipes that use at least `minShare` of their ingredients, as
+// search result cards. Needs the database; without it there are none.
+const searchUserRecipes = async (userId, ingredients = [], { filters = [], staples, minShare = settings.local.minShare } = {}) => {
+  if (!userId || !isDatabaseReady() || ingredients.length === 0) return [];
+
+  let docs;
+  try {
+    docs = await UserRecipe.find({ user: userId }).select('-history').lean();
+  } catch (error) {
+    console.error('❌ Failed to load user recipes for search:', error.message);
+    return [];
+  }
+
+  const needed = Math.max(1, Math.ceil(ingredients.length * minShare));
+
+  return docs
+    .map(doc => {
+      const names = doc.ingredients.map(ing => canonicalizeIngredient(ing.name)).filter(name => name);
+      const used = ingredients.filter(item => names.some(name => isSameIngredient(item, name)));
+      return { doc, names, used };
+    })
+    .filter(({ used }) => used.length >= needed)
+    .map(entry => ({ ...entry, flags: flagsFor(entry.doc, entry.doc.ingredients.map(formatIngredientLine)) }))
+    .filter(({ flags }) => matchesFilters(flags, filters))
+    .map(({ doc, names, flags }) => ({
+      id: `${ID_PREFIX}${doc._id}`,
+      title: doc.title,
+      image: doc.image || DEFAULT_IMAGE,
+      readyInMinutes: doc.prepTime,
+      servings: doc.servings,
+      ...toMatchFields(ingredients, names, { title: doc.title, staples }),
+      cheap: true,
+      ...toDietFlags(flags),
+      veryPopular: false,
+      summary: doc.description || 'One of your recipes',
+      source: 'mine',
+      isFree: true,
+      instructions: doc.instructions.map(step => step.text)
+    }));
+};
+
+// Detail view of one of the user's recipes, or null when it isn't theirs
+const getUserRecipeDetails = async (userId, id) => {
+  const documentId = toDocumentId(id);
+  if (!userId || !documentId || !isDatabaseReady()) return null;
+
+  const doc = await UserRecipe.findOne({ _id: documentId, user: userId }).select('-history').lean();
+  if (!doc) return null;
+
+  const lines = doc.ingredients.map(formatIngredientLine);
+  return {
+    id: `${ID_PREFIX}${doc._id}`,
+    title: doc.title,
+    image: doc.image || DEFAULT_IMAGE,
+    readyInMinutes: doc.prepTime,
+    servings: doc.servings,
+    summary: doc.description,
+    extendedIngredients: doc.ingredients.map((ing, idx) => ({
+      id: idx + 1,
+      name: ing.name,
+      original: lines[idx],
+      amount: ing.amount,
+      amountMax: ing.amountMax,
+      unit: ing.unit,
+      preparation: ing.preparation
+    })),
+    analyzedInstructions: [{
+      steps: doc.instructions.map((step, idx) => ({
+        number: idx + 1,
+        step: step.text,
+        ...(step.minutes && { length: { number: step.minutes, unit: 'minutes' } })
+      }))
+    }],
+    tips: doc.tips,
+    ...toDietFlags(flagsFor(doc, lines)),
+    creditsText: 'My Recipes',
+    source: 'mine',
+    isFree: true
+  };
+};
+
+module.exports = {
+  isUserRecipeId,
+  toDocumentId,
+  toUserRecipe,
+  fromRecipeDetails,
+  importRecipe,
+  createUserRecipe,
+  recordVersion,
+  findVersion,
+  revertToVersion,
+  searchUserRecipes,
+  getUserRecipeDetails
+};
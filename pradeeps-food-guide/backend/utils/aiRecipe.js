@@ -0,0 +1,240 @@
+// Prompt and response helpers shared by the AI recipe providers
+const { toExtendedIngredients, toAnalyzedInstructions } = require('./recipeFormat');
+const { parseModelJson, validateRecipe } = require('./recipeSchema');
+const { normalizeIngredient, toMatchFields } = require('./ingredients');
+const { parseIngredientLine } = require('./ingredientParser');
+const { ai } = require('../config/providers');
+const { classifyRecipe } = require('./dietary');
+const { toPromptConstraints, matchesFilters } = require('./filters');
+
+const AI_IMAGE = 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?w=312&h=231&fit=crop&q=80';
+const AI_DETAIL_IMAGE = 'https://images.unsplash.com/photo-1490818387583-1baba5e638af?w=556&h=370&fit=crop&q=80';
+
+// Asking for several recipes in one go tends to produce the same dish three
+// times, so every recipe in a search is steered towards a different style
+const RECIPE_STYLES = [
+  'a classic home-style dish',
+  'an Indian-inspired dish',
+  'an Asian stir-fry, rice or noodle dish',
+  'a Mediterranean dish',
+  'a baked or roasted dish',
+  'a soup, stew or curry',
+  'a salad or light bowl',
+  'a Mexican-inspired dish',
+  'a breakfast or brunch dish',
+  'a one-pan or skillet dish',
+  'a grilled or pan-seared dish',
+  'a snack or small plate',
+  'a pasta or grain dish',
+  'a wrap, sandwich or flatbread',
+  'a slow-cooked comfort dish'
+];
+
+// Most recipes one AI search generates; every recipe needs a style of its own
+const MAX_RECIPES = Math.min(ai.maxRecipes, RECIPE_STYLES.length);
+
+// Output budget for `count` recipes, roughly 450 tokens each
+const maxTokensFor = (count) => Math.min(100 + 450 * count, 4096);
+
+// Split a search for `number` recipes into parallel calls, each with its own styles
+const planRecipeBatches = (number) => {
+  const count = Math.max(1, Math.min(number || 1, MAX_RECIPES));
+  const batches = [];
+
+  for (let start = 0; start < count; start += ai.recipesPerCall) {
+    batches.push(RECIPE_STYLES.slice(start, Math.min(start + ai.recipesPerCall, count)));
+  }
+
+  return batches;
+};
+
+const buildRecipePrompt = (ingredients, filters = [], styles = [RECIPE_STYLES[0]]) => {
+  const count = styles.length;
+  const constraints = toPromptConstraints(filters);
+
+  return `Create ${count === 1 ? 'a simple, practical, real-life recipe' : `${count} different simple, practical, real-life recipes`} using only these ingredients or some extras. Include the list of ingredients and step-by-step procedures: ${ingredients.join(', ')}.
+${count === 1 ? `Make it ${styles[0]}.` : `Make each recipe clearly different, one of each: ${styles.join('; ')}.`}
+${constraints ? `${count === 1 ? 'The recipe' : 'Every recipe'} MUST be:\n${constraints}\n` : ''}
+IMPORTANT: Return ONLY valid JSON, no other text.
+
+Required JSON format:
+{
+  "recipes": [
+    {
+      "title": "Recipe Name",
+      "description": "Brief description (1 sentence)",
+      "prepTime": 25,
+      "servings": 2,
+      "ingredients": ["ingredient1 - quantity", "ingredient2 - quantity"],
+      "instructions": ["Step 1", "Step 2", "Step 3"],
+      "tips": "Optional cooking tip"
+    }
+  ]
+}
+
+The "recipes" array must contain exactly ${count} recipe${count !== 1 ? 's' : ''}.
+Write every ingredient as "name - quantity", e.g. "chicken - 200g" or "salt - to taste".
+"prepTime" is the total time in minutes and "servings" a whole number; list the steps in cooking order, without numbering.
+Make it simple, easy to follow, and practical for home cooking.`;
+};
+
+// Parse a model response and validate every recipe in it against the schema.
+// Returns { recipes, errors }; recipes only holds the usable ones.
+const parseRecipeResponse = (text) => {
+  const parsed = parseModelJson(text);
+  if (!parsed) return { recipes: [], errors: ['no JSON object found in the response'] };
+
+  const value = parsed.value;
+  const candidates = Array.isArray(value) ? value : Array.isArray(value?.recipes) ? value.recipes : [value];
+  if (candidates.length === 0) return { recipes: [], errors: ['"recipes" is empty'] };
+
+  const recipes = [];
+  const errors = [];
+  candidates.forEach((candidate, idx) => {
+    const result = validateRecipe(candidate);
+    if (result.recipe) recipes.push(result.recipe);
+    else errors.push(...result.errors.map(error => (candidates.length > 1 ? `recipe ${idx + 1}: ${error}` : error)));
+  });
+
+  if (recipes.length > 0 && parsed.repaired) console.log('🔧 Repaired malformed recipe JSON');
+  return { recipes, errors };
+};
+
+// Second attempt after an unusable answer: same request, plus what was wrong with the first one
+const buildRepairPrompt = (prompt, previousText, errors) => `${prompt}
+
+Your previous answer could not be used because: ${errors.slice(0, 10).join('; ')}.
+Previous answer:
+${String(previousText || '').slice(0, 1500)}
+
+Reply again with the complete JSON object in the required format, nothing else.`;
+
+// Validate a model answer and, if none of its recipes are usable, ask the same model once more.
+// `complete(prompt)` sends a prompt to that model and resolves with its text.
+// Resolves with the normalized recipes, empty when the second answer fails too.
+const ensureValidRecipes = async ({ label, prompt, text, complete }) => {
+  let { recipes, errors } = parseRecipeResponse(text);
+  if (recipes.length > 0) {
+    if (errors.length > 0) console.log(`⚠️ ${label} dropped invalid recipes (${errors.join('; ')})`);
+    return recipes;
+  }
+
+  console.log(`⚠️ ${label} recipes failed validation (${errors.join('; ')}), asking again`);
+  const retryText = await complete(buildRepairPrompt(prompt, text, errors));
+  ({ recipes, errors } = parseRecipeResponse(retryText));
+
+  if (recipes.length === 0) console.log(`❌ ${label} recipes still invalid: ${errors.join('; ')}`);
+  return recipes;
+};
+
+const titleKey = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const ingredientNames = (recipe) => new Set(
+  recipe.ingredients.map(line => normalizeIngredient(parseIngredientLine(line).name)).filter(name => name)
+);
+
+// Share of ingredients two recipes have in common (Jaccard index)
+const ingredientOverlap = (a, b) => {
+  const shared = [...a].filter(name => b.has(name)).length;
+  const total = new Set([...a, ...b]).size;
+  return total === 0 ? 0 : shared / total;
+};
+
+// Parallel calls don't see each other, so drop recipes that share a title or
+// are essentially the same ingredient list as one we already kept
+const dedupeRecipes = (recipes, threshold = 0.8) => {
+  const kept = [];
+
+  recipes.forEach(recipe => {
+    const names = ingredientNames(recipe);
+    const duplicate = kept.some(other =>
+      titleKey(other.recipe.title) === titleKey(recipe.title) || ingredientOverlap(other.names, names) >= threshold
+    );
+    if (duplicate) {
+      console.log(`♻️ Dropping duplicate AI recipe: ${recipe.title}`);
+      return;
+    }
+    kept.push({ recipe, names });
+  });
+
+  return kept.map(entry => entry.recipe);
+};
+
+const flagsFor = (recipe) => classifyRecipe({
+  title: recipe.title,
+  ingredients: recipe.ingredients || [],
+  instructions: recipe.instructions || [],
+  readyInMinutes: recipe.prepTime
+});
+
+// Fan a search out over parallel `generate(styles)` calls and merge the results.
+// Models don't always respect diets, so recipes breaking a strict filter are dropped.
+const generateRecipeSet = async ({ number, filters = [] }, generate) => {
+  const batches = planRecipeBatches(number);
+  const results = await Promise.all(batches.map(styles => generate(styles)));
+
+  return dedupeRecipes(results.flat()).filter(recipe => {
+    if (matchesFilters(flagsFor(recipe), filters, { strictOnly: true })) return true;
+    console.log(`🚫 Dropping AI recipe that ignores the ${filters.join('/')} filter: ${recipe.title}`);
+    return false;
+  });
+};
+
+const toDietFlags = (record) => {
+  const flags = flagsFor(record);
+  return {
+    dairyFree: flags.dairyFree,
+    glutenFree: flags.glutenFree,
+    vegan: flags.vegan,
+    vegetarian: flags.vegetarian,
+    veryHealthy: flags.veryHealthy
+  };
+};
+
+// Map a stored generated recipe onto the search result card shape; the match
+// is scored like any other recipe rather than trusted to the model
+const toSearchResult = (record, { label, source, ingredients, staples }) => ({
+  id: record.recipeId,
+  title: record.title || `${label} AI Recipe`,
+  image: AI_IMAGE,
+  readyInMinutes: record.prepTime || 20,
+  servings: record.servings || 2,
+  ...toMatchFields(ingredients, (record.ingredients || []).map(line => parseIngredientLine(line).name), { title: record.title, staples }),
+  cheap: true,
+  ...toDietFlags(record),
+  veryPopular: false,
+  summary: record.description || `${label} AI recipe using ${ingredients.join(', ')}`,
+  source: source,
+  modelUsed: record.model,
+  isFree: true,
+  instructions: record.instructions || [],
+  tips: record.tips || ''
+});
+
+// Map a stored generated recipe onto the detail shape RecipeModal consumes
+const toRecipeDetails = (record, { source }) => ({
+  id: record.recipeId,
+  title: record.title,
+  image: AI_DETAIL_IMAGE,
+  readyInMinutes: record.prepTime || 20,
+  servings: record.servings || 2,
+  summary: record.description || `AI-generated recipe using ${(record.prompt?.ingredients || []).join(', ')}`,
+  extendedIngredients: toExtendedIngredients(record.ingredients),
+  analyzedInstructions: toAnalyzedInstructions(record.instructions),
+  tips: record.tips || '',
+  ...toDietFlags(record),
+  source: source,
+  modelUsed: record.model,
+  generatedAt: record.createdAt,
+  isFree: true
+});
+
+module.exports = {
+  MAX_RECIPES,
+  buildRecipePrompt,
+  maxTokensFor,
+  ensureValidRecipes,
+  generateRecipeSet,
+  toSearchResult,
+  toRecipeDetails
+};
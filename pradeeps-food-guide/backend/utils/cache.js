@@ -0,0 +1,51 @@
+// Small in-memory LRU cache with per-entry TTL.
+// Map keeps insertion order, so re-inserting on read moves an entry to the back
+// and the first key is always the least recently used one.
+
+const createCache = ({ max = 500, ttl = 60 * 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value, entryTtl = ttl) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + entryTtl });
+
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    get,
+    set,
+    has: (key) => get(key) !== undefined,
+    delete: (key) => entries.delete(key),
+    // Drops every entry whose value matches, e.g. everything from one provider
+    deleteWhere: (predicate) => {
+      entries.forEach((entry, key) => {
+        if (predicate(entry.value)) entries.delete(key);
+      });
+    },
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = {
+  createCache
+};
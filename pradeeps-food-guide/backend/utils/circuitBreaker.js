@@ -0,0 +1,103 @@
+// Circuit breakers for the outside services we call (providers and individual models).
+//
+//   closed     requests go through; consecutive failures are counted
+//   open       after `failureThreshold` failures in a row, requests are refused
+//              until `cooldownMs` has passed
+//   half-open  after the cooldown one trial request is let through; success
+//              closes the circuit, failure opens it again for another cooldown
+//
+// Breakers are kept in a module-level map keyed by name ("gemini",
+// "gemini:gemini-1.5-pro", ...) so every request shares the same state.
+const { circuitBreaker: defaults } = require('../config/providers');
+
+const circuits = new Map();
+
+const createCircuitBreaker = (name, { failureThreshold = defaults.failureThreshold, cooldownMs = defaults.cooldownMs } = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  let lastFailureAt = null;
+  let lastSuccessAt = null;
+
+  const open = () => {
+    if (state !== 'open') console.log(`🔌 Circuit opened for ${name} after ${failures} failure${failures !== 1 ? 's' : ''}`);
+    state = 'open';
+    openedAt = Date.now();
+  };
+
+  // Moves an expired open circuit to half-open; reading the state never lets a request through
+  const currentState = () => {
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+      state = 'half-open';
+      trialInFlight = false;
+    }
+    return state;
+  };
+
+  const canRequest = () => {
+    const current = currentState();
+    if (current === 'closed') return true;
+    if (current === 'open' || trialInFlight) return false;
+
+    trialInFlight = true;
+    return true;
+  };
+
+  const recordSuccess = () => {
+    if (state !== 'closed') console.log(`🔌 Circuit closed for ${name}`);
+    state = 'closed';
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+    lastSuccessAt = new Date();
+  };
+
+  const recordFailure = (error) => {
+    failures += 1;
+    trialInFlight = false;
+    lastError = error?.message || String(error);
+    lastFailureAt = new Date();
+
+    if (state === 'half-open' || failures >= failureThreshold) open();
+  };
+
+  // Give back a half-open trial that ended without telling us anything (e.g. it was cancelled)
+  const release = () => {
+    trialInFlight = false;
+  };
+
+  const snapshot = () => ({
+    state: currentState(),
+    failures,
+    lastError,
+    lastFailureAt,
+    lastSuccessAt,
+    retryAt: state === 'open' ? new Date(openedAt + cooldownMs) : null
+  });
+
+  return {
+    name,
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    release,
+    snapshot,
+    get state() {
+      return currentState();
+    }
+  };
+};
+
+const getCircuit = (name, options) => {
+  if (!circuits.has(name)) {
+    circuits.set(name, createCircuitBreaker(name, options));
+  }
+  return circuits.get(name);
+};
+
+module.exports = {
+  createCircuitBreaker,
+  getCircuit
+};
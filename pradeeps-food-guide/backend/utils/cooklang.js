@@ -0,0 +1,313 @@
+// Cooklang (https://cooklang.org): recipes as plain text with ingredients,
+// cookware and timers marked inside the steps:
+//   Fry the @onion{1}(finely chopped) in a #frying pan{} for ~{5%minutes}.
+// Metadata goes in front matter (title, servings, time, ...), each paragraph
+// is a step and "> " lines are notes. toCooklang writes our detail shape
+// (extendedIngredients / analyzedInstructions); parseCooklang reads a .cook
+// file into what toUserRecipe takes.
+const { canonicalizeIngredient } = require('./ingredients');
+const { parseQuantity, normalizeUnit } = require('./ingredientParser');
+
+const DEFAULT_MINUTES = 30;
+const DEFAULT_SERVINGS = 2;
+
+// Longest first, so "frying pan" is marked rather than "pan"
+const COOKWARE = [
+  'pressure cooker', 'food processor', 'mortar and pestle', 'dutch oven', 'slow cooker', 'air fryer',
+  'baking sheet', 'baking dish', 'baking tray', 'baking tin', 'cake tin', 'loaf tin', 'muffin tin',
+  'frying pan', 'mixing bowl', 'cutting board', 'rolling pin', 'wire rack', 'stand mixer',
+  'saucepan', 'skillet', 'kadai', 'kadhai', 'wok', 'tawa', 'griddle', 'casserole', 'stockpot',
+  'blender', 'whisk', 'colander', 'sieve', 'strainer', 'steamer', 'grater', 'ramekin', 'spatula',
+  'oven', 'microwave', 'grill', 'pot', 'pan', 'bowl', 'tray', 'jar'
+].sort((a, b) => b.length - a.length);
+
+const DURATION = /(\d+(?:\.\d+)?(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?)\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\b/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text the markup would otherwise pick up: @ # ~ start tokens, "--" starts a comment
+const escapeText = (text) => text.replace(/([@#~])/g, '\\$1').replace(/--/g, '–').replace(/\[-/g, '[ -');
+
+// Names end at the first punctuation when read back, and notes and units sit
+// inside () and {}, so those characters can't appear in them
+const cleanName = (text) => String(text || '').replace(/[@#~{}()%,.;:!?\n]/g, ' ').replace(/\s+/g, ' ').trim();
+const cleanNote = (text) => String(text || '').replace(/[{}()%\n]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const plainText = (value) => String(value || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const toTimerUnit = (unit) => {
+  if (/^h/i.test(unit)) return 'hours';
+  if (/^s/i.test(unit)) return 'seconds';
+  return 'minutes';
+};
+
+// A step is a list of segments; only plain ones can still be marked up.
+// `pattern` starts with a group for the character before the word.
+const markFirst = (segments, pattern, toMarkup) => {
+  for (let idx = 0; idx < segments.length; idx++) {
+    const segment = segments[idx];
+    if (segment.markup) continue;
+
+    const match = segment.text.match(pattern);
+    if (!match) continue;
+
+    const start = match.index + match[1].length;
+    const end = match.index + match[0].length;
+    segments.splice(idx, 1,
+      { text: segment.text.slice(0, start) },
+      { text: toMarkup(segment.text.slice(start, end)), markup: true },
+      { text: segment.text.slice(end) });
+    return true;
+  }
+  return false;
+};
+
+const ingredientMarkup = (ing) => {
+  const name = cleanName(ing.name);
+  const amount = ing.amount === null || ing.amount === undefined
+    ? ''
+    : `${ing.amountMax ? `${ing.amount}-${ing.amountMax}` : ing.amount}${ing.unit ? `%${cleanNote(ing.unit)}` : ''}`;
+  const preparation = cleanNote(ing.preparation);
+  const braces = amount || preparation || /\s/.test(name) ? `{${amount}}` : '';
+  return `@${name}${braces}${preparation ? `(${preparation})` : ''}`;
+};
+
+// The step text, or its last word ("rice" for "basmati rice"), with an optional plural
+const ingredientPatterns = (name) => {
+  const words = name.split(' ');
+  const candidates = [name];
+  if (words.length > 1 && words[words.length - 1].length > 2) candidates.push(words[words.length - 1]);
+  return candidates.map(candidate => new RegExp(`(^|[^\\w@#~])${escapeRegExp(candidate)}(?:e?s)?(?![\\w{])`, 'i'));
+};
+
+// Detail-shape recipe → Cooklang text. Each ingredient is marked where a step
+// first mentions it; the ones no step mentions go in an "ingredients" front
+// matter entry (still marked up) rather than a made-up step.
+const toCooklang = (recipe) => {
+  const steps = (recipe.analyzedInstructions || []).flatMap(block => block.steps || []);
+  const stepSegments = steps.map(step => [{ text: plainText(step.step) }]);
+
+  const unmentioned = [];
+  (recipe.extendedIngredients || []).forEach(ing => {
+    const name = cleanName(ing.name);
+    if (!name) return;
+    const found = ingredientPatterns(name.toLowerCase()).some(pattern => (
+      stepSegments.some(segments => markFirst(segments, pattern, () => ingredientMarkup(ing)))
+    ));
+    if (!found) unmentioned.push(ingredientMarkup(ing));
+  });
+
+  COOKWARE.forEach(tool => {
+    const pattern = new RegExp(`(^|[^\\w@#~])${escapeRegExp(tool)}(?![\\w{])`, 'i');
+    stepSegments.some(segments => markFirst(segments, pattern, (text) => (/\s/.test(text) ? `#${text}{}` : `#${text}`)));
+  });
+
+  const lines = stepSegments.map((segments, idx) => {
+    let timed = false;
+    const text = segments.map(segment => {
+      if (segment.markup) return segment.text;
+      return escapeText(segment.text).replace(DURATION, (match, amount, unit) => {
+        timed = true;
+        return `~{${amount.replace(/\s*(?:–|to)\s*/, '-').replace(/\s+/g, '')}%${toTimerUnit(unit)}}`;
+      });
+    }).join('').replace(/\s+/g, ' ').trim();
+
+    const length = steps[idx].length;
+    if (!timed && length && length.number) return `${text} (~{${length.number}%${toTimerUnit(length.unit || 'minutes')}})`;
+    return text;
+  });
+
+  const metadata = [
+    ['title', plainText(recipe.title)],
+    ['description', plainText(recipe.summary || recipe.description)],
+    ['servings', recipe.servings],
+    ['time', recipe.readyInMinutes ? `${recipe.readyInMinutes} minutes` : null],
+    ['ingredients', unmentioned.join(', ')],
+    ['image', recipe.image],
+    ['source', recipe.sourceUrl]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const notes = String(recipe.tips || '').split('\n').map(line => line.trim()).filter(line => line);
+
+  return [
+    '---',
+    ...metadata.map(([key, value]) => `${key}: ${String(value).replace(/\n/g, ' ')}`),
+    '---',
+    '',
+    ...lines.flatMap(line => [line, '']),
+    ...notes.map(note => `> ${note}`)
+  ].join('\n').trim() + '\n';
+};
+
+// "1 hour 30 minutes", "45 min", "1.5h", "90" → minutes
+const toMinutes = (value) => {
+  const text = String(value || '');
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/i);
+  const minutes = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/i);
+  if (hours || minutes) return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0));
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? Math.round(number) : null;
+};
+
+const readMetadata = (lines) => {
+  const metadata = {};
+  const add = (line) => {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) metadata[match[1].trim().toLowerCase()] = match[2].trim().replace(/^["']|["']$/g, '');
+  };
+
+  let body = lines;
+  if (lines[0] && lines[0].trim() === '---') {
+    const end = lines.findIndex((line, idx) => idx > 0 && line.trim() === '---');
+    if (end !== -1) {
+      lines.slice(1, end).forEach(add);
+      body = lines.slice(end + 1);
+    }
+  }
+
+  // The older ">> key: value" form
+  body = body.filter(line => {
+    const match = line.match(/^\s*>>\s*(.*)$/);
+    if (match) add(match[1]);
+    return !match;
+  });
+
+  return { metadata, body };
+};
+
+const ESCAPED = { '@': '\u{F0001}', '#': '\u{F0002}', '~': '\u{F0003}' };
+
+const unescape = (text) => Object.entries(ESCAPED).reduce((result, [char, placeholder]) => result.split(placeholder).join(char), text);
+
+const TOKEN = /([@#])(?:([^@#~{}\n,.;:!?]+?)\{([^}]*)\}|([^\s@#~{}(),.;:!?]+))(?:\(([^)]*)\))?|~([^@#~{}\n]*?)\{([^}]*)\}/g;
+
+// "{2%cups}" contents → { amountText, unit }; "=" marks a fixed quantity, which we don't need
+const splitQuantity = (text) => {
+  const [amountText = '', unit = ''] = String(text || '').split('%');
+  return { amountText: amountText.replace(/^=/, '').trim(), unit: unit.trim() };
+};
+
+const timerMinutes = (amountText, unit) => {
+  const numbers = amountText.split(/\s*-\s*/).map(Number).filter(number => Number.isFinite(number));
+  if (numbers.length === 0) return 0;
+  const value = Math.max(...numbers);
+  if (/^h/i.test(unit)) return value * 60;
+  if (/^s/i.test(unit)) return value / 60;
+  if (/^d/i.test(unit)) return value * 1440;
+  return value;
+};
+
+// Repeats of an ingredient ("@salt{1%tsp}" ... "@salt{1/2%tsp}") add up when the units agree
+const addIngredient = (ingredients, item) => {
+  const key = canonicalizeIngredient(item.name) || item.name.toLowerCase();
+  const quantity = item.amount ? parseQuantity(`${item.amount} ${item.unit || ''}`.trim()) : null;
+  const existing = ingredients.find(ing => ing.key === key);
+
+  if (!existing) {
+    ingredients.push({ ...item, key, quantity });
+    return;
+  }
+  if (!quantity || quantity.amountMax !== null) return;
+  if (existing.quantity && existing.quantity.amountMax === null && existing.quantity.unit === quantity.unit && !existing.quantity.rest && !quantity.rest) {
+    existing.quantity = { ...existing.quantity, amount: Math.round((existing.quantity.amount + quantity.amount) * 1000) / 1000 };
+    existing.amount = String(existing.quantity.amount);
+    return;
+  }
+  if (!existing.amount) {
+    Object.assign(existing, item, { key, quantity });
+    return;
+  }
+  ingredients.push({ ...item, key, quantity });
+};
+
+const parseStep = (text, ingredients) => {
+  let minutes = 0;
+  const plain = text.replace(TOKEN, (match, marker, longName, braces, shortName, note, timerName, timer) => {
+    if (timer !== undefined) {
+      const { amountText, unit } = splitQuantity(timer);
+      minutes += timerMinutes(amountText, unit);
+      return [amountText, unit].filter(part => part).join(' ') || timerName.trim();
+    }
+
+    const name = unescape((longName || shortName).trim());
+    if (marker === '#') return name;
+
+    const { amountText, unit } = splitQuantity(braces);
+    const quantity = amountText ? parseQuantity(amountText) : null;
+    const numeric = quantity && quantity.amount !== null && !quantity.rest;
+    addIngredient(ingredients, {
+      name,
+      amount: numeric ? amountText : '',
+      unit: numeric ? normalizeUnit(unit) || unit || '' : '',
+      preparation: [numeric ? '' : [amountText, unit].filter(part => part).join(' '), note && note.trim()].filter(part => part).join(', ')
+    });
+    return name;
+  });
+
+  return { text: unescape(plain).replace(/\\/g, '').replace(/\s+/g, ' ').trim(), minutes: minutes > 0 ? Math.round(minutes) : null };
+};
+
+// .cook text → { recipe, errors } with recipe in the shape toUserRecipe takes.
+// `name` (the file name) is the title when the file doesn't set one.
+const parseCooklang = (content, { name } = {}) => {
+  if (typeof content !== 'string' || !content.trim()) return { recipe: null, errors: ['the Cooklang file is empty'] };
+
+  // Front matter first: its "---" would otherwise read as a comment
+  const { metadata, body: lines } = readMetadata(content.replace(/\r\n?/g, '\n').split('\n'));
+  const body = lines.join('\n')
+    .replace(/\\([@#~])/g, (match, char) => ESCAPED[char])
+    .replace(/\[-[\s\S]*?-\]/g, '')
+    .replace(/--.*$/gm, '')
+    .split('\n');
+
+  const notes = [];
+  const paragraphs = [];
+  let current = [];
+  body.forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('>')) {
+      notes.push(trimmed.replace(/^>\s*/, ''));
+    } else if (!trimmed || /^=+/.test(trimmed)) {
+      // Blank lines end a step; "= Section" headings only group steps, so they end one too
+      if (current.length > 0) paragraphs.push(current.join(' '));
+      current = [];
+    } else {
+      current.push(trimmed);
+    }
+  });
+  if (current.length > 0) paragraphs.push(current.join(' '));
+
+  // Ingredients no step mentions come first, from the front matter toCooklang writes
+  const ingredients = [];
+  if (metadata.ingredients) parseStep(metadata.ingredients, ingredients);
+  const instructions = paragraphs.map(text => parseStep(text, ingredients)).filter(step => step.text);
+
+  const title = metadata.title || String(name || '').replace(/\.cook$/i, '').replace(/[_-]+/g, ' ').trim();
+  if (!title) return { recipe: null, errors: ['the Cooklang file needs a title'] };
+  if (instructions.length === 0) return { recipe: null, errors: ['the Cooklang file has no steps'] };
+
+  const timed = instructions.reduce((sum, step) => sum + (step.minutes || 0), 0);
+  const time = toMinutes(metadata.time || metadata.duration || metadata['total time'] || metadata['time required']) ||
+    (toMinutes(metadata['prep time']) || 0) + (toMinutes(metadata['cook time']) || 0);
+  const servingsMatch = String(metadata.servings || metadata.serves || metadata.yield || '').match(/\d+/);
+  const servings = servingsMatch ? parseInt(servingsMatch[0]) : null;
+
+  return {
+    recipe: {
+      title: unescape(title),
+      description: unescape(metadata.description || ''),
+      image: /^https?:\/\//.test(metadata.image || '') ? metadata.image : '',
+      prepTime: time || timed || DEFAULT_MINUTES,
+      servings: servings > 0 ? servings : DEFAULT_SERVINGS,
+      ingredients: ingredients.map(({ name: ingredientName, amount, unit, preparation }) => ({ name: ingredientName, amount, unit, preparation })),
+      instructions,
+      tips: unescape(notes.join('\n'))
+    },
+    errors: []
+  };
+};
+
+module.exports = {
+  toCooklang,
+  parseCooklang
+};
@@ -0,0 +1,265 @@
+// Rewrites a recipe (the detail shape from getRecipeDetails) for POST /api/recipes/:id/customize:
+//   servings    scales every quantity
+//   spiceLevel  mild / medium / spicy, adjusts chilli and pepper amounts
+//   swaps       dietary swaps (vegetarian, vegan, dairyfree, glutenfree)
+//   exclude     ingredients to leave out, removed from the steps too
+// Ingredients must already be parsed ({ name, amount, amountMax, unit, preparation }).
+const { formatQuantity } = require('./ingredientParser');
+const { normalizeIngredient, canonicalizeIngredient, ingredientFamily } = require('./ingredients');
+const { PLANT_BASED, GLUTEN_FREE } = require('./dietary');
+
+const SPICE_LEVELS = {
+  mild: { factor: 0.5, note: 'go easy' },
+  medium: { factor: 1, note: null },
+  spicy: { factor: 1.5, note: 'be generous' }
+};
+
+const HEAT = /\b(?:chil(?:l)?i(?:e)?s?|chiles?|jalapenos?|cayenne|sriracha|hot sauce|gochujang|harissa|pepper flakes|black pepper|peppercorns?|pepper)\b/;
+const NOT_HEAT = /\b(?:bell|sweet|capsicum)\b/;
+
+// Swaps per diet; applied in DIET_ORDER so that e.g. vegetarian's "fish sauce → soy sauce"
+// is turned into tamari again when gluten-free is asked for as well
+const DIET_ORDER = ['vegetarian', 'vegan', 'dairyfree', 'glutenfree'];
+
+const MEAT_SWAPS = (poultry) => [
+  { terms: ['chicken stock', 'chicken broth', 'beef stock', 'beef broth', 'fish stock', 'bone broth'], replacement: 'vegetable stock' },
+  { terms: ['fish sauce'], replacement: 'soy sauce' },
+  { terms: ['oyster sauce'], replacement: 'mushroom sauce' },
+  { terms: ['gelatin', 'gelatine'], replacement: 'agar agar' },
+  { terms: ['minced meat', 'ground beef', 'ground pork', 'ground lamb', 'mince', 'keema'], replacement: 'soy mince' },
+  { terms: ['bacon', 'ham', 'chorizo', 'sausage', 'pepperoni', 'salami', 'prosciutto'], replacement: 'smoked tofu' },
+  { terms: ['chicken', 'turkey', 'duck'], replacement: poultry },
+  { terms: ['beef', 'lamb', 'mutton', 'goat', 'pork', 'veal', 'meat'], replacement: 'mushrooms' },
+  { terms: ['prawn', 'shrimp', 'crab', 'lobster', 'squid', 'mussel', 'clam', 'scallop'], replacement: 'king oyster mushrooms' },
+  { terms: ['salmon', 'tuna', 'cod', 'tilapia', 'sardine', 'anchovy', 'fish'], replacement: 'firm tofu' }
+];
+
+const DAIRY_SWAPS = [
+  { terms: ['condensed milk'], replacement: 'coconut condensed milk' },
+  { terms: ['buttermilk'], replacement: 'oat milk with a squeeze of lemon' },
+  { terms: ['parmesan'], replacement: 'nutritional yeast', ratio: 0.5 },
+  { terms: ['cheese', 'mozzarella', 'cheddar', 'feta', 'ricotta'], replacement: 'dairy-free cheese' },
+  { terms: ['paneer'], replacement: 'firm tofu' },
+  { terms: ['ghee'], replacement: 'coconut oil' },
+  { terms: ['butter'], replacement: 'dairy-free butter' },
+  { terms: ['cream'], replacement: 'coconut cream' },
+  { terms: ['yogurt', 'yoghurt', 'curd'], replacement: 'coconut yogurt' },
+  { terms: ['milk'], replacement: 'oat milk' }
+];
+
+const SWAPS = {
+  vegetarian: MEAT_SWAPS('paneer'),
+  vegan: [
+    ...MEAT_SWAPS('firm tofu'),
+    ...DAIRY_SWAPS,
+    { terms: ['egg'], replacement: 'flax egg', preparation: '1 tbsp ground flaxseed + 3 tbsp water per egg' },
+    { terms: ['honey'], replacement: 'maple syrup' },
+    { terms: ['mayonnaise', 'mayo'], replacement: 'vegan mayonnaise' }
+  ],
+  dairyfree: DAIRY_SWAPS,
+  glutenfree: [
+    { terms: ['soy sauce'], replacement: 'tamari' },
+    { terms: ['breadcrumbs', 'breadcrumb'], replacement: 'gluten-free breadcrumbs' },
+    { terms: ['spaghetti', 'penne', 'macaroni', 'pasta'], replacement: 'gluten-free pasta' },
+    { terms: ['noodle'], replacement: 'rice noodles' },
+    { terms: ['all-purpose flour', 'whole wheat flour', 'maida', 'atta', 'flour'], replacement: 'gluten-free flour blend' },
+    { terms: ['semolina', 'rava', 'sooji'], replacement: 'fine cornmeal' },
+    { terms: ['couscous', 'bulgur'], replacement: 'quinoa' },
+    { terms: ['barley'], replacement: 'brown rice' },
+    { terms: ['tortilla'], replacement: 'corn tortillas' },
+    { terms: ['bread', 'bun', 'pita', 'naan', 'roti', 'chapati'], replacement: 'gluten-free bread' },
+    { terms: ['beer'], replacement: 'gluten-free beer' }
+  ]
+};
+
+// Ingredients that only look like they need swapping ("almond milk", "rice flour")
+const ALREADY_FINE = {
+  vegan: PLANT_BASED,
+  dairyfree: PLANT_BASED,
+  glutenfree: GLUTEN_FREE
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole word with an optional plural, like dietary.js
+const wordPattern = (term, flags = 'i') => new RegExp(`\\b${escapeRegex(term)}(?:e?s)?\\b`, flags);
+
+const round = (value) => (value === null || value === undefined ? value : Math.round(value * 1000) / 1000);
+
+const toList = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [])
+  .filter(item => typeof item === 'string')
+  .map(item => item.trim())
+  .filter(item => item);
+
+// Request body → { options, errors }
+const parseCustomizeOptions = (body = {}) => {
+  const errors = [];
+
+  const servings = body.servings === undefined ? null : Number(body.servings);
+  if (servings !== null && !(Number.isInteger(servings) && servings >= 1 && servings <= 24)) {
+    errors.push('servings must be a whole number between 1 and 24');
+  }
+
+  const spiceLevel = body.spiceLevel || 'medium';
+  if (!SPICE_LEVELS[spiceLevel]) {
+    errors.push(`spiceLevel must be one of: ${Object.keys(SPICE_LEVELS).join(', ')}`);
+  }
+
+  const swaps = [...new Set(toList(body.swaps).map(key => key.toLowerCase().replace(/[^a-z]/g, '')))];
+  const unknownSwaps = swaps.filter(key => !SWAPS[key]);
+  if (unknownSwaps.length > 0) {
+    errors.push(`Unknown swap: ${unknownSwaps.join(', ')} (available: ${DIET_ORDER.join(', ')})`);
+  }
+
+  return {
+    options: {
+      servings,
+      spiceLevel,
+      swaps: DIET_ORDER.filter(key => swaps.includes(key)),
+      exclude: [...new Set(toList(body.exclude).map(normalizeIngredient).filter(item => item))]
+    },
+    errors
+  };
+};
+
+// "Chop the onion" without the onion is "Chop the": such steps are dropped
+const DANGLING = /(?:\b(?:the|a|an|some|and|or|with|of|in|to|add|chop|slice|dice|mince|peel|wash)\s*)[.!,;:]?$/i;
+
+const removeFromStep = (step, term) => {
+  const mention = wordPattern(term, 'gi');
+  if (!mention.test(step)) return step;
+
+  const text = step
+    .replace(new RegExp(`(?:,\\s*|\\s+(?:and|or|with)\\s+)${mention.source}`, 'gi'), '')
+    .replace(new RegExp(`${mention.source}(?:\\s*,\\s*|\\s+(?:and|or)\\s+)`, 'gi'), '')
+    .replace(mention, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([.,!;:])/g, '$1')
+    .trim();
+
+  const words = text.replace(/[^\w\s]/g, '').split(/\s+/).filter(word => word);
+  return words.length < 2 || DANGLING.test(text) ? null : text;
+};
+
+// One pass over both the full name and the matched term, so "egg" → "flax egg" isn't applied twice
+const replaceInStep = (step, names, to) => {
+  const alternatives = [...new Set(names)].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  return step.replace(new RegExp(`\\b(?:${alternatives})(?:e?s)?\\b`, 'gi'), to);
+};
+
+const ingredientLine = (ingredient) => {
+  // "salt - to taste, go easy" rather than "salt - to taste, to taste, go easy"
+  if ((ingredient.amount === null || ingredient.amount === undefined) && ingredient.preparation) {
+    return `${ingredient.name} - ${ingredient.preparation}`;
+  }
+  const quantity = formatQuantity(ingredient);
+  const note = ingredient.preparation && ingredient.preparation !== quantity ? `, ${ingredient.preparation}` : '';
+  return `${ingredient.name} - ${quantity}${note}`;
+};
+
+const customizeRecipe = (recipe, { servings = null, spiceLevel = 'medium', swaps = [], exclude = [] } = {}) => {
+  const baseServings = recipe.servings || 2;
+  const targetServings = servings || baseServings;
+  const factor = targetServings / baseServings;
+  const changes = [];
+
+  let steps = (recipe.analyzedInstructions?.[0]?.steps || []).map(step => step.step);
+  // Every ingredient whose amount changes gets its line rewritten too, so
+  // `original` never contradicts `amount`
+  let ingredients = (recipe.extendedIngredients || []).map(ing => {
+    if (factor === 1 || ing.amount === null || ing.amount === undefined) return ing;
+    const scaled = { ...ing, amount: round(ing.amount * factor), amountMax: round(ing.amountMax ? ing.amountMax * factor : ing.amountMax) };
+    return { ...scaled, original: ingredientLine(scaled) };
+  });
+
+  if (factor !== 1) {
+    changes.push({ type: 'scale', note: `Scaled from ${baseServings} to ${targetServings} servings` });
+  }
+
+  // Leave out
+  exclude.forEach(term => {
+    const matcher = wordPattern(term);
+    const canonical = canonicalizeIngredient(term);
+    // "aloo" leaves out the potatoes, "chicken" every cut of chicken
+    const removed = ingredients.filter(ing =>
+      matcher.test(normalizeIngredient(ing.name)) || ingredientFamily(ing.name).includes(canonical));
+    if (removed.length === 0) return;
+
+    ingredients = ingredients.filter(ing => !removed.includes(ing));
+    removed.forEach(ing => {
+      steps = steps
+        .map(step => {
+          const withoutName = removeFromStep(step, ing.name);
+          return withoutName === null ? null : removeFromStep(withoutName, term);
+        })
+        .filter(step => step);
+      changes.push({ type: 'exclude', ingredient: ing.name, note: `Left out ${ing.name}` });
+    });
+  });
+
+  // Dietary swaps
+  swaps.forEach(diet => {
+    ingredients = ingredients.map(ing => {
+      const name = ing.name.toLowerCase();
+      if (ALREADY_FINE[diet]?.test(name)) return ing;
+
+      const rule = SWAPS[diet].find(candidate => candidate.terms.some(term => wordPattern(term).test(name)));
+      if (!rule) return ing;
+
+      const term = rule.terms.find(candidate => wordPattern(candidate).test(name));
+      const swapped = {
+        ...ing,
+        name: rule.replacement,
+        amount: round(rule.ratio && ing.amount ? ing.amount * rule.ratio : ing.amount),
+        amountMax: round(rule.ratio && ing.amountMax ? ing.amountMax * rule.ratio : ing.amountMax),
+        preparation: [ing.preparation, rule.preparation].filter(part => part).join(', ') || null
+      };
+      swapped.original = ingredientLine(swapped);
+
+      steps = steps.map(step => replaceInStep(step, [ing.name, term], rule.replacement));
+      changes.push({ type: 'swap', ingredient: ing.name, replacement: rule.replacement, note: `${ing.name} → ${rule.replacement} (${diet})` });
+      return swapped;
+    });
+  });
+
+  // Spice level
+  const spice = SPICE_LEVELS[spiceLevel] || SPICE_LEVELS.medium;
+  const isHeat = (ing) => HEAT.test(ing.name.toLowerCase()) && !NOT_HEAT.test(ing.name.toLowerCase());
+
+  if (spice.factor !== 1) {
+    ingredients = ingredients.map(ing => {
+      if (!isHeat(ing)) return ing;
+      changes.push({ type: 'spice', ingredient: ing.name, note: `${spice.factor < 1 ? 'Less' : 'More'} ${ing.name} for a ${spiceLevel} dish` });
+
+      const adjusted = ing.amount === null || ing.amount === undefined
+        ? { ...ing, preparation: [ing.preparation, spice.note].filter(part => part).join(', ') }
+        : { ...ing, amount: round(ing.amount * spice.factor), amountMax: round(ing.amountMax ? ing.amountMax * spice.factor : ing.amountMax) };
+      return { ...adjusted, original: ingredientLine(adjusted) };
+    });
+  }
+
+  if (spiceLevel === 'spicy' && !ingredients.some(isHeat)) {
+    const flakes = { name: 'red chilli flakes', amount: round(0.5 * factor), amountMax: null, unit: 'tsp', preparation: null };
+    ingredients.push({ id: ingredients.length + 1, original: ingredientLine(flakes), ...flakes });
+    steps.splice(Math.max(steps.length - 1, 0), 0, 'Stir in the red chilli flakes for extra heat.');
+    changes.push({ type: 'spice', ingredient: 'red chilli flakes', note: 'Added red chilli flakes for a spicy dish' });
+  }
+
+  return {
+    recipe: {
+      ...recipe,
+      servings: targetServings,
+      extendedIngredients: ingredients,
+      analyzedInstructions: [{ steps: steps.map((step, idx) => ({ number: idx + 1, step })) }],
+      customization: { servings: targetServings, spiceLevel, swaps, exclude }
+    },
+    changes
+  };
+};
+
+module.exports = {
+  SPICE_LEVELS,
+  DIET_ORDER,
+  parseCustomizeOptions,
+  customizeRecipe
+};
@@ -0,0 +1,134 @@
+// Works out diet and style attributes from a recipe's own ingredients, for
+// recipes that don't come with them (local and AI generated ones).
+const { parseIngredientLine } = require('./ingredientParser');
+
+const MEAT_AND_FISH = [
+  'chicken', 'beef', 'pork', 'lamb', 'mutton', 'goat', 'veal', 'turkey', 'duck', 'bacon', 'ham',
+  'sausage', 'chorizo', 'pepperoni', 'salami', 'prosciutto', 'mince', 'meat', 'gelatin',
+  'fish', 'salmon', 'tuna', 'cod', 'tilapia', 'sardine', 'anchovy', 'prawn', 'shrimp', 'crab',
+  'lobster', 'squid', 'mussel', 'clam', 'oyster', 'scallop', 'fish sauce', 'oyster sauce'
+];
+
+const DAIRY = [
+  'milk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'ghee', 'paneer', 'curd', 'whey',
+  'buttermilk', 'mozzarella', 'parmesan', 'cheddar', 'feta', 'ricotta', 'khoa', 'condensed milk'
+];
+
+const OTHER_ANIMAL = ['egg', 'honey', 'mayonnaise', 'mayo'];
+
+const GLUTEN = [
+  'pasta', 'spaghetti', 'macaroni', 'penne', 'noodle', 'bread', 'breadcrumb', 'toast', 'bun',
+  'flour', 'wheat', 'maida', 'atta', 'semolina', 'rava', 'sooji', 'couscous', 'bulgur', 'barley',
+  'rye', 'seitan', 'soy sauce', 'tortilla', 'pita', 'naan', 'roti', 'chapati', 'paratha',
+  'cracker', 'biscuit', 'cake', 'beer'
+];
+
+// Qualifiers that make an otherwise flagged ingredient fine
+const PLANT_BASED = /\b(?:vegan|plant|almond|soy|oat|coconut|rice|cashew|peanut|nut|cocoa)\b/;
+const GLUTEN_FREE = /\bgluten[- ]?free\b|\b(?:rice|corn|almond|coconut|chickpea|gram|besan|buckwheat)\s+(?:flour|noodles?|pasta|tortillas?)\b|\btamari\b/;
+
+const SPICY = [
+  'chili', 'chilli', 'chile', 'jalapeno', 'cayenne', 'habanero', 'sriracha', 'tabasco', 'hot sauce',
+  'harissa', 'gochujang', 'chili flakes', 'pepper flakes', 'curry', 'garam masala', 'wasabi', 'vindaloo',
+  'sambar powder', 'rasam powder'
+];
+
+const SWEET = [
+  'honey', 'chocolate', 'cocoa', 'maple', 'syrup', 'jaggery', 'jam', 'caramel', 'vanilla',
+  'dates', 'condensed milk', 'custard', 'dessert', 'cake', 'cookie', 'brownie', 'pudding', 'kheer',
+  'halwa', 'ice cream', 'pie'
+];
+
+const COMFORT = [
+  'stew', 'soup', 'curry', 'casserole', 'pasta', 'macaroni', 'noodle', 'potato', 'rice', 'dal',
+  'khichdi', 'porridge', 'gravy', 'risotto', 'pie', 'bake', 'grilled cheese', 'mac and cheese', 'hot chocolate'
+];
+
+const WHOLESOME = [
+  'spinach', 'broccoli', 'carrot', 'tomato', 'lettuce', 'kale', 'cabbage', 'bell pepper', 'capsicum',
+  'zucchini', 'cucumber', 'beans', 'lentil', 'chickpea', 'peas', 'mushroom', 'cauliflower', 'salad',
+  'quinoa', 'oats', 'tofu', 'avocado', 'sweet potato', 'beetroot', 'okra', 'eggplant', 'brinjal',
+  'lemon', 'fruit', 'berries', 'strawberry', 'apple', 'banana', 'orange'
+];
+
+const INDULGENT = ['cream', 'bacon', 'sausage', 'deep fry', 'deep-fry', 'fried', 'condensed milk', 'chocolate'];
+
+// Curry leaves are an aromatic, not heat (or a curry), so they're left out of mood matching
+const CURRY_LEAVES = /\bcurry\s+lea(?:f|ves)\b/g;
+
+// A pinch or a spoonful of sugar only balances a savoury dish; it takes a real
+// amount (two tablespoons or more) or a dessert title for sugar to make a recipe
+// sweet or indulgent. Grams per unit are for granulated sugar.
+const SUGAR = /\bsugar\b(?!\s+snap)/;
+const SUGAR_GRAMS = { g: 1, kg: 1000, oz: 28.35, lb: 453.6, cup: 200, tbsp: 12.5, tsp: 4.2 };
+const MAIN_SUGAR_GRAMS = 25;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match with an optional plural, so "egg" doesn't hit "eggplant"
+const buildMatcher = (terms) => new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})(?:e?s)?\\b`);
+
+const matchers = {
+  meat: buildMatcher(MEAT_AND_FISH),
+  dairy: buildMatcher(DAIRY),
+  animal: buildMatcher(OTHER_ANIMAL),
+  gluten: buildMatcher(GLUTEN),
+  spicy: buildMatcher(SPICY),
+  sweet: buildMatcher(SWEET),
+  comfort: buildMatcher(COMFORT),
+  wholesome: buildMatcher(WHOLESOME),
+  indulgent: buildMatcher(INDULGENT)
+};
+
+// "chicken - 200g", "200g chicken" and { name } all reduce to the lowercase ingredient name
+const ingredientName = (ingredient) => {
+  const name = typeof ingredient === 'string' ? parseIngredientLine(ingredient).name : ingredient?.name || '';
+  return name.toLowerCase().trim();
+};
+
+const isMainSugar = (ingredient) => {
+  const parsed = typeof ingredient === 'string' ? parseIngredientLine(ingredient) : ingredient || {};
+  if (!SUGAR.test(String(parsed.name || '').toLowerCase())) return false;
+  return parsed.amount > 0 && SUGAR_GRAMS[parsed.unit] ? parsed.amount * SUGAR_GRAMS[parsed.unit] >= MAIN_SUGAR_GRAMS : false;
+};
+
+const isDairy = (name) => matchers.dairy.test(name) && !PLANT_BASED.test(name);
+const isGluten = (name) => matchers.gluten.test(name) && !GLUTEN_FREE.test(name);
+
+// Diet flags plus the mood attributes used by the search filters
+const classifyRecipe = ({ title = '', ingredients = [], instructions = [], readyInMinutes }) => {
+  const names = ingredients.map(ingredientName).filter(name => name);
+  const text = [title, ...instructions.map(step => (typeof step === 'string' ? step : step?.step || ''))]
+    .join(' ')
+    .toLowerCase();
+  const any = (matcher) => names.some(name => matcher.test(name));
+  const moodNames = names.map(name => name.replace(CURRY_LEAVES, ''));
+  const moodText = text.replace(CURRY_LEAVES, '');
+  const anyMood = (matcher) => moodNames.some(name => matcher.test(name));
+
+  const vegetarian = !any(matchers.meat);
+  const dairyFree = !names.some(isDairy);
+  const vegan = vegetarian && dairyFree && !any(matchers.animal);
+  const glutenFree = !names.some(isGluten);
+  const dessertTitle = matchers.sweet.test(title.toLowerCase());
+  const sugary = ingredients.some(isMainSugar) || (dessertTitle && names.some(name => SUGAR.test(name)));
+  const sweet = any(matchers.sweet) || dessertTitle || sugary;
+
+  return {
+    vegetarian,
+    vegan,
+    glutenFree,
+    dairyFree,
+    veryHealthy: any(matchers.wholesome) && !any(matchers.indulgent) && !matchers.indulgent.test(text) && !sugary,
+    quick: Number(readyInMinutes) > 0 && Number(readyInMinutes) <= 30,
+    spicy: anyMood(matchers.spicy) || matchers.spicy.test(moodText),
+    sweet,
+    comfort: anyMood(matchers.comfort) || matchers.comfort.test(title.toLowerCase().replace(CURRY_LEAVES, ''))
+  };
+};
+
+module.exports = {
+  PLANT_BASED,
+  GLUTEN_FREE,
+  classifyRecipe
+};
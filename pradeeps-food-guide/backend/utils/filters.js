@@ -0,0 +1,112 @@
+// Search filters ("moods" on the Dashboard) and what each one means per provider:
+//   spoonacular  complexSearch parameters
+//   prompt       constraint added to the AI prompt
+//   strict       AI recipes that break it are dropped (diets are not a matter of taste)
+//   matches      check against classifyRecipe() flags, used for local recipes
+// Several filters can be combined; a recipe has to satisfy all of them.
+
+const FILTERS = {
+  quick: {
+    label: 'Quick',
+    spoonacular: { maxReadyTime: 30 },
+    prompt: 'ready in 30 minutes or less, including prep',
+    matches: (flags) => flags.quick
+  },
+  healthy: {
+    label: 'Healthy',
+    spoonacular: { maxCalories: 500, sort: 'healthiness' },
+    prompt: 'healthy: under 500 calories per serving, plenty of vegetables, nothing deep-fried, little added sugar or cream',
+    matches: (flags) => flags.veryHealthy
+  },
+  comfort: {
+    label: 'Comfort',
+    spoonacular: { type: 'main course' },
+    prompt: 'hearty comfort food, such as a stew, soup, curry, pasta or bake',
+    matches: (flags) => flags.comfort
+  },
+  spicy: {
+    label: 'Spicy',
+    spoonacular: { cuisine: 'indian,thai,mexican,korean,cajun,chinese' },
+    prompt: 'noticeably spicy, using chilies or hot spices',
+    matches: (flags) => flags.spicy
+  },
+  vegetarian: {
+    label: 'Vegetarian',
+    spoonacular: { diet: 'vegetarian' },
+    prompt: 'vegetarian: no meat, poultry or seafood',
+    strict: true,
+    matches: (flags) => flags.vegetarian
+  },
+  vegan: {
+    label: 'Vegan',
+    spoonacular: { diet: 'vegan' },
+    prompt: 'vegan: no meat, seafood, eggs, dairy or honey',
+    strict: true,
+    matches: (flags) => flags.vegan
+  },
+  glutenfree: {
+    label: 'Gluten-Free',
+    spoonacular: { intolerances: 'gluten' },
+    prompt: 'gluten-free: no wheat, barley, rye, regular pasta, bread or soy sauce',
+    strict: true,
+    matches: (flags) => flags.glutenFree
+  },
+  sweet: {
+    label: 'Sweet',
+    spoonacular: { type: 'dessert' },
+    prompt: 'a sweet dish or dessert',
+    matches: (flags) => flags.sweet
+  }
+};
+
+// Spoonacular combines these with commas, every other parameter takes a single value
+const LIST_PARAMS = ['diet', 'intolerances', 'cuisine'];
+
+// `filter` query value(s) → sorted list of known filter keys.
+// Accepts "vegan,quick" as well as repeated ?filter= parameters.
+const parseFilters = (value) => {
+  const raw = (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim().toLowerCase().replace(/[^a-z]/g, ''))
+    .filter(item => item);
+
+  const unknown = raw.filter(key => !FILTERS[key]);
+  return {
+    filters: [...new Set(raw.filter(key => FILTERS[key]))].sort(),
+    unknown: [...new Set(unknown)]
+  };
+};
+
+const toSpoonacularParams = (filters) => {
+  const params = {};
+
+  filters.forEach(key => {
+    Object.entries(FILTERS[key].spoonacular).forEach(([param, value]) => {
+      if (LIST_PARAMS.includes(param)) {
+        params[param] = params[param] ? `${params[param]},${value}` : value;
+      } else if (param.startsWith('max') && params[param] !== undefined) {
+        params[param] = Math.min(params[param], value);
+      } else if (params[param] === undefined) {
+        params[param] = value;
+      }
+    });
+  });
+
+  return params;
+};
+
+// One line per filter for the AI prompt, empty when nothing is selected
+const toPromptConstraints = (filters) => filters.map(key => `- ${FILTERS[key].prompt}`).join('\n');
+
+const matchesFilters = (flags, filters, { strictOnly = false } = {}) => filters
+  .filter(key => !strictOnly || FILTERS[key].strict)
+  .every(key => FILTERS[key].matches(flags));
+
+module.exports = {
+  FILTERS,
+  parseFilters,
+  toSpoonacularParams,
+  toPromptConstraints,
+  matchesFilters
+};
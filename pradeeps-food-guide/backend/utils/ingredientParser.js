@@ -0,0 +1,252 @@
+// Ingredient line parser: turns "1 ½ cups all-purpose flour, sifted" or our own
+// "chicken - 200g" lines into { amount, amountMax, unit, name, preparation }.
+//
+//   amount       number, null when there's no quantity ("salt to taste")
+//   amountMax    upper end of a range ("2-3 cloves"), otherwise null
+//   unit         canonical unit ("tbsp", "cup", "g" ...), null for countable items
+//   name         ingredient name without quantity or preparation
+//   preparation  "chopped", "finely diced", "to taste" ..., null when there's none
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅕': 1 / 5, '⅖': 2 / 5,
+  '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+// Canonical unit → the ways people write it
+const UNIT_ALIASES = {
+  tsp: ['tsp', 'tsps', 't', 'teaspoon', 'teaspoons'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tblsp', 'T', 'tablespoon', 'tablespoons'],
+  cup: ['cup', 'cups', 'c'],
+  'fl oz': ['fl oz', 'fl. oz.', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+  ml: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres', 'ltr'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  g: ['g', 'gm', 'gms', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  mg: ['mg', 'milligram', 'milligrams'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  drop: ['drop', 'drops'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  jar: ['jar', 'jars'],
+  package: ['package', 'packages', 'pkg', 'packet', 'packets', 'pack', 'packs'],
+  slice: ['slice', 'slices'],
+  piece: ['piece', 'pieces', 'pc', 'pcs'],
+  stick: ['stick', 'sticks'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  sheet: ['sheet', 'sheets'],
+  handful: ['handful', 'handfuls'],
+  head: ['head', 'heads'],
+  stalk: ['stalk', 'stalks'],
+  fillet: ['fillet', 'fillets']
+};
+
+// Lookup by lowercase alias; "T" (tablespoon) vs "t" (teaspoon) is the one case-sensitive pair
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES).reduce((acc, [unit, aliases]) => {
+  aliases.forEach(alias => {
+    if (alias === 'T') return;
+    acc[alias.toLowerCase()] = unit;
+  });
+  return acc;
+}, {});
+
+const UNIT_PATTERN = Object.values(UNIT_ALIASES)
+  .flat()
+  .sort((a, b) => b.length - a.length)
+  .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('|');
+
+const PREP_WORDS = [
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'crushed', 'peeled', 'shredded', 'julienned',
+  'cubed', 'mashed', 'beaten', 'melted', 'softened', 'sifted', 'halved', 'quartered', 'deseeded',
+  'seeded', 'trimmed', 'rinsed', 'drained', 'soaked', 'boiled', 'cooked', 'toasted', 'roasted',
+  'zested', 'juiced', 'pitted', 'cored', 'torn', 'thawed', 'room temperature', 'at room temperature'
+];
+const PREP_ADVERBS = ['finely', 'roughly', 'coarsely', 'thinly', 'thickly', 'freshly', 'lightly', 'well'];
+const PREP_PHRASE = new RegExp(
+  `\\b(?:(?:${PREP_ADVERBS.join('|')})\\s+)?(?:${PREP_WORDS.join('|')})\\b`,
+  'gi'
+);
+
+// Quantity phrases that aren't numbers
+const TO_TASTE = /\b(?:to taste|as needed|as required|for (?:garnish|serving|frying|greasing)|optional)\b/i;
+
+const NUMBER = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+)';
+
+// "1½" and "1 ½" → "1.5", "½" → "0.5"
+const replaceUnicodeFractions = (text) => text.replace(/(?:(\d+)\s?)?([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, fraction) => {
+  const value = (whole ? parseInt(whole) : 0) + UNICODE_FRACTIONS[fraction];
+  return String(Math.round(value * 1000) / 1000);
+});
+
+const parseNumber = (text) => {
+  const value = text.trim();
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return parseInt(mixed[1]) + parseInt(mixed[2]) / parseInt(mixed[3]);
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[2]) === 0 ? null : parseInt(fraction[1]) / parseInt(fraction[2]);
+
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  const trimmed = unit.trim().replace(/\.$/, '');
+  if (trimmed === 'T') return 'tbsp';
+  return UNIT_LOOKUP[trimmed.toLowerCase()] || UNIT_LOOKUP[trimmed.toLowerCase().replace(/\.$/, '')] || null;
+};
+
+// Leading quantity: "2", "1 1/2", "2-3", "2 to 3", "a", "an"; then an optional unit and "of"
+const QUANTITY = new RegExp(
+  `^(?:(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?|(an?)\\b)\\s*(?:(${UNIT_PATTERN})(?![a-z]))?\\.?\\s*(?:of\\s+)?`,
+  'i'
+);
+
+const parseQuantity = (text) => {
+  const match = text.match(QUANTITY);
+  if (!match || match[0].trim() === '') return null;
+
+  const [consumed, amountText, maxText, article, unitText] = match;
+
+  // "a" / "an" only counts as a quantity when a unit follows ("a pinch of salt", not "an apple")
+  if (article && !unitText) return null;
+
+  const amount = article ? 1 : parseNumber(amountText);
+  const amountMax = maxText ? parseNumber(maxText) : null;
+
+  return {
+    amount: round(amount),
+    amountMax: amountMax !== null && amountMax > amount ? round(amountMax) : null,
+    unit: normalizeUnit(unitText),
+    rest: text.slice(consumed.length).trim()
+  };
+};
+
+// Pull preparation notes out of a name: "onion, finely chopped" / "chopped onion" / "tomatoes (diced)"
+const splitPreparation = (text) => {
+  const notes = [];
+  let name = text;
+
+  name = name.replace(/\(([^)]*)\)/g, (match, inner) => {
+    notes.push(inner.trim());
+    return ' ';
+  });
+
+  const comma = name.indexOf(',');
+  if (comma !== -1) {
+    notes.push(name.slice(comma + 1).trim());
+    name = name.slice(0, comma);
+  }
+
+  const toTaste = name.match(TO_TASTE);
+  if (toTaste) {
+    notes.push(toTaste[0].toLowerCase());
+    name = name.replace(TO_TASTE, ' ');
+  }
+
+  // Size goes with the quantity ("2 large eggs"), not the name
+  name = name.replace(/^\s*(?:small|medium|large|big|extra[- ]large)\b\s*/i, (match) => {
+    notes.push(match.trim().toLowerCase());
+    return '';
+  });
+
+  name = name.replace(PREP_PHRASE, (match) => {
+    notes.push(match.toLowerCase());
+    return ' ';
+  });
+
+  return {
+    name: name.replace(/\s+/g, ' ').replace(/^(?:and|or|of)\s+|\s+(?:and|or)$/gi, '').trim(),
+    preparation: notes.filter(note => note).join(', ') || null
+  };
+};
+
+const parseIngredientLine = (line) => {
+  const original = String(line ?? '').trim();
+  const empty = { original, amount: null, amountMax: null, unit: null, name: original, preparation: null };
+  if (!original) return empty;
+
+  let text = replaceUnicodeFractions(original).replace(/^\s*(?:[-*•]|\d+[.)]\s)\s*/, '');
+  let quantityText = null;
+
+  // Our own "name - quantity" lines (AI and local recipes). The separator needs
+  // spaces around it so "all-purpose flour" and "2-3 cloves" stay intact.
+  const separated = text.match(/^(.+?)\s+[-–]\s+(.+)$/);
+  if (separated && !/^\d/.test(separated[1])) {
+    text = separated[1];
+    quantityText = separated[2];
+  }
+
+  let amount = null;
+  let amountMax = null;
+  let unit = null;
+  const notes = [];
+
+  const quantity = parseQuantity(quantityText ?? text);
+  if (quantity) {
+    ({ amount, amountMax, unit } = quantity);
+    if (quantityText === null) {
+      text = quantity.rest;
+    } else if (quantity.rest) {
+      // "200g, diced" / "1 medium" after the separator
+      notes.push(quantity.rest.replace(/^,\s*/, ''));
+    }
+  } else if (quantityText !== null) {
+    notes.push(quantityText);
+  }
+
+  // "1 (14 oz) can tomatoes": the unit comes after a parenthetical size
+  if (quantity && !unit) {
+    const sized = text.match(new RegExp(`^(\\([^)]*\\))\\s*(${UNIT_PATTERN})(?![a-z])\\.?\\s+(?:of\\s+)?`, 'i'));
+    if (sized) {
+      notes.push(sized[1].slice(1, -1));
+      unit = normalizeUnit(sized[2]);
+      text = text.slice(sized[0].length);
+    }
+  }
+
+  const { name, preparation } = splitPreparation(text);
+  if (preparation) notes.unshift(preparation);
+
+  return {
+    original,
+    amount,
+    amountMax,
+    unit,
+    name: name || original,
+    preparation: notes.filter(note => note).join(', ') || null
+  };
+};
+
+// Abbreviated units stay as they are, spelled-out ones get a plural ("2 cups", "3 pinches")
+const ABBREVIATED = ['tsp', 'tbsp', 'fl oz', 'ml', 'l', 'g', 'kg', 'mg', 'oz', 'lb'];
+
+const unitLabel = (unit, amount) => {
+  if (!unit || ABBREVIATED.includes(unit) || amount <= 1) return unit;
+  return /(?:ch|sh|s)$/.test(unit) ? `${unit}es` : `${unit}s`;
+};
+
+// Quantity half of our stored "name - quantity" line
+const formatQuantity = ({ amount, amountMax = null, unit }) => {
+  if (amount === null) return 'to taste';
+  const range = amountMax !== null ? `${amount}-${amountMax}` : `${amount}`;
+  return unit ? `${range} ${unitLabel(unit, amountMax ?? amount)}` : range;
+};
+
+module.exports = {
+  UNIT_ALIASES,
+  normalizeUnit,
+  parseQuantity,
+  parseIngredientLine,
+  formatQuantity
+};
@@ -0,0 +1,221 @@
+// Ingredient helpers shared by the search route and every recipe provider
+const INGREDIENTS = require('../data/ingredients.json');
+
+const normalizeIngredient = (ingredient) => {
+  return ingredient.toLowerCase()
+    .trim()
+    .replace(/[^\w\s]/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\b(?:chopped|diced|sliced|minced|grated|fresh|dried|ground|powdered)\b/gi, '')
+    .trim();
+};
+
+// Canonical names. data/ingredients.json lists every known ingredient under
+// one name with its aliases (plurals aside: English, Hindi and Tamil kitchen
+// names), a shopping category, and optionally a parent it is a kind of
+// ("chicken thigh" → "chicken"). Children inherit their parent's category.
+// Entries marked as staples (salt, oil ...) are the default "always have" list;
+// users can replace it with their own.
+
+const IRREGULAR = { leaves: 'leaf', halves: 'half', loaves: 'loaf', chillies: 'chilli', chilies: 'chili', cookies: 'cookie' };
+const INVARIANT = new Set(['oats', 'greens', 'molasses', 'peas', 'beans', 'lentils', 'chickpeas', 'noodles', 'dates', 'grapes', 'raisins', 'breadcrumbs']);
+
+// How it's bought rather than what it is: "boneless chicken" is chicken
+const DESCRIPTORS = /\b(?:boneless|skinless|organic|ripe|large|medium|small|extra virgin|unsalted|salted|free range|lean|plain|frozen|canned|tinned|fresh|whole)\b/g;
+
+// Only the last word is plural: "cherry tomatoes" → "cherry tomato"
+const singularize = (name) => {
+  const words = name.split(' ');
+  const word = words.pop();
+  let singular = word;
+
+  if (IRREGULAR[word]) singular = IRREGULAR[word];
+  else if (INVARIANT.has(word) || word.length <= 3 || /(?:ss|us|is)$/.test(word)) singular = word;
+  else if (/[^aeiou]ies$/.test(word)) singular = `${word.slice(0, -3)}y`;
+  else if (/(?:oes|ches|shes|xes|sses)$/.test(word)) singular = word.slice(0, -2);
+  else if (word.endsWith('s')) singular = word.slice(0, -1);
+
+  return [...words, singular].join(' ');
+};
+
+const LOOKUP = {};
+const register = (name, canonical) => {
+  const normalized = normalizeIngredient(name);
+  [normalized, singularize(normalized)].forEach(key => {
+    if (key && !LOOKUP[key]) LOOKUP[key] = canonical;
+  });
+};
+
+// Names first, so an alias can never take over another entry's own name
+Object.keys(INGREDIENTS).forEach(name => register(name, name));
+Object.entries(INGREDIENTS).forEach(([name, entry]) => {
+  (entry.aliases || []).forEach(alias => register(alias, name));
+});
+
+// "Tomatoes" → "tomato", "aloo" → "potato", "boneless chicken thighs" → "chicken thigh".
+// Unknown ingredients come back cleaned up and singular.
+const canonicalizeIngredient = (ingredient = '') => {
+  const name = normalizeIngredient(String(ingredient));
+  if (!name) return '';
+
+  const bare = name.replace(DESCRIPTORS, '').replace(/\s+/g, ' ').trim() || name;
+  const candidates = [name, singularize(name), bare, singularize(bare)];
+  const known = candidates.find(candidate => LOOKUP[candidate]);
+
+  return known ? LOOKUP[known] : singularize(bare);
+};
+
+// Known entry a name ends with: "tandoori chicken" → "chicken". Entries like
+// "coconut milk" are listed on their own so they never fall back to "milk".
+const knownSuffix = (name) => {
+  const words = name.split(' ');
+  for (let i = 1; i < words.length; i++) {
+    const suffix = words.slice(i).join(' ');
+    if (LOOKUP[suffix]) return LOOKUP[suffix];
+  }
+  return null;
+};
+
+// The ingredient followed by everything it is a kind of: ["basmati rice", "rice"]
+const ingredientFamily = (ingredient) => {
+  const family = [];
+  let current = canonicalizeIngredient(ingredient);
+  if (!current) return family;
+
+  if (!INGREDIENTS[current]) {
+    family.push(current);
+    current = knownSuffix(current);
+  }
+
+  while (current && !family.includes(current)) {
+    family.push(current);
+    current = INGREDIENTS[current] ? INGREDIENTS[current].parent : null;
+  }
+  return family;
+};
+
+// Same ingredient, or one is a kind of the other ("chicken" and "chicken thigh").
+// Siblings don't count: basmati rice isn't brown rice.
+const isSameIngredient = (a, b) => {
+  const familyA = ingredientFamily(a);
+  const familyB = ingredientFamily(b);
+  if (familyA.length === 0 || familyB.length === 0) return false;
+  return familyA.includes(familyB[0]) || familyB.includes(familyA[0]);
+};
+
+const ingredientCategory = (ingredient) => {
+  const known = ingredientFamily(ingredient).find(name => INGREDIENTS[name] && INGREDIENTS[name].category);
+  return known ? INGREDIENTS[known].category : 'Other';
+};
+
+// Known ingredients whose name or any alias contains `query`: "alo" → ["potato"]
+const findIngredientNames = (query, limit = 8) => {
+  const search = normalizeIngredient(String(query));
+  if (!search) return [];
+
+  const names = [];
+  Object.entries(LOOKUP).forEach(([key, canonical]) => {
+    if (key.includes(search) && !names.includes(canonical)) names.push(canonical);
+  });
+
+  // Names starting with the query first
+  return names
+    .sort((a, b) => Number(!a.startsWith(search)) - Number(!b.startsWith(search)))
+    .slice(0, limit);
+};
+
+const DEFAULT_STAPLES = Object.keys(INGREDIENTS).filter(name => INGREDIENTS[name].staple);
+
+// Canonical, de-duplicated staples list; anything but an array means the defaults
+const toStaples = (staples) => (Array.isArray(staples)
+  ? [...new Set(staples.map(canonicalizeIngredient).filter(name => name))]
+  : DEFAULT_STAPLES);
+
+// Olive oil is covered by an "oil" staple
+const isStaple = (ingredient, staples = DEFAULT_STAPLES) => {
+  const family = ingredientFamily(ingredient);
+  return staples.some(staple => family.includes(staple));
+};
+
+// Match scoring. Each recipe ingredient is weighted by what it is: the meat in
+// a curry matters more than its onions, and far more than its salt. Staples
+// count as available at a small weight. Key ingredients (meat, fish, or
+// anything named in the title) cost an extra penalty when missing.
+const CATEGORY_WEIGHTS = { Meat: 3, Seafood: 3, Dairy: 2, Grains: 2, Pulses: 2, Vegetables: 1.5, Fruit: 1.5 };
+const KEY_CATEGORIES = ['Meat', 'Seafood'];
+const KEY_WEIGHT = 3;
+const STAPLE_WEIGHT = 0.25;
+const MISSING_KEY_PENALTY = 10;
+
+const CREDIT = { matched: 1, staple: 1, partial: 0.5, missing: 0 };
+
+// Canonical names of every one and two word phrase in a title: "Aloo Gobi" → potato, cauliflower
+const titleNames = (title) => {
+  const words = normalizeIngredient(title).split(' ').filter(word => word);
+  const phrases = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  return new Set(phrases.map(canonicalizeIngredient));
+};
+
+// { percentage, breakdown: [{ ingredient, status, key, weight, matchedWith? }] }
+// where status is matched, partial ("chicken" for "chicken stock"), staple
+// (assumed from the user's staples, or the defaults) or missing
+const scoreMatch = (userIngredients = [], recipeIngredients = [], { title = '', staples } = {}) => {
+  const userNames = [...new Set((userIngredients || []).map(canonicalizeIngredient).filter(name => name))];
+  const inTitle = titleNames(title || '');
+  const pantry = toStaples(staples);
+
+  const breakdown = (recipeIngredients || []).filter(ingredient => ingredient).map(ingredient => {
+    const name = canonicalizeIngredient(ingredient);
+    const staple = isStaple(name, pantry);
+    const category = ingredientCategory(name);
+    const key = !staple && (KEY_CATEGORIES.includes(category) || ingredientFamily(name).some(member => inTitle.has(member)));
+
+    const exact = userNames.find(userName => isSameIngredient(userName, name));
+    const partial = !exact && userNames.find(userName => name.includes(userName) || userName.includes(name));
+    const status = exact ? 'matched' : staple ? 'staple' : partial ? 'partial' : 'missing';
+
+    return {
+      ingredient,
+      status,
+      key,
+      weight: staple ? STAPLE_WEIGHT : key ? KEY_WEIGHT : CATEGORY_WEIGHTS[category] || 1,
+      ...(exact || partial ? { matchedWith: exact || partial } : {})
+    };
+  });
+
+  if (breakdown.length === 0) return { percentage: 0, breakdown };
+
+  const total = breakdown.reduce((sum, item) => sum + item.weight, 0);
+  const earned = breakdown.reduce((sum, item) => sum + item.weight * CREDIT[item.status], 0);
+  const missingKeys = breakdown.filter(item => item.key && item.status === 'missing').length;
+  const percentage = (earned / total) * 100 - missingKeys * MISSING_KEY_PENALTY;
+
+  return {
+    percentage: Math.min(Math.max(Math.round(percentage), 0), 100),
+    breakdown
+  };
+};
+
+const calculateMatchPercentage = (userIngredients, recipeIngredients, options) =>
+  scoreMatch(userIngredients, recipeIngredients, options).percentage;
+
+// Card fields for a search result
+const toMatchFields = (userIngredients, recipeIngredients, options) => {
+  const { percentage, breakdown } = scoreMatch(userIngredients, recipeIngredients, options);
+  return { matchPercentage: percentage, matchBreakdown: breakdown };
+};
+
+module.exports = {
+  normalizeIngredient,
+  canonicalizeIngredient,
+  ingredientFamily,
+  isSameIngredient,
+  ingredientCategory,
+  findIngredientNames,
+  DEFAULT_STAPLES,
+  toStaples,
+  isStaple,
+  scoreMatch,
+  calculateMatchPercentage,
+  toMatchFields
+};
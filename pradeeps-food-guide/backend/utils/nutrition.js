@@ -0,0 +1,116 @@
+// Nutrition facts computed from a recipe's parsed ingredients and the bundled
+// nutrient database (data/nutrients.json). Each entry holds values per 100 g
+// (calories, protein, carbs, fat, fiber in g, sodium in mg) plus:
+//   cup      grams per US cup, for volume measures
+//   each     grams per piece / clove / slice
+//   portion  typical grams per serving, used when the recipe gives no quantity
+//   aliases  other names for the same entry
+// Results are marked `estimated` when an ingredient wasn't in the database or
+// its quantity had to be assumed.
+const NUTRIENTS = require('../data/nutrients.json');
+const { canonicalizeIngredient, ingredientFamily } = require('./ingredients');
+
+const FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sodium'];
+
+// Grams per unit that don't depend on the ingredient
+const WEIGHTS = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+const CUPS = { tsp: 1 / 48, tbsp: 1 / 16, 'fl oz': 1 / 8, cup: 1, pint: 2, quart: 4, gallon: 16, ml: 1 / 236.588, l: 1000 / 236.588 };
+const FIXED = { pinch: 0.35, dash: 0.6, drop: 0.05, can: 400, jar: 350, package: 400, stick: 113, bunch: 100, sprig: 1, handful: 30, stalk: 40, fillet: 150 };
+const COUNTED = [null, 'piece', 'clove', 'slice', 'head', 'sheet'];
+
+// Water-like fallback when an entry has no cup weight
+const DEFAULT_CUP = 240;
+
+// Nutrient entries by canonical name, so "besan", "gram flour" and "chickpea
+// flour" all find the same entry
+const LOOKUP = {};
+const register = (name, entryName) => {
+  const canonical = canonicalizeIngredient(name);
+  if (canonical && !LOOKUP[canonical]) LOOKUP[canonical] = entryName;
+};
+Object.keys(NUTRIENTS).forEach(name => register(name, name));
+Object.entries(NUTRIENTS).forEach(([name, entry]) => {
+  (entry.aliases || []).forEach(alias => register(alias, name));
+});
+
+const LOOKUP_KEYS = Object.keys(LOOKUP).sort((a, b) => b.length - a.length);
+
+// "chicken thighs" → "chicken" through the ingredient's family, then the
+// longest entry named anywhere in it
+const findNutrients = (ingredientName = '') => {
+  const family = ingredientFamily(ingredientName);
+  if (family.length === 0) return null;
+
+  const known = family.find(name => LOOKUP[name]);
+  if (known) return LOOKUP[known];
+
+  return LOOKUP[LOOKUP_KEYS.find(key => new RegExp(`\\b${key}(?:e?s)?\\b`).test(family[0]))] || null;
+};
+
+// Grams for a parsed quantity, or null when the unit can't be weighed for this entry
+const toGrams = (amount, unit, entry) => {
+  if (WEIGHTS[unit]) return amount * WEIGHTS[unit];
+  if (CUPS[unit]) return amount * CUPS[unit] * (entry.cup || DEFAULT_CUP);
+  if (FIXED[unit]) return amount * FIXED[unit];
+  if (COUNTED.includes(unit) && entry.each) return amount * entry.each;
+  return null;
+};
+
+const roundFacts = (facts) => FIELDS.reduce((acc, field) => {
+  acc[field] = field === 'calories' || field === 'sodium' ? Math.round(facts[field]) : Math.round(facts[field] * 10) / 10;
+  return acc;
+}, {});
+
+const emptyFacts = () => FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), {});
+
+// { perServing, total, servings, estimated, unresolved, assumed } for extendedIngredients
+const calculateNutrition = (ingredients = [], servings = 2) => {
+  const total = emptyFacts();
+  const unresolved = [];
+  const assumed = [];
+  const count = servings > 0 ? servings : 2;
+
+  ingredients.forEach(ingredient => {
+    const key = findNutrients(ingredient.name);
+    if (!key) {
+      unresolved.push(ingredient.name);
+      return;
+    }
+
+    const entry = NUTRIENTS[key];
+    const amount = ingredient.amountMax ? (ingredient.amount + ingredient.amountMax) / 2 : ingredient.amount;
+    let grams = amount === null || amount === undefined ? null : toGrams(amount, ingredient.unit || null, entry);
+
+    // No usable quantity ("salt - to taste", "rice"): assume a typical portion per serving
+    if (grams === null) {
+      grams = (entry.portion || 0) * count;
+      assumed.push(ingredient.name);
+    }
+
+    FIELDS.forEach(field => {
+      total[field] += (entry[field] * grams) / 100;
+    });
+  });
+
+  const perServing = FIELDS.reduce((acc, field) => ({ ...acc, [field]: total[field] / count }), {});
+
+  return {
+    servings: count,
+    perServing: roundFacts(perServing),
+    total: roundFacts(total),
+    estimated: unresolved.length > 0 || assumed.length > 0,
+    unresolved,
+    assumed
+  };
+};
+
+// Detail responses carry their nutrition alongside the ingredients it was computed from
+const withNutrition = (recipe) => ({
+  ...recipe,
+  nutrition: calculateNutrition(recipe.extendedIngredients, recipe.servings)
+});
+
+module.exports = {
+  calculateNutrition,
+  withNutrition
+};
@@ -0,0 +1,155 @@
+// Differences between two versions of a user recipe (the structured shape
+// stored by /api/users/recipes). Every change comes with a one-line summary:
+//   { field, type: 'changed' | 'added' | 'removed', from, to, summary }
+// Ingredients are compared by canonical name, so "tomatoes" → "tomato, diced"
+// is a change to one ingredient, while rice → quinoa is a removal and an
+// addition. Steps are lined up by their text, so inserting a step doesn't
+// mark every step after it as changed.
+const { canonicalizeIngredient } = require('./ingredients');
+const { formatIngredientLine } = require('./recipeFormat');
+
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'image', label: 'Image' },
+  { key: 'prepTime', label: 'Total time', format: (value) => `${value} min` },
+  { key: 'servings', label: 'Servings' },
+  { key: 'tips', label: 'Tips' }
+];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const diffFields = (before, after) => FIELDS
+  .filter(({ key }) => !(isEmpty(before[key]) && isEmpty(after[key])) && before[key] !== after[key])
+  .map(({ key, label, format = String }) => {
+    const from = isEmpty(before[key]) ? null : before[key];
+    const to = isEmpty(after[key]) ? null : after[key];
+    let summary = `${label} changed`;
+    if (from === null) summary = `${label} added`;
+    else if (to === null) summary = `${label} removed`;
+    else if (key !== 'description' && key !== 'tips' && key !== 'image') summary = `${label}: ${format(from)} → ${format(to)}`;
+
+    return { field: key, type: from === null ? 'added' : to === null ? 'removed' : 'changed', from, to, summary };
+  });
+
+const ingredientKey = (ingredient) => canonicalizeIngredient(ingredient.name) || ingredient.name.toLowerCase();
+
+// Same-named ingredients are paired in order, e.g. two kinds of "oil"
+const groupByKey = (ingredients) => ingredients.reduce((groups, ingredient) => {
+  const key = ingredientKey(ingredient);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(formatIngredientLine(ingredient));
+  return groups;
+}, new Map());
+
+const diffIngredients = (before = [], after = []) => {
+  const old = groupByKey(before);
+  const changes = [];
+
+  groupByKey(after).forEach((lines, key) => {
+    const previous = old.get(key) || [];
+    lines.forEach((line, idx) => {
+      const from = previous[idx];
+      if (from === undefined) {
+        changes.push({ field: 'ingredients', type: 'added', from: null, to: line, summary: `Added ${line}` });
+      } else if (from !== line) {
+        changes.push({ field: 'ingredients', type: 'changed', from, to: line, summary: `${from} → ${line}` });
+      }
+    });
+    old.set(key, previous.slice(lines.length));
+  });
+
+  old.forEach(lines => lines.forEach(line => {
+    changes.push({ field: 'ingredients', type: 'removed', from: line, to: null, summary: `Removed ${line}` });
+  }));
+
+  return changes;
+};
+
+const stepText = (step) => (step.minutes ? `${step.text} (${step.minutes} min)` : step.text);
+
+// Longest common subsequence of the step texts → pairs of matching indexes
+const matchSteps = (before, after) => {
+  const lengths = before.map(() => new Array(after.length + 1).fill(0));
+  lengths.push(new Array(after.length + 1).fill(0));
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i].text === after[j].text
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i].text === after[j].text) {
+      pairs.push([i++, j++]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  pairs.push([before.length, after.length]);
+  return pairs;
+};
+
+const diffSteps = (before = [], after = []) => {
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  matchSteps(before, after).forEach(([matchedBefore, matchedAfter]) => {
+    // Between two matching steps: rewritten steps pair up, the rest were removed or added
+    const removed = before.slice(i, matchedBefore).map((step, idx) => ({ step, number: i + idx + 1 }));
+    const added = after.slice(j, matchedAfter).map((step, idx) => ({ step, number: j + idx + 1 }));
+    const paired = Math.min(removed.length, added.length);
+
+    for (let k = 0; k < paired; k++) {
+      changes.push({
+        field: 'instructions',
+        type: 'changed',
+        from: stepText(removed[k].step),
+        to: stepText(added[k].step),
+        summary: `Step ${added[k].number} rewritten`
+      });
+    }
+    removed.slice(paired).forEach(({ step, number }) => {
+      changes.push({ field: 'instructions', type: 'removed', from: stepText(step), to: null, summary: `Removed step ${number}` });
+    });
+    added.slice(paired).forEach(({ step, number }) => {
+      changes.push({ field: 'instructions', type: 'added', from: null, to: stepText(step), summary: `Added step ${number}` });
+    });
+
+    const from = before[matchedBefore];
+    const to = after[matchedAfter];
+    if (from && to && (from.minutes || null) !== (to.minutes || null)) {
+      changes.push({
+        field: 'instructions',
+        type: 'changed',
+        from: stepText(from),
+        to: stepText(to),
+        summary: `Step ${matchedAfter + 1} timer: ${from.minutes ? `${from.minutes} min` : 'none'} → ${to.minutes ? `${to.minutes} min` : 'none'}`
+      });
+    }
+
+    i = matchedBefore + 1;
+    j = matchedAfter + 1;
+  });
+
+  return changes;
+};
+
+// Everything that changed from `before` to `after`; [] when they're the same
+const diffRecipes = (before, after) => [
+  ...diffFields(before, after),
+  ...diffIngredients(before.ingredients, after.ingredients),
+  ...diffSteps(before.instructions, after.instructions)
+];
+
+module.exports = {
+  diffRecipes
+};
@@ -0,0 +1,43 @@
+// Builds the detail shape RecipeModal consumes (extendedIngredients / analyzedInstructions)
+const { parseIngredientLine, formatQuantity } = require('./ingredientParser');
+
+// Ingredient lines ("chicken - 200g", "1 cup rice, rinsed") → structured ingredients.
+// amount/unit are null when the line has no quantity ("salt - to taste").
+const toExtendedIngredients = (ingredients = []) => {
+  return ingredients.map((ing, idx) => {
+    const { original, amount, amountMax, unit, name, preparation } = parseIngredientLine(ing);
+
+    return {
+      id: idx + 1,
+      name,
+      original,
+      amount,
+      amountMax,
+      unit,
+      preparation
+    };
+  });
+};
+
+const toAnalyzedInstructions = (instructions = []) => {
+  return [{
+    steps: instructions.map((step, idx) => ({
+      number: idx + 1,
+      step: step
+    }))
+  }];
+};
+
+// Structured ingredient ({ name, amount, amountMax, unit, preparation }) → our
+// usual "name - quantity" line; no amount and no notes means "to taste"
+const formatIngredientLine = (ingredient) => {
+  const quantity = ingredient.amount === null || ingredient.amount === undefined ? null : formatQuantity(ingredient);
+  const details = [quantity, ingredient.preparation].filter(part => part).join(', ');
+  return `${ingredient.name} - ${details || 'to taste'}`;
+};
+
+module.exports = {
+  formatIngredientLine,
+  toExtendedIngredients,
+  toAnalyzedInstructions
+};
@@ -0,0 +1,176 @@
+// Reads a schema.org Recipe out of what a user pasted: a page's HTML source
+// (recipe blogs embed it in <script type="application/ld+json">) or the
+// JSON-LD itself. The result is in the detail shape (extendedIngredients /
+// analyzedInstructions), with ingredient lines run through the ingredient parser.
+const { toExtendedIngredients } = require('./recipeFormat');
+
+const MAX_CONTENT_LENGTH = 3 * 1024 * 1024;
+
+const JSON_LD_SCRIPT = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', frac12: '½', frac14: '¼', frac34: '¾', deg: '°', hellip: '…', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// HTML fragments inside JSON-LD strings ("<p>Heat the oil&hellip;</p>") → plain text
+const toPlainText = (value) => {
+  if (typeof value !== 'string') return '';
+  return decodeEntities(value.replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text.replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim());
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const hasType = (node, type) => {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(item => typeof item === 'string' && item.replace(/^(?:https?:\/\/)?schema\.org\//, '') === type);
+};
+
+// Recipes can sit at the top level, in an array, in @graph or as a page's mainEntity
+const findRecipes = (node, found = [], depth = 0) => {
+  if (!node || typeof node !== 'object' || depth > 6) return found;
+
+  if (Array.isArray(node)) {
+    node.forEach(item => findRecipes(item, found, depth + 1));
+    return found;
+  }
+
+  if (hasType(node, 'Recipe')) {
+    found.push(node);
+    return found;
+  }
+
+  ['@graph', 'mainEntity', 'mainEntityOfPage', 'itemListElement', 'item'].forEach(key => findRecipes(node[key], found, depth + 1));
+  return found;
+};
+
+// "PT1H30M", "P0DT45M", "PT1.5H" → minutes; plain numbers are minutes already
+const parseDuration = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!match) {
+    const minutes = parseFloat(value);
+    return Number.isFinite(minutes) ? minutes : null;
+  }
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = days * 1440 + hours * 60 + Number(minutes) + seconds / 60;
+  return total > 0 ? Math.round(total) : null;
+};
+
+const totalMinutes = (recipe) => {
+  const total = parseDuration(recipe.totalTime);
+  if (total) return total;
+  const parts = [recipe.prepTime, recipe.cookTime, recipe.performTime].map(parseDuration).filter(minutes => minutes);
+  return parts.length > 0 ? parts.reduce((sum, minutes) => sum + minutes, 0) : null;
+};
+
+// recipeYield is 4, "4", "4 servings", "Serves 4-6" or a list of those
+const parseYield = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  for (const item of values) {
+    const match = String(item ?? '').match(/\d+/);
+    if (match) return parseInt(match[0]);
+  }
+  return null;
+};
+
+// image is a URL, an ImageObject or a list of either
+const toImageUrl = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  const url = first && typeof first === 'object' ? first.url || first.contentUrl : first;
+  return typeof url === 'string' && /^https?:\/\//.test(url.trim()) ? url.trim() : null;
+};
+
+// recipeInstructions is a block of text, a list of strings, HowToSteps or
+// HowToSections of steps. Numbering ("1.", "Step 2:") is dropped.
+const toStepTexts = (value) => {
+  if (!value) return [];
+
+  if (typeof value === 'string') {
+    return value
+      .split(/<\/(?:li|p)>|<br\s*\/?>|\n+/i)
+      .map(toPlainText)
+      .map(text => text.replace(/^(?:step\s*\d+\s*[:.)-]?|\d+\s*[.):-])\s*/i, ''))
+      .filter(text => text);
+  }
+
+  if (Array.isArray(value)) return value.flatMap(toStepTexts);
+
+  if (typeof value === 'object') {
+    if (hasType(value, 'HowToSection') || value.itemListElement) return toStepTexts(value.itemListElement);
+    return toStepTexts(value.text || value.name || '');
+  }
+
+  return [];
+};
+
+// Everything in `content` that looks like a schema.org Recipe, in page order
+const findJsonLdRecipes = (content) => {
+  const trimmed = content.trim();
+  if (/^[[{]/.test(trimmed)) return findRecipes(parseJson(trimmed));
+
+  const recipes = [];
+  for (const [, script] of trimmed.matchAll(JSON_LD_SCRIPT)) {
+    findRecipes(parseJson(script), recipes);
+  }
+  return recipes;
+};
+
+// Pasted HTML or JSON-LD → { recipe, errors }. recipe is in the detail shape
+// with the page's url when it has one; the first recipe on the page wins.
+const extractRecipe = (content) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { recipe: null, errors: ['paste the page\'s HTML source or its JSON-LD'] };
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return { recipe: null, errors: [`pasted content must be under ${MAX_CONTENT_LENGTH / 1024 / 1024} MB`] };
+  }
+  if (/^https?:\/\/\S+$/.test(content.trim())) {
+    return { recipe: null, errors: ['paste the page\'s HTML source (View Source in your browser), not its address'] };
+  }
+
+  const [found] = findJsonLdRecipes(content);
+  if (!found) {
+    return { recipe: null, errors: ['no schema.org Recipe found; the page needs a JSON-LD recipe block'] };
+  }
+
+  const ingredients = found.recipeIngredient ?? found.ingredients;
+  const lines = (Array.isArray(ingredients) ? ingredients : [])
+    .map(toPlainText)
+    .filter(line => line);
+  const steps = toStepTexts(found.recipeInstructions);
+
+  return {
+    recipe: {
+      title: toPlainText(found.name || found.headline),
+      summary: toPlainText(found.description),
+      image: toImageUrl(found.image),
+      readyInMinutes: totalMinutes(found),
+      servings: parseYield(found.recipeYield),
+      extendedIngredients: toExtendedIngredients(lines),
+      analyzedInstructions: [{ steps: steps.map((step, idx) => ({ number: idx + 1, step })) }],
+      sourceUrl: typeof found.url === 'string' && /^https?:\/\//.test(found.url) ? found.url : null
+    },
+    errors: []
+  };
+};
+
+module.exports = {
+  extractRecipe
+};
@@ -0,0 +1,231 @@
+// Recipe schema for AI generated recipes, plus a repair pass for the ways
+// model output usually breaks (code fences, chatter around the JSON,
+// trailing commas, output cut off at the token limit).
+const { parseIngredientLine, formatQuantity } = require('./ingredientParser');
+
+const LIMITS = {
+  titleLength: 120,
+  minServings: 1,
+  maxServings: 24,
+  minMinutes: 1,
+  maxMinutes: 600,
+  minIngredients: 1,
+  minSteps: 2
+};
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+const TO_TASTE = /^(?:to taste|as needed|as required)$/i;
+
+const stripCodeFences = (text) => text.replace(/```(?:json|JSON)?/g, '');
+
+const removeTrailingCommas = (text) => text.replace(/,(\s*[}\]])/g, '$1');
+
+const tryParse = (text) => {
+  try {
+    return JSON.parse(removeTrailingCommas(text));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Walk the text outside of strings and remember every comma together with the
+// brackets open at that point, so a truncated tail can be cut off cleanly.
+const scanJson = (text) => {
+  const stack = [];
+  const commas = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch);
+    else if (ch === '}' || ch === ']') stack.pop();
+    else if (ch === ',') commas.push({ index: i, open: [...stack] });
+  }
+
+  return { stack, commas, inString };
+};
+
+const closeBrackets = (open) => open.slice().reverse().map(ch => CLOSERS[ch]).join('');
+
+// Output cut off mid-way: close what's open, and if that doesn't parse drop
+// the unfinished element (back to the previous comma) and try again. A value
+// cut off inside a string is always dropped, half a step is worse than none.
+const repairTruncated = (text) => {
+  const { stack, commas, inString } = scanJson(text);
+  if (stack.length === 0) return undefined;
+
+  if (!inString) {
+    const closed = tryParse(text + closeBrackets(stack));
+    if (closed !== undefined) return closed;
+  }
+
+  for (const comma of commas.slice(-20).reverse()) {
+    const repaired = tryParse(text.slice(0, comma.index) + closeBrackets(comma.open));
+    if (repaired !== undefined) return repaired;
+  }
+
+  return undefined;
+};
+
+// Returns the parsed object and whether it needed repairing, or null.
+// Chatter before the JSON can hold braces of its own ("Here is {your} recipe:"),
+// so every "{" is tried in turn as the start.
+const parseModelJson = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const cleaned = stripCodeFences(text);
+  const end = cleaned.lastIndexOf('}');
+  const starts = [];
+  for (let i = cleaned.indexOf('{'); i !== -1; i = cleaned.indexOf('{', i + 1)) starts.push(i);
+  if (starts.length === 0) return null;
+
+  for (const start of starts.filter(start => start < end)) {
+    const candidate = cleaned.slice(start, end + 1);
+    const exact = tryParse(candidate);
+    if (exact !== undefined) {
+      return { value: exact, repaired: removeTrailingCommas(candidate) !== candidate };
+    }
+  }
+
+  for (const start of starts.slice(0, 10)) {
+    const repaired = repairTruncated(cleaned.slice(start).trim());
+    if (repaired !== undefined) return { value: repaired, repaired: true };
+  }
+
+  return null;
+};
+
+// "25", 25, "25 minutes", "1 hour 10 minutes" → minutes
+const toMinutes = (value) => {
+  if (typeof value === 'number') return Math.round(value);
+  if (typeof value !== 'string') return NaN;
+
+  const hours = value.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/i);
+  const minutes = value.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/i);
+  if (hours || minutes) {
+    return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0));
+  }
+
+  return parseInt(value);
+};
+
+const toInteger = (value) => (typeof value === 'number' ? Math.round(value) : parseInt(value));
+
+// Ingredient lines are "name - quantity"; objects like { name, quantity } and
+// cookbook-style lines ("2 cups rice, rinsed") are folded into that form
+const toIngredientLine = (item) => {
+  if (item && typeof item === 'object') {
+    const name = String(item.name || item.ingredient || '').trim();
+    const quantity = [item.quantity ?? item.amount, item.unit].filter(part => part !== undefined && part !== null && part !== '').join(' ').trim();
+    return name ? `${name} - ${quantity || 'to taste'}` : null;
+  }
+
+  if (typeof item !== 'string') return null;
+
+  const line = item.replace(/^\s*(?:[-*•]|\d+[.)]\s)\s*/, '').trim();
+  const match = line.match(/^(.+?)\s*(?:\s-\s|:\s*)(.+)$/);
+  if (match && match[1].trim() && match[2].trim()) return `${match[1].trim()} - ${match[2].trim()}`;
+
+  // Bare lines ("salt", "Salt to taste", "oil as needed") are the most common
+  // thing models write without an amount; they become "name - to taste"
+  const parsed = parseIngredientLine(line);
+  if (!parsed.name || TO_TASTE.test(parsed.name)) return null;
+  if (parsed.amount === null) {
+    const preparation = parsed.preparation && !TO_TASTE.test(parsed.preparation) ? `, ${parsed.preparation}` : '';
+    return `${parsed.name} - to taste${preparation}`;
+  }
+  const quantity = formatQuantity(parsed);
+  return `${parsed.name} - ${parsed.preparation ? `${quantity}, ${parsed.preparation}` : quantity}`;
+};
+
+// Steps come back as strings or { number, step } objects, sometimes with their own numbering
+const toStepList = (instructions) => {
+  const steps = instructions.map((item, idx) => {
+    if (item && typeof item === 'object') {
+      return { number: toInteger(item.number ?? item.step_number) || idx + 1, text: item.step || item.text || item.instruction };
+    }
+    return { number: idx + 1, text: item };
+  });
+
+  return steps
+    .sort((a, b) => a.number - b.number)
+    .map(step => (typeof step.text === 'string' ? step.text.replace(/^\s*(?:step\s*\d+\s*[:.)-]?|\d+\s*[.):-])\s*/i, '').trim() : ''));
+};
+
+// Check a parsed model answer against the recipe schema.
+// Returns { recipe, errors }: recipe is the normalized recipe, or null when errors is non-empty.
+const validateRecipe = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { recipe: null, errors: ['response is not a JSON object'] };
+  }
+
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+  if (!title) errors.push('"title" is required');
+  else if (title.length > LIMITS.titleLength) errors.push(`"title" must be at most ${LIMITS.titleLength} characters`);
+
+  const servings = toInteger(data.servings);
+  if (!(servings >= LIMITS.minServings && servings <= LIMITS.maxServings)) {
+    errors.push(`"servings" must be a whole number between ${LIMITS.minServings} and ${LIMITS.maxServings}`);
+  }
+
+  const prepTime = toMinutes(data.prepTime ?? data.readyInMinutes);
+  if (!(prepTime >= LIMITS.minMinutes && prepTime <= LIMITS.maxMinutes)) {
+    errors.push(`"prepTime" must be the total time in minutes (${LIMITS.minMinutes}-${LIMITS.maxMinutes})`);
+  }
+
+  let ingredients = [];
+  if (!Array.isArray(data.ingredients) || data.ingredients.length < LIMITS.minIngredients) {
+    errors.push('"ingredients" must be a non-empty array');
+  } else {
+    ingredients = data.ingredients.map(toIngredientLine);
+    ingredients.forEach((line, idx) => {
+      if (!line) errors.push(`ingredient ${idx + 1} needs a name ("name - quantity")`);
+    });
+  }
+
+  let instructions = [];
+  if (!Array.isArray(data.instructions)) {
+    errors.push('"instructions" must be an array of steps');
+  } else {
+    instructions = toStepList(data.instructions);
+    if (instructions.filter(step => step).length < LIMITS.minSteps) {
+      errors.push(`"instructions" needs at least ${LIMITS.minSteps} steps`);
+    }
+    instructions.forEach((step, idx) => {
+      if (!step) errors.push(`step ${idx + 1} is empty`);
+    });
+  }
+
+  if (errors.length > 0) return { recipe: null, errors };
+
+  return {
+    recipe: {
+      title,
+      description: typeof data.description === 'string' ? data.description.trim() : '',
+      prepTime,
+      servings,
+      ingredients,
+      instructions,
+      tips: typeof data.tips === 'string' ? data.tips.trim() : ''
+    },
+    errors
+  };
+};
+
+module.exports = {
+  parseModelJson,
+  validateRecipe
+};
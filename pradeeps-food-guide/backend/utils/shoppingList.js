@@ -0,0 +1,58 @@
+// Shopping list for a meal plan. Ingredients are merged by canonical name, so
+// "tomatoes", "tomato" and "thakkali" from three recipes are one line; amounts
+// are summed per unit, and a line with no amount means "to taste". Pantry
+// staples are left off and reported separately.
+const { canonicalizeIngredient, ingredientCategory, isStaple, toStaples } = require('./ingredients');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// recipes: [{ recipe, count }] where count is how many times it's planned.
+// Returns { items, assumed } where assumed are the staples that were skipped.
+const buildShoppingList = (recipes = [], { staples } = {}) => {
+  const pantry = toStaples(staples);
+  const merged = new Map();
+  const assumed = new Set();
+
+  recipes.forEach(({ recipe, count = 1 }) => {
+    (recipe.extendedIngredients || []).forEach(ing => {
+      const name = canonicalizeIngredient(ing.name);
+      if (!name) return;
+      if (isStaple(name, pantry)) {
+        assumed.add(name);
+        return;
+      }
+
+      if (!merged.has(name)) {
+        merged.set(name, { name, category: ingredientCategory(name), measures: new Map(), recipes: new Set() });
+      }
+      const item = merged.get(name);
+      item.recipes.add(recipe.title);
+
+      if (ing.amount === null || ing.amount === undefined) return;
+
+      // Buy for the top of a range
+      const amount = (ing.amountMax || ing.amount) * count;
+      const unit = ing.unit || null;
+      item.measures.set(unit, (item.measures.get(unit) || 0) + amount);
+    });
+  });
+
+  const items = [];
+  merged.forEach(({ name, category, measures, recipes: usedIn }) => {
+    const base = { name, category, recipes: [...usedIn] };
+    if (measures.size === 0) {
+      items.push({ ...base, amount: null, unit: null });
+      return;
+    }
+    measures.forEach((amount, unit) => items.push({ ...base, amount: round(amount), unit }));
+  });
+
+  return {
+    items: items.sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name)),
+    assumed: [...assumed].sort()
+  };
+};
+
+module.exports = {
+  buildShoppingList
+};
@@ -0,0 +1,389 @@
+// Substitution knowledge base: what to use instead of an ingredient you don't have.
+//   using  ingredients the substitute is made from (checked against what the user has)
+//   how    quantity / method, per unit of the original ingredient
+const { normalizeIngredient, canonicalizeIngredient, ingredientFamily, calculateMatchPercentage } = require('./ingredients');
+
+const SUBSTITUTIONS = {
+  // Dairy
+  buttermilk: [
+    { using: ['milk', 'lemon'], how: '1 cup milk + 1 tbsp lemon juice per cup, rest 5 minutes' },
+    { using: ['milk', 'vinegar'], how: '1 cup milk + 1 tbsp vinegar per cup, rest 5 minutes' },
+    { using: ['yogurt'], how: '¾ cup yogurt + ¼ cup water per cup' },
+    { using: ['curd'], how: '¾ cup curd whisked with ¼ cup water per cup' }
+  ],
+  paneer: [
+    { using: ['tofu'], how: 'Same weight of firm tofu, pressed and cubed' },
+    { using: ['halloumi'], how: 'Same weight, holds its shape when fried' },
+    { using: ['ricotta'], how: 'Same weight, best in crumbled dishes like bhurji' },
+    { using: ['milk', 'lemon'], how: 'Make it: boil 1 l milk, curdle with 2 tbsp lemon juice, strain and press (≈200 g)' }
+  ],
+  ghee: [
+    { using: ['butter'], how: 'Same amount, cook on lower heat (it burns sooner)' },
+    { using: ['coconut oil'], how: 'Same amount' },
+    { using: ['oil'], how: 'Same amount of a neutral oil' }
+  ],
+  butter: [
+    { using: ['ghee'], how: 'Use ¾ of the amount' },
+    { using: ['coconut oil'], how: 'Same amount' },
+    { using: ['olive oil'], how: 'Use ¾ of the amount (not for baking that needs creaming)' },
+    { using: ['oil'], how: 'Use ¾ of the amount of a neutral oil' }
+  ],
+  cream: [
+    { using: ['milk', 'butter'], how: '¾ cup milk + ¼ cup melted butter per cup (not for whipping)' },
+    { using: ['coconut milk'], how: 'Same amount of full-fat coconut milk' },
+    { using: ['cashews'], how: 'Blend ½ cup soaked cashews with ½ cup water per cup' },
+    { using: ['yogurt'], how: 'Same amount, stir in off the heat so it doesn\'t split' }
+  ],
+  'sour cream': [
+    { using: ['yogurt'], how: 'Same amount of thick yogurt' },
+    { using: ['cream', 'lemon'], how: '1 cup cream + 1 tbsp lemon juice' }
+  ],
+  yogurt: [
+    { using: ['curd'], how: 'Same amount' },
+    { using: ['sour cream'], how: 'Same amount' },
+    { using: ['buttermilk'], how: 'Same amount, the dish will be thinner' }
+  ],
+  curd: [
+    { using: ['yogurt'], how: 'Same amount' },
+    { using: ['buttermilk'], how: 'Same amount, the dish will be thinner' }
+  ],
+  milk: [
+    { using: ['coconut milk'], how: 'Same amount, or half coconut milk half water' },
+    { using: ['cream'], how: '½ cup cream + ½ cup water per cup' },
+    { using: ['yogurt'], how: '½ cup yogurt + ½ cup water per cup, for baking and sauces' }
+  ],
+  cheese: [
+    { using: ['paneer'], how: 'Same weight, for dishes where it doesn\'t need to melt' },
+    { using: ['nutritional yeast'], how: '2 tbsp per ½ cup cheese for a cheesy flavour' }
+  ],
+  parmesan: [
+    { using: ['cheddar'], how: 'Same amount, finely grated' },
+    { using: ['nutritional yeast'], how: 'Half the amount' }
+  ],
+  mozzarella: [
+    { using: ['cheddar'], how: 'Same amount' },
+    { using: ['paneer'], how: 'Same amount, grated (won\'t stretch)' }
+  ],
+
+  // Eggs and binders
+  egg: [
+    { using: ['flaxseed'], how: '1 tbsp ground flaxseed + 3 tbsp water per egg, rest 5 minutes' },
+    { using: ['banana'], how: '¼ cup mashed banana per egg (baking, adds sweetness)' },
+    { using: ['yogurt'], how: '¼ cup yogurt per egg (baking)' },
+    { using: ['besan'], how: '3 tbsp besan + 3 tbsp water per egg' }
+  ],
+  mayonnaise: [
+    { using: ['yogurt'], how: 'Same amount of thick yogurt' },
+    { using: ['sour cream'], how: 'Same amount' }
+  ],
+
+  // Sweeteners
+  honey: [
+    { using: ['maple syrup'], how: 'Same amount' },
+    { using: ['jaggery'], how: 'Same amount, melted with a splash of water' },
+    { using: ['sugar'], how: '1¼ cups sugar + ¼ cup water per cup' }
+  ],
+  sugar: [
+    { using: ['jaggery'], how: 'Same amount, grated' },
+    { using: ['honey'], how: '¾ cup honey per cup, reduce other liquid by 2 tbsp' },
+    { using: ['brown sugar'], how: 'Same amount' }
+  ],
+  'brown sugar': [
+    { using: ['sugar', 'honey'], how: '1 cup sugar + 1 tbsp honey per cup' },
+    { using: ['jaggery'], how: 'Same amount, grated' },
+    { using: ['sugar'], how: 'Same amount (less caramel flavour)' }
+  ],
+  jaggery: [
+    { using: ['brown sugar'], how: 'Same amount' },
+    { using: ['sugar'], how: 'Same amount' }
+  ],
+  'maple syrup': [
+    { using: ['honey'], how: 'Same amount' },
+    { using: ['jaggery'], how: 'Same amount, melted with a splash of water' }
+  ],
+
+  // Acids and sauces
+  lemon: [
+    { using: ['lime'], how: 'Same amount of juice' },
+    { using: ['vinegar'], how: 'Half the amount of vinegar' },
+    { using: ['tamarind'], how: '1 tsp tamarind paste per tbsp of juice' }
+  ],
+  lime: [
+    { using: ['lemon'], how: 'Same amount of juice' },
+    { using: ['vinegar'], how: 'Half the amount of vinegar' }
+  ],
+  vinegar: [
+    { using: ['lemon'], how: 'Twice the amount of lemon juice' },
+    { using: ['lime'], how: 'Twice the amount of lime juice' }
+  ],
+  tamarind: [
+    { using: ['lemon', 'sugar'], how: '1 tbsp lemon juice + ½ tsp sugar per tbsp of paste' },
+    { using: ['vinegar', 'sugar'], how: '½ tbsp vinegar + ½ tsp sugar per tbsp of paste' }
+  ],
+  'soy sauce': [
+    { using: ['tamari'], how: 'Same amount' },
+    { using: ['salt'], how: '¼ tsp salt per tbsp, adds saltiness only' }
+  ],
+  'fish sauce': [
+    { using: ['soy sauce', 'lime'], how: '1 tbsp soy sauce + a squeeze of lime per tbsp' },
+    { using: ['soy sauce'], how: 'Same amount' }
+  ],
+  'tomato paste': [
+    { using: ['tomato puree'], how: '3 tbsp puree per tbsp paste, cook it down' },
+    { using: ['ketchup'], how: 'Same amount, reduce sugar elsewhere' },
+    { using: ['tomato'], how: '1 blended tomato cooked down per 2 tbsp paste' }
+  ],
+  tomato: [
+    { using: ['tomato puree'], how: '¼ cup puree per tomato' },
+    { using: ['canned tomatoes'], how: '½ cup per fresh tomato' },
+    { using: ['tomato paste'], how: '1 tbsp paste + 3 tbsp water per tomato' }
+  ],
+  'coconut milk': [
+    { using: ['milk', 'cream'], how: '¾ cup milk + ¼ cup cream per cup' },
+    { using: ['cashews'], how: 'Blend ¼ cup soaked cashews with 1 cup water' },
+    { using: ['milk'], how: 'Same amount (less rich)' }
+  ],
+  stock: [
+    { using: ['water', 'salt'], how: 'Same amount of water, season a little more' },
+    { using: ['water'], how: 'Same amount with a stock cube' }
+  ],
+  wine: [
+    { using: ['stock', 'vinegar'], how: 'Same amount of stock + 1 tbsp vinegar per cup' },
+    { using: ['stock', 'lemon'], how: 'Same amount of stock + 1 tbsp lemon juice per cup' }
+  ],
+
+  // Aromatics, herbs and spices
+  onion: [
+    { using: ['shallot'], how: '3 shallots per onion' },
+    { using: ['leek'], how: '1 leek per onion, white and light green parts' },
+    { using: ['spring onion'], how: '6 spring onions per onion' },
+    { using: ['onion powder'], how: '1 tbsp per onion' }
+  ],
+  shallot: [
+    { using: ['onion'], how: '⅓ onion per shallot' },
+    { using: ['spring onion'], how: '2 spring onions per shallot' }
+  ],
+  garlic: [
+    { using: ['garlic powder'], how: '⅛ tsp per clove' },
+    { using: ['ginger garlic paste'], how: '½ tsp per clove' },
+    { using: ['asafoetida'], how: 'A pinch for the whole dish' }
+  ],
+  ginger: [
+    { using: ['ginger powder'], how: '¼ tsp per tbsp of fresh ginger' },
+    { using: ['ginger garlic paste'], how: '1 tsp per tbsp of fresh ginger' }
+  ],
+  coriander: [
+    { using: ['parsley'], how: 'Same amount, with a squeeze of lime' },
+    { using: ['mint'], how: 'Half the amount' },
+    { using: ['basil'], how: 'Same amount' }
+  ],
+  cilantro: [
+    { using: ['parsley'], how: 'Same amount, with a squeeze of lime' },
+    { using: ['mint'], how: 'Half the amount' }
+  ],
+  parsley: [
+    { using: ['coriander'], how: 'Same amount' },
+    { using: ['basil'], how: 'Same amount' }
+  ],
+  basil: [
+    { using: ['spinach'], how: 'Same amount, for pesto' },
+    { using: ['parsley'], how: 'Same amount' },
+    { using: ['mint'], how: 'Half the amount' }
+  ],
+  'green chilli': [
+    { using: ['chilli powder'], how: '¼ tsp per chilli' },
+    { using: ['chilli flakes'], how: '½ tsp per chilli' },
+    { using: ['black pepper'], how: '¼ tsp per chilli (milder)' }
+  ],
+  'chilli powder': [
+    { using: ['paprika', 'cayenne'], how: '¾ tsp paprika + ¼ tsp cayenne per tsp' },
+    { using: ['chilli flakes'], how: 'Same amount, ground' },
+    { using: ['green chilli'], how: '1 chilli per ¼ tsp' }
+  ],
+  'garam masala': [
+    { using: ['cumin', 'coriander', 'cinnamon'], how: '½ tsp cumin + ¼ tsp coriander + ¼ tsp cinnamon per tsp' },
+    { using: ['curry powder'], how: 'Same amount' }
+  ],
+  cumin: [
+    { using: ['coriander'], how: 'Same amount of ground coriander' },
+    { using: ['garam masala'], how: 'Half the amount' }
+  ],
+
+  // Starches and grains
+  rice: [
+    { using: ['quinoa'], how: 'Same amount, cook 15 minutes' },
+    { using: ['cauliflower'], how: '1 small cauliflower, grated, per cup of rice' },
+    { using: ['couscous'], how: 'Same amount' }
+  ],
+  pasta: [
+    { using: ['noodles'], how: 'Same weight' },
+    { using: ['rice'], how: 'Same weight, for a pilaf-style dish' }
+  ],
+  noodles: [
+    { using: ['pasta'], how: 'Same weight of spaghetti' },
+    { using: ['rice noodles'], how: 'Same weight' }
+  ],
+  breadcrumbs: [
+    { using: ['oats'], how: 'Same amount, pulsed' },
+    { using: ['bread'], how: '1 slice toasted and crumbled per ½ cup' },
+    { using: ['crackers'], how: 'Same amount, crushed' }
+  ],
+  flour: [
+    { using: ['atta'], how: 'Same amount (denser result)' },
+    { using: ['maida'], how: 'Same amount' },
+    { using: ['oats'], how: '1¼ cups blended oats per cup' }
+  ],
+  maida: [
+    { using: ['flour'], how: 'Same amount of all-purpose flour' },
+    { using: ['atta'], how: 'Same amount (denser result)' }
+  ],
+  cornstarch: [
+    { using: ['flour'], how: '2 tbsp flour per tbsp' },
+    { using: ['arrowroot'], how: 'Same amount' },
+    { using: ['rice flour'], how: '2 tbsp per tbsp' }
+  ],
+  'baking powder': [
+    { using: ['baking soda', 'lemon'], how: '¼ tsp soda + ½ tsp lemon juice per tsp' },
+    { using: ['baking soda', 'yogurt'], how: '¼ tsp soda + ½ cup yogurt per tsp (reduce other liquid)' }
+  ],
+  'baking soda': [
+    { using: ['baking powder'], how: '3 tsp baking powder per tsp' }
+  ],
+  potato: [
+    { using: ['sweet potato'], how: 'Same weight' },
+    { using: ['cauliflower'], how: 'Same weight, cook for less time' }
+  ],
+
+  // Protein and vegetables
+  chicken: [
+    { using: ['turkey'], how: 'Same weight' },
+    { using: ['paneer'], how: 'Same weight, add near the end' },
+    { using: ['tofu'], how: 'Same weight of firm tofu, pressed' },
+    { using: ['chickpeas'], how: '1 cup cooked chickpeas per 150 g' }
+  ],
+  beef: [
+    { using: ['lamb'], how: 'Same weight' },
+    { using: ['mushrooms'], how: 'Same weight' },
+    { using: ['lentils'], how: '1 cup cooked lentils per 150 g' }
+  ],
+  tofu: [
+    { using: ['paneer'], how: 'Same weight' },
+    { using: ['chickpeas'], how: 'Same weight' }
+  ],
+  spinach: [
+    { using: ['kale'], how: 'Same amount, cook a little longer' },
+    { using: ['methi'], how: 'Half the amount (more bitter)' },
+    { using: ['cabbage'], how: 'Same amount, shredded' }
+  ],
+  'bell pepper': [
+    { using: ['capsicum'], how: 'Same amount' },
+    { using: ['zucchini'], how: 'Same amount' },
+    { using: ['carrot'], how: 'Same amount, sliced thin' }
+  ],
+  oil: [
+    { using: ['ghee'], how: 'Same amount' },
+    { using: ['butter'], how: 'Same amount, on lower heat' }
+  ],
+  'olive oil': [
+    { using: ['oil'], how: 'Same amount of any neutral oil' },
+    { using: ['butter'], how: 'Same amount, on lower heat' }
+  ]
+};
+
+// Other names for knowledge base entries
+const ALIASES = {
+  eggs: 'egg',
+  mayo: 'mayonnaise',
+  'heavy cream': 'cream',
+  'fresh cream': 'cream',
+  dahi: 'curd',
+  'lemon juice': 'lemon',
+  'lime juice': 'lime',
+  'chicken stock': 'stock',
+  'vegetable stock': 'stock',
+  broth: 'stock',
+  'all purpose flour': 'flour',
+  'plain flour': 'flour',
+  'corn starch': 'cornstarch',
+  cornflour: 'cornstarch',
+  capsicum: 'bell pepper',
+  'green chillies': 'green chilli',
+  'green chili': 'green chilli',
+  'red chilli powder': 'chilli powder',
+  'chili powder': 'chilli powder',
+  spaghetti: 'pasta',
+  penne: 'pasta',
+  macaroni: 'pasta'
+};
+
+const KEYS = Object.keys(SUBSTITUTIONS).sort((a, b) => b.length - a.length);
+
+// Entries by canonical name, so "dahi" or "thayir" find the yogurt entry
+const CANONICAL_KEYS = Object.keys(SUBSTITUTIONS).reduce((acc, key) => {
+  const canonical = canonicalizeIngredient(key);
+  if (!acc[canonical]) acc[canonical] = key;
+  return acc;
+}, {});
+
+// "fresh paneer cubes" → "paneer"; the longest entry named in the ingredient wins
+const findEntry = (ingredient) => {
+  const name = normalizeIngredient(ingredient);
+  if (!name) return null;
+  if (SUBSTITUTIONS[name]) return name;
+  if (ALIASES[name]) return ALIASES[name];
+
+  // "chicken thighs" → chicken, "capsicum" → bell pepper
+  const known = ingredientFamily(name).find(candidate => CANONICAL_KEYS[candidate]);
+  if (known) return CANONICAL_KEYS[known];
+
+  const singular = name.replace(/(?:es|s)$/, '');
+  if (SUBSTITUTIONS[singular]) return singular;
+
+  const alias = Object.keys(ALIASES).find(key => new RegExp(`\\b${key}\\b`).test(name));
+  if (alias) return ALIASES[alias];
+
+  return KEYS.find(key => new RegExp(`\\b${key}(?:e?s)?\\b`).test(name)) || null;
+};
+
+// "whole milk" and "dahi" cover "milk" and "yogurt", but "milk" doesn't cover "coconut milk"
+const hasIngredient = (have, name) => {
+  const canonical = canonicalizeIngredient(name);
+  return have.some(item => item === name || new RegExp(`\\b${name}`).test(item) || ingredientFamily(item).includes(canonical));
+};
+
+// Substitutes for each missing ingredient, the ones the user can make right now first
+const suggestSubstitutes = (missing = [], have = []) => {
+  const available = have.map(normalizeIngredient).filter(item => item);
+
+  return missing.map(ingredient => {
+    const entry = findEntry(ingredient);
+    const options = (entry ? SUBSTITUTIONS[entry] : [])
+      .map(option => {
+        const needs = option.using.filter(item => !hasIngredient(available, item));
+        return { ...option, available: needs.length === 0, needs };
+      })
+      .sort((a, b) => Number(b.available) - Number(a.available) || a.needs.length - b.needs.length);
+
+    return {
+      ingredient,
+      options,
+      canSubstitute: options.some(option => option.available)
+    };
+  });
+};
+
+// Match percentage before and after counting substitutable ingredients as "have"
+const matchWithSubstitutes = (recipeIngredients = [], have = [], suggestions = [], staples) => {
+  const substituted = suggestions.filter(item => item.canSubstitute).map(item => item.ingredient);
+  return {
+    current: calculateMatchPercentage(have, recipeIngredients, { staples }),
+    withSubstitutes: calculateMatchPercentage([...have, ...substituted], recipeIngredients, { staples }),
+    substituted
+  };
+};
+
+module.exports = {
+  SUBSTITUTIONS,
+  suggestSubstitutes,
+  matchWithSubstitutes
+};
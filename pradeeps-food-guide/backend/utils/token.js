@@ -0,0 +1,20 @@
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+
+const signToken = (user) => {
+  return jwt.sign(
+    { userId: user._id.toString(), email: user.email },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRE }
+  );
+};
+
+// Throws (JsonWebTokenError / TokenExpiredError) when the token is invalid
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+module.exports = {
+  signToken,
+  verifyToken
+};
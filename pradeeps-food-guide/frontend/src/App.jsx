@@ -6,6 +6,11 @@ import Home from './pages/Home'
 import Dashboard from './pages/Dashboard'
 import Favorites from './pages/Favorites'
 import Planner from './pages/Planner'
+import MyRecipes from './pages/MyRecipes'
+import RecipeEditor from './pages/RecipeEditor'
+import RecipeHistory from './pages/RecipeHistory'
+import ImportRecipe from './pages/ImportRecipe'
+import Admin from './pages/Admin'
 import Layout from './components/Layout'
 
 function App() {
@@ -49,6 +54,12 @@ function App() {
               <Route path="/dashboard" element={<Dashboard />} />
               <Route path="/favorites" element={<Favorites />} />
               <Route path="/planner" element={<Planner />} />
+              <Route path="/my-recipes" element={<MyRecipes />} />
+              <Route path="/my-recipes/new" element={<RecipeEditor />} />
+              <Route path="/my-recipes/import" element={<ImportRecipe />} />
+              <Route path="/my-recipes/:id/edit" element={<RecipeEditor />} />
+              <Route path="/my-recipes/:id/history" element={<RecipeHistory />} />
+              <Route path="/admin" element={<Admin />} />
             </Routes>
             <Toaster 
               position="top-right"
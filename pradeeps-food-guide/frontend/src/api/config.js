@@ -10,4 +10,18 @@ export const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
-});
\ No newline at end of file
+});
+
+// Searches may run the backend's whole deadline (SEARCH_DEADLINE_MS, 12s by
+// default) before the local fallback answers, so they get longer than the
+// default timeout. Keep this above the deadline or the page gives up first.
+export const SEARCH_TIMEOUT = 20000;
+
+// Attach the JWT issued by /api/auth/login to every request when signed in
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
@@ -1,18 +1,24 @@
 import { Link, useLocation } from 'react-router-dom'
 import { useState, useEffect } from 'react'
-import { ChefHat, Home, Search, Heart, Calendar, Moon, Sun } from 'lucide-react'
+import { ChefHat, Home, Search, Heart, BookOpen, Calendar, Shield, Moon, Sun } from 'lucide-react'
+import { getCurrentUser, isAdmin, onAuthChange } from '../utils/auth'
 
 const Layout = ({ children }) => {
   const location = useLocation()
   const [darkMode, setDarkMode] = useState(false)
+  const [admin, setAdmin] = useState(() => isAdmin(getCurrentUser()))
   
   const navItems = [
     { path: '/', label: 'Home', icon: <Home size={20} /> },
     { path: '/dashboard', label: 'Find Recipes', icon: <Search size={20} /> },
     { path: '/favorites', label: 'Favorites', icon: <Heart size={20} /> },
+    { path: '/my-recipes', label: 'My Recipes', icon: <BookOpen size={20} /> },
     { path: '/planner', label: 'Meal Planner', icon: <Calendar size={20} /> },
+    ...(admin ? [{ path: '/admin', label: 'Admin', icon: <Shield size={20} /> }] : []),
   ]
 
+  useEffect(() => onAuthChange(() => setAdmin(isAdmin(getCurrentUser()))), [])
+
   useEffect(() => {
     if (darkMode) {
       document.documentElement.classList.add('dark')
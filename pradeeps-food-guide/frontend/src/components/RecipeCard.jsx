@@ -1,8 +1,15 @@
 import { useState } from 'react'
-import { Clock, Users, Heart, ChevronRight, Star } from 'lucide-react'
+import { Clock, Users, Heart, ChevronRight, Star, BookOpen } from 'lucide-react'
 import toast from 'react-hot-toast'
 import { Link } from 'react-router-dom'
 
+// How each recipe ingredient counted towards the match score
+const MATCH_GROUPS = [
+  { status: 'matched', label: 'You have', className: 'text-green-700 dark:text-green-400' },
+  { status: 'partial', label: 'Close match', className: 'text-yellow-700 dark:text-yellow-400' },
+  { status: 'missing', label: 'Missing', className: 'text-red-600 dark:text-red-400' },
+  { status: 'staple', label: 'Pantry staples', className: 'text-gray-500 dark:text-gray-400' }
+]
 
 const RecipeCard = ({ recipe, onClick, userIngredients = [] }) => {
   const [isFavorite, setIsFavorite] = useState(() => {
@@ -26,7 +33,8 @@ const RecipeCard = ({ recipe, onClick, userIngredients = [] }) => {
         image: recipe.image,
         readyInMinutes: recipe.readyInMinutes,
         servings: recipe.servings,
-        matchPercentage: recipe.matchPercentage
+        matchPercentage: recipe.matchPercentage,
+        source: recipe.source
       })
       localStorage.setItem('favorites', JSON.stringify(favorites))
       setIsFavorite(true)
@@ -34,6 +42,9 @@ const RecipeCard = ({ recipe, onClick, userIngredients = [] }) => {
     }
   }
 
+  const breakdown = recipe.matchBreakdown || []
+  const haveCount = breakdown.filter(item => item.status === 'matched' || item.status === 'staple').length
+
   const matchColor = recipe.matchPercentage >= 80 ? 'bg-green-500' 
     : recipe.matchPercentage >= 60 ? 'bg-yellow-500' 
     : 'bg-orange-500'
@@ -84,7 +95,12 @@ const RecipeCard = ({ recipe, onClick, userIngredients = [] }) => {
                 <span className="text-sm font-medium">{recipe.servings} servings</span>
               </div>
             </div>
-            {recipe.veryPopular && (
+            {recipe.source === 'mine' ? (
+              <div className="flex items-center gap-1">
+                <BookOpen size={16} />
+                <span className="text-sm font-medium">Your recipe</span>
+              </div>
+            ) : recipe.veryPopular && (
               <div className="flex items-center gap-1">
                 <Star size={16} className="fill-yellow-400 text-yellow-400" />
                 <span className="text-sm font-medium">Popular</span>
@@ -141,6 +157,24 @@ const RecipeCard = ({ recipe, onClick, userIngredients = [] }) => {
               style={{ width: `${Math.min(recipe.matchPercentage, 100)}%` }}
             ></div>
           </div>
+          {breakdown.length > 0 && (
+            <div className="mt-2 space-y-1 text-xs">
+              {MATCH_GROUPS.map(({ status, label, className }) => {
+                const items = breakdown.filter(item => item.status === status)
+                if (items.length === 0) return null
+                return (
+                  <p key={status} className={`${className} line-clamp-1`}>
+                    <span className="font-medium">{label}:</span>{' '}
+                    {items.map((item, index) => (
+                      <span key={index} className={item.key ? 'font-semibold' : ''} title={item.key ? 'Key ingredient' : undefined}>
+                        {index > 0 ? ', ' : ''}{item.ingredient}
+                      </span>
+                    ))}
+                  </p>
+                )
+              })}
+            </div>
+          )}
         </div>
 
         {/* Action Button */}
@@ -151,8 +185,8 @@ const RecipeCard = ({ recipe, onClick, userIngredients = [] }) => {
           </button>
           
           <div className="text-xs text-gray-500">
-            {userIngredients.length > 0 && (
-              <span>{Math.min(recipe.matchPercentage, 100)}% of your ingredients</span>
+            {userIngredients.length > 0 && breakdown.length > 0 && (
+              <span>{haveCount} of {breakdown.length} ingredients ready</span>
             )}
           </div>
         </div>
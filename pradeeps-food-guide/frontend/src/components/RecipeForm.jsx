@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react'
+import { Plus, Trash2, ArrowUp, ArrowDown, Save, Loader, Image, Timer } from 'lucide-react'
+
+// Same limits the backend checks (utils/recipeSchema.js)
+const LIMITS = { titleLength: 120, minServings: 1, maxServings: 24, minMinutes: 1, maxMinutes: 600, minSteps: 2 }
+
+const UNITS = ['tsp', 'tbsp', 'cup', 'ml', 'l', 'g', 'kg', 'oz', 'lb', 'pinch', 'clove', 'piece', 'can']
+
+const emptyIngredient = () => ({ amount: '', unit: '', name: '', preparation: '' })
+const emptyStep = () => ({ text: '', minutes: '' })
+
+// Saved recipe → editable rows (amounts as text so "1 1/2" and "2-3" can be typed)
+const toForm = (recipe) => ({
+  title: recipe.title || '',
+  description: recipe.description || '',
+  image: recipe.image || '',
+  prepTime: recipe.prepTime ?? '',
+  servings: recipe.servings ?? '',
+  tips: recipe.tips || '',
+  ingredients: (recipe.ingredients?.length ? recipe.ingredients : [emptyIngredient()]).map(ing => ({
+    amount: ing.amount === null || ing.amount === undefined || ing.amount === ''
+      ? ''
+      : ing.amountMax ? `${ing.amount}-${ing.amountMax}` : String(ing.amount),
+    unit: ing.unit || '',
+    name: ing.name || '',
+    preparation: ing.preparation || ''
+  })),
+  instructions: (recipe.instructions?.length ? recipe.instructions : [emptyStep(), emptyStep()]).map(step => (
+    typeof step === 'string'
+      ? { text: step, minutes: '' }
+      : { text: step.text || '', minutes: step.minutes ?? '' }
+  ))
+})
+
+const toRecipe = (form) => ({
+  title: form.title.trim(),
+  description: form.description.trim(),
+  image: form.image.trim(),
+  prepTime: Number(form.prepTime),
+  servings: Number(form.servings),
+  tips: form.tips.trim(),
+  ingredients: form.ingredients
+    .filter(ing => ing.name.trim() || String(ing.amount).trim())
+    .map(ing => ({
+      amount: String(ing.amount).trim() || null,
+      unit: ing.unit.trim() || null,
+      name: ing.name.trim(),
+      preparation: ing.preparation.trim() || null
+    })),
+  instructions: form.instructions
+    .filter(step => step.text.trim())
+    .map(step => ({ text: step.text.trim(), minutes: Number(step.minutes) || null }))
+})
+
+const validate = (recipe) => {
+  const errors = []
+  if (!recipe.title) errors.push('Give the recipe a title')
+  else if (recipe.title.length > LIMITS.titleLength) errors.push(`Title must be at most ${LIMITS.titleLength} characters`)
+  if (!(Number.isInteger(recipe.servings) && recipe.servings >= LIMITS.minServings && recipe.servings <= LIMITS.maxServings)) {
+    errors.push(`Servings must be a whole number from ${LIMITS.minServings} to ${LIMITS.maxServings}`)
+  }
+  if (!(recipe.prepTime >= LIMITS.minMinutes && recipe.prepTime <= LIMITS.maxMinutes)) {
+    errors.push(`Total time must be ${LIMITS.minMinutes}-${LIMITS.maxMinutes} minutes`)
+  }
+  if (recipe.ingredients.length === 0) errors.push('Add at least one ingredient')
+  recipe.ingredients.forEach((ing, idx) => {
+    if (!ing.name) errors.push(`Ingredient ${idx + 1} needs a name`)
+  })
+  if (recipe.instructions.length < LIMITS.minSteps) errors.push(`Add at least ${LIMITS.minSteps} steps`)
+  if (recipe.image && !/^https?:\/\//.test(recipe.image)) errors.push('Image must be an http(s) URL')
+  return errors
+}
+
+// Editor for a user recipe. `recipe` is the starting point (a saved recipe, an
+// imported one or emptyRecipe()); onSubmit gets the recipe in the shape
+// /api/users/recipes takes. `errors` are shown under the form, e.g. from the server.
+const RecipeForm = ({ recipe, onSubmit, onCancel, saving = false, errors = [], submitLabel = 'Save recipe' }) => {
+  const [form, setForm] = useState(() => toForm(recipe))
+  const [formErrors, setFormErrors] = useState([])
+
+  useEffect(() => {
+    setForm(toForm(recipe))
+    setFormErrors([])
+  }, [recipe])
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }))
+
+  const updateRow = (list, index, field, value) => setForm(prev => ({
+    ...prev,
+    [list]: prev[list].map((row, idx) => (idx === index ? { ...row, [field]: value } : row))
+  }))
+
+  const addRow = (list, row) => setForm(prev => ({ ...prev, [list]: [...prev[list], row] }))
+
+  const removeRow = (list, index) => setForm(prev => ({
+    ...prev,
+    [list]: prev[list].filter((row, idx) => idx !== index)
+  }))
+
+  const moveStep = (index, offset) => setForm(prev => {
+    const steps = [...prev.instructions]
+    const target = index + offset
+    if (target < 0 || target >= steps.length) return prev
+    ;[steps[index], steps[target]] = [steps[target], steps[index]]
+    return { ...prev, instructions: steps }
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const result = toRecipe(form)
+    const problems = validate(result)
+    setFormErrors(problems)
+    if (problems.length === 0) onSubmit(result)
+  }
+
+  const shownErrors = formErrors.length > 0 ? formErrors : errors
+  const imagePreview = /^https?:\/\//.test(form.image.trim()) ? form.image.trim() : null
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <label className="block md:col-span-2">
+            <span className="text-sm font-medium">Title</span>
+            <input value={form.title} onChange={updateField('title')} placeholder="Grandma's dal" className="input-field mt-1" />
+          </label>
+          <label className="block md:col-span-2">
+            <span className="text-sm font-medium">Description</span>
+            <input value={form.description} onChange={updateField('description')} placeholder="A line about the dish" className="input-field mt-1" />
+          </label>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="text-sm font-medium">Total time (min)</span>
+              <input type="number" min={LIMITS.minMinutes} max={LIMITS.maxMinutes} value={form.prepTime} onChange={updateField('prepTime')} className="input-field mt-1" />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium">Servings</span>
+              <input type="number" min={LIMITS.minServings} max={LIMITS.maxServings} value={form.servings} onChange={updateField('servings')} className="input-field mt-1" />
+            </label>
+          </div>
+          <div className="flex gap-3 items-end">
+            <label className="block flex-1">
+              <span className="text-sm font-medium">Image URL (optional)</span>
+              <input value={form.image} onChange={updateField('image')} placeholder="https://..." className="input-field mt-1" />
+            </label>
+            <div className="w-16 h-12 rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-700 flex items-center justify-center flex-shrink-0">
+              {imagePreview
+                ? <img src={imagePreview} alt="Preview" className="w-full h-full object-cover" />
+                : <Image size={18} className="text-gray-400" />}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6">
+        <h2 className="text-xl font-bold mb-1">Ingredients</h2>
+        <p className="text-sm text-gray-500 mb-4">Amounts like 2, 1 1/2 or 2-3; leave the amount empty for "to taste".</p>
+        <datalist id="recipe-units">
+          {UNITS.map(unit => <option key={unit} value={unit} />)}
+        </datalist>
+        <div className="space-y-2">
+          {form.ingredients.map((ing, idx) => (
+            <div key={idx} className="flex flex-wrap md:flex-nowrap gap-2 items-center">
+              <input value={ing.amount} onChange={(e) => updateRow('ingredients', idx, 'amount', e.target.value)} placeholder="Amount" className="input-field w-24" />
+              <input value={ing.unit} onChange={(e) => updateRow('ingredients', idx, 'unit', e.target.value)} placeholder="Unit" list="recipe-units" className="input-field w-28" />
+              <input value={ing.name} onChange={(e) => updateRow('ingredients', idx, 'name', e.target.value)} placeholder="Ingredient" className="input-field flex-1 min-w-[10rem]" />
+              <input value={ing.preparation} onChange={(e) => updateRow('ingredients', idx, 'preparation', e.target.value)} placeholder="chopped, to taste..." className="input-field md:w-48" />
+              <button
+                type="button"
+                onClick={() => removeRow('ingredients', idx)}
+                disabled={form.ingredients.length === 1}
+                className="p-2 text-gray-400 hover:text-red-500 disabled:opacity-30"
+                aria-label="Remove ingredient"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button type="button" onClick={() => addRow('ingredients', emptyIngredient())} className="mt-3 text-food-orange hover:underline inline-flex items-center gap-1">
+          <Plus size={16} />
+          Add ingredient
+        </button>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6">
+        <h2 className="text-xl font-bold mb-4">Steps</h2>
+        <div className="space-y-3">
+          {form.instructions.map((step, idx) => (
+            <div key={idx} className="flex gap-3 items-start">
+              <span className="w-8 h-8 mt-1 rounded-full bg-food-orange text-white flex items-center justify-center text-sm font-bold flex-shrink-0">
+                {idx + 1}
+              </span>
+              <textarea
+                value={step.text}
+                onChange={(e) => updateRow('instructions', idx, 'text', e.target.value)}
+                rows={2}
+                placeholder="What to do"
+                className="input-field flex-1"
+              />
+              <label className="flex items-center gap-1 mt-2 text-sm text-gray-500" title="Optional timer for this step">
+                <Timer size={14} />
+                <input
+                  type="number"
+                  min="1"
+                  value={step.minutes}
+                  onChange={(e) => updateRow('instructions', idx, 'minutes', e.target.value)}
+                  placeholder="min"
+                  className="input-field w-20"
+                />
+              </label>
+              <div className="flex flex-col">
+                <button type="button" onClick={() => moveStep(idx, -1)} disabled={idx === 0} className="p-1 text-gray-400 hover:text-food-orange disabled:opacity-30" aria-label="Move step up">
+                  <ArrowUp size={14} />
+                </button>
+                <button type="button" onClick={() => moveStep(idx, 1)} disabled={idx === form.instructions.length - 1} className="p-1 text-gray-400 hover:text-food-orange disabled:opacity-30" aria-label="Move step down">
+                  <ArrowDown size={14} />
+                </button>
+              </div>
+              <button
+                type="button"
+                onClick={() => removeRow('instructions', idx)}
+                disabled={form.instructions.length === 1}
+                className="p-2 mt-1 text-gray-400 hover:text-red-500 disabled:opacity-30"
+                aria-label="Remove step"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button type="button" onClick={() => addRow('instructions', emptyStep())} className="mt-3 text-food-orange hover:underline inline-flex items-center gap-1">
+          <Plus size={16} />
+          Add step
+        </button>
+
+        <label className="block mt-6">
+          <span className="text-sm font-medium">Tips (optional)</span>
+          <textarea value={form.tips} onChange={updateField('tips')} rows={2} className="input-field mt-1" />
+        </label>
+      </div>
+
+      {shownErrors.length > 0 && (
+        <ul className="p-4 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300 list-disc list-inside">
+          {shownErrors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-end gap-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-6 py-2 bg-food-orange text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+        >
+          {saving ? <Loader className="animate-spin" size={16} /> : <Save size={16} />}
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default RecipeForm
@@ -1,27 +1,81 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
 import axios from 'axios'
 import toast from 'react-hot-toast'
-import { X, Clock, Users, ChefHat, Copy, ShoppingCart, Heart, Printer, Share2, Thermometer, Scale, CheckCircle, XCircle } from 'lucide-react'
+import { X, Clock, Users, ChefHat, Copy, ShoppingCart, Heart, Printer, Share2, Thermometer, Scale, CheckCircle, XCircle, Leaf, Undo2, Package, GitFork, Loader, FileDown } from 'lucide-react'
 import { api } from '../api/config';
+import { scaleIngredient } from '../utils/ingredients'
+import { convertTemperatures, getUnitSystem, setUnitSystem } from '../utils/units'
+import { getStaples, staplesParam } from '../utils/staples'
+import { getCurrentUser } from '../utils/auth'
+import { forkRecipe } from '../utils/myRecipes'
+import { exportCooklang } from '../utils/cooklang'
 
-const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
+const DIET_SWAPS = [
+  { key: 'vegetarian', label: 'Vegetarian' },
+  { key: 'vegan', label: 'Vegan' },
+  { key: 'dairyfree', label: 'Dairy-Free' },
+  { key: 'glutenfree', label: 'Gluten-Free' }
+]
+
+const NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: '' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' }
+]
+
+// User ingredients shown when the recipe itself has none
+const toFallbackIngredient = (ing, idx) => ({
+  id: idx + 1,
+  name: ing,
+  original: `${ing} - as needed`,
+  amount: null,
+  unit: null,
+  preparation: 'as needed'
+})
+
+const RecipeModal = ({ recipeId, source, onClose, userIngredients = [] }) => {
   const [recipe, setRecipe] = useState(null)
   const [loading, setLoading] = useState(true)
   const [servings, setServings] = useState(2)
   const [spiceLevel, setSpiceLevel] = useState('medium')
+  const [unitSystem, setUnitSystemState] = useState(getUnitSystem)
+  const [swaps, setSwaps] = useState([])
+  const [excluded, setExcluded] = useState([])
+  const [customized, setCustomized] = useState(null)
+  const [changes, setChanges] = useState([])
+  const [customizing, setCustomizing] = useState(false)
+  const customizeRequest = useRef(0)
   const [scaledIngredients, setScaledIngredients] = useState([])
+  const [substitutes, setSubstitutes] = useState({})
+  const [substituteMatch, setSubstituteMatch] = useState(null)
   const [isFavorite, setIsFavorite] = useState(false)
   const [activeTab, setActiveTab] = useState('ingredients')
+  const [forking, setForking] = useState(false)
+  const navigate = useNavigate()
 
   useEffect(() => {
     fetchRecipeDetails()
   }, [recipeId])
 
+  // Servings, spice level, swaps and exclusions are applied by the backend
+  useEffect(() => {
+    if (!recipe) return
+    const timer = setTimeout(customizeRecipe, 300)
+    return () => clearTimeout(timer)
+  }, [recipe, servings, spiceLevel, swaps, excluded])
+
   useEffect(() => {
     if (recipe) {
-      scaleIngredients()
+      buildIngredientList()
     }
-  }, [servings, recipe])
+  }, [recipe, customized, unitSystem])
+
+  // The recipe as currently customized, or as fetched when nothing was changed
+  const current = customized || recipe
 
   const fetchRecipeDetails = async () => {
     setLoading(true)
@@ -34,7 +88,9 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
       
       const response = await api.get(`/api/recipes/${recipeId}`, {
         params: {
-          ingredients: ingredientsToSend
+          ingredients: ingredientsToSend,
+          source,
+          staples: staplesParam()
         }
       })
       
@@ -60,7 +116,7 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
       
       // Check if favorite
       const favorites = JSON.parse(localStorage.getItem('favorites') || '[]')
-      setIsFavorite(favorites.some(fav => fav.id === parseInt(recipeId)))
+      setIsFavorite(favorites.some(fav => String(fav.id) === String(recipeId)))
     } catch (error) {
       console.error('Error fetching recipe:', error)
       
@@ -74,13 +130,7 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
         readyInMinutes: 25,
         servings: 2,
         summary: `Simple recipe using ${fallbackIngredients.join(', ')}`,
-        extendedIngredients: fallbackIngredients.map((ing, idx) => ({
-          id: idx + 1,
-          name: ing,
-          original: `${ing} - as needed`,
-          amount: 1,
-          unit: 'portion'
-        })),
+        extendedIngredients: fallbackIngredients.map(toFallbackIngredient),
         analyzedInstructions: [{
           steps: [
             { number: 1, step: `Prepare ${fallbackIngredients.join(' and ')}` },
@@ -100,111 +150,99 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
     }
   }
 
-  const scaleIngredients = () => {
-    if (!recipe) return
-    
+  const customizeRecipe = async () => {
+    const unchanged = servings === (recipe.servings || 2) && spiceLevel === 'medium' &&
+      swaps.length === 0 && excluded.length === 0
+
+    // The offline fallback recipe doesn't exist on the server
+    if (unchanged || recipe.source === 'fallback') {
+      setCustomized(null)
+      setChanges([])
+      return
+    }
+
+    // Only the latest request may update the modal
+    const requestId = ++customizeRequest.current
+    setCustomizing(true)
+    try {
+      const response = await api.post(`/api/recipes/${recipeId}/customize`, {
+        servings,
+        spiceLevel,
+        swaps,
+        exclude: excluded,
+        source,
+        ingredients: userIngredients,
+        staples: getStaples() ?? undefined
+      })
+      if (requestId !== customizeRequest.current) return
+      setCustomized(response.data.recipe)
+      setChanges(response.data.changes || [])
+    } catch (error) {
+      if (requestId !== customizeRequest.current) return
+      console.error('Error customizing recipe:', error)
+      toast.error(error.response?.data?.error || 'Could not customize this recipe')
+      setCustomized(null)
+      setChanges([])
+    } finally {
+      if (requestId === customizeRequest.current) setCustomizing(false)
+    }
+  }
+
+  const buildIngredientList = () => {
     try {
       let ingredients = []
       
       // Handle different recipe sources and structures
-      if (recipe.extendedIngredients && recipe.extendedIngredients.length > 0) {
-        // Standard format (Spoonacular, AI, local)
-        ingredients = recipe.extendedIngredients
-      } else if (recipe.ingredients && recipe.ingredients.length > 0) {
-        // Simple string array format
-        ingredients = recipe.ingredients.map((ing, idx) => {
-          // Try to parse amount from string like "chicken - 200g"
-          if (typeof ing === 'string' && ing.includes('-')) {
-            const parts = ing.split('-')
-            return {
-              id: idx + 1,
-              name: parts[0]?.trim() || ing,
-              original: ing,
-              amount: 1,
-              unit: parts[1]?.trim() || 'portion'
-            }
-          }
-          return {
-            id: idx + 1,
-            name: typeof ing === 'string' ? ing : ing.name || 'ingredient',
-            original: typeof ing === 'string' ? ing : ing.original || ing.name || 'ingredient',
-            amount: 1,
-            unit: 'as needed'
-          }
-        })
+      if (current.extendedIngredients && current.extendedIngredients.length > 0) {
+        // Standard format (Spoonacular, AI, local), already parsed and scaled by the backend
+        ingredients = current.extendedIngredients
+      } else if (current.ingredients && current.ingredients.length > 0) {
+        // Unparsed lines: shown as written
+        ingredients = current.ingredients.map((ing, idx) => ({
+          id: idx + 1,
+          name: typeof ing === 'string' ? ing : ing.name || 'ingredient',
+          original: typeof ing === 'string' ? ing : ing.original || ing.name || 'ingredient',
+          amount: null,
+          unit: null
+        }))
       } else {
         // Fallback - use user ingredients
         const fallbackIngredients = userIngredients.length > 0 ? userIngredients : ['chicken', 'rice', 'vegetables']
-        ingredients = fallbackIngredients.map((ing, idx) => ({
-          id: idx + 1,
-          name: ing,
-          original: `${ing} - as needed`,
-          amount: 1,
-          unit: 'portion'
-        }))
+        ingredients = fallbackIngredients.map(toFallbackIngredient)
       }
       
-      // Scale ingredients based on servings
-      const scaleFactor = servings / (recipe.servings || 2)
-      
-      const scaled = ingredients.map(ing => {
-        // Try to extract amount from original string
-        let amount = ing.amount || 1
-        let unit = ing.unit || 'portion'
-        
-        if (ing.original && typeof ing.original === 'string') {
-          // Check if original contains amount information like "chicken - 200g"
-          if (ing.original.includes('-')) {
-            const parts = ing.original.split('-')
-            const amountPart = parts[1]?.trim() || ''
-            
-            // Try to extract numeric amount
-            const amountMatch = amountPart.match(/(\d+(\.\d+)?)/)
-            if (amountMatch) {
-              amount = parseFloat(amountMatch[1])
-              unit = amountPart.replace(/\d+(\.\d+)?\s*/g, '').trim() || 'portion'
-            }
-          } else {
-            // Try to extract amount from original string directly
-            const amountMatch = ing.original.match(/(\d+(\.\d+)?)/)
-            if (amountMatch) {
-              amount = parseFloat(amountMatch[1])
-            }
-          }
-        }
-        
-        const scaledAmount = Math.round(amount * scaleFactor * 100) / 100
-        
-        // Format the display string
-        let displayOriginal = ing.original
-        if (displayOriginal === 'Your provided ingredients') {
-          // Replace placeholder with actual ingredient
-          displayOriginal = `${ing.name} - as needed`
-        }
-        
-        return {
-          ...ing,
-          amount: scaledAmount,
-          original: displayOriginal,
-          unit: unit
-        }
+      const list = ingredients.map(ing => {
+        // Replace placeholder with actual ingredient
+        const original = ing.original === 'Your provided ingredients' ? `${ing.name} - as needed` : ing.original
+        return scaleIngredient({ ...ing, original }, 1, unitSystem)
       })
       
-      setScaledIngredients(scaled)
+      setScaledIngredients(list)
     } catch (error) {
-      console.error('Error scaling ingredients:', error)
+      console.error('Error preparing ingredients:', error)
       // Fallback with user ingredients
       const fallbackIngredients = userIngredients.length > 0 ? userIngredients : ['chicken', 'rice', 'vegetables']
-      setScaledIngredients(fallbackIngredients.map((ing, idx) => ({
-        id: idx + 1,
-        name: ing,
-        original: `${ing} - as needed`,
-        amount: 1,
-        unit: 'portion'
-      })))
+      setScaledIngredients(fallbackIngredients.map(toFallbackIngredient).map(ing => scaleIngredient(ing, 1, unitSystem)))
     }
   }
 
+  const toggleSwap = (key) => {
+    setSwaps(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]))
+  }
+
+  const excludeIngredient = (name) => {
+    setExcluded(prev => (prev.includes(name) ? prev : [...prev, name]))
+  }
+
+  const restoreIngredient = (name) => {
+    setExcluded(prev => prev.filter(item => item !== name))
+  }
+
+  const changeUnitSystem = (system) => {
+    setUnitSystem(system)
+    setUnitSystemState(system)
+  }
+
   const toggleFavorite = () => {
     const favorites = JSON.parse(localStorage.getItem('favorites') || '[]')
     
@@ -228,13 +266,42 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
     }
   }
 
+  // Copies the recipe, with the servings, spice level, swaps and exclusions
+  // picked here, into My Recipes and opens it in the editor for further tweaks
+  const saveMyVersion = async () => {
+    if (!getCurrentUser()) {
+      toast.error('Sign in on My Recipes to save your own versions')
+      return
+    }
+
+    setForking(true)
+    try {
+      const saved = await forkRecipe(recipeId, {
+        servings,
+        spiceLevel,
+        swaps,
+        exclude: excluded,
+        source,
+        ingredients: userIngredients
+      })
+      toast.success(`Saved "${saved.title}" to My Recipes`)
+      onClose()
+      navigate(`/my-recipes/${saved.id}/edit`)
+    } catch (error) {
+      console.error('Error saving my version:', error)
+      toast.error(error.response?.data?.error || 'Could not save your version')
+    } finally {
+      setForking(false)
+    }
+  }
+
   const copyMissingIngredients = () => {
     if (!recipe || scaledIngredients.length === 0) {
       toast.error('No ingredients to copy')
       return
     }
     
-    const text = scaledIngredients.map(ing => `• ${ing.original}`).join('\n')
+    const text = scaledIngredients.map(ing => `• ${ing.display}`).join('\n')
     navigator.clipboard.writeText(text)
     toast.success('Ingredients copied to clipboard!')
   }
@@ -309,12 +376,12 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
           </div>
           <div class="ingredients">
             <h2>Ingredients (${servings} servings):</h2>
-            ${scaledIngredients.map(ing => `<div class="ingredient-item">• ${ing.original}</div>`).join('')}
+            ${scaledIngredients.map(ing => `<div class="ingredient-item">• ${ing.display}</div>`).join('')}
           </div>
           <div class="instructions">
             <h2>Instructions:</h2>
-            ${(recipe.analyzedInstructions?.[0]?.steps || []).map((step, i) => 
-              `<div class="step"><strong>Step ${i + 1}:</strong> ${step.step}</div>`
+            ${(current.analyzedInstructions?.[0]?.steps || []).map((step, i) => 
+              `<div class="step"><strong>Step ${i + 1}:</strong> ${convertTemperatures(step.step, unitSystem)}</div>`
             ).join('') || '<p>No instructions provided.</p>'}
           </div>
           <p class="no-print"><br>Printed from Pradeep's Food Guide - Cook with what you have!</p>
@@ -325,6 +392,28 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
     printWindow.print()
   }
 
+  // Downloads the recipe as shown (servings, swaps and all) as a .cook file
+  const downloadCooklang = async () => {
+    if (!current) return
+
+    try {
+      const { filename, cooklang } = await exportCooklang(current)
+      const blob = new Blob([cooklang], { type: 'text/plain' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = filename
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+      toast.success(`Downloaded ${filename}`)
+    } catch (error) {
+      console.error('Error exporting recipe:', error)
+      toast.error(error.response?.data?.error || 'Failed to export recipe')
+    }
+  }
+
   const shareRecipe = async () => {
     if (!recipe) return
     
@@ -346,6 +435,58 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
     }
   }
 
+  // Check which ingredients the user has
+  const getIngredientStatus = (ingredient) => {
+    if (!userIngredients.length) return 'unknown'
+    // Worked out by the backend, which knows "aloo" covers "potatoes" and
+    // which ingredients are the user's pantry staples
+    if (ingredient.staple) return 'staple'
+    if (typeof ingredient.have === 'boolean') return ingredient.have ? 'have' : 'missing'
+
+    const ingredientName = ingredient.name.toLowerCase()
+    const hasIngredient = userIngredients.some(userIng => 
+      ingredientName.includes(userIng.toLowerCase()) ||
+      userIng.toLowerCase().includes(ingredientName)
+    )
+    
+    return hasIngredient ? 'have' : 'missing'
+  }
+
+  const missingNames = scaledIngredients
+    .filter(ing => getIngredientStatus(ing) === 'missing')
+    .map(ing => ing.name)
+
+  // Suggest swaps for what's missing, using what the user has
+  useEffect(() => {
+    if (missingNames.length === 0) {
+      setSubstitutes({})
+      setSubstituteMatch(null)
+      return
+    }
+    fetchSubstitutes()
+  }, [missingNames.join(',')])
+
+  const fetchSubstitutes = async () => {
+    try {
+      const response = await api.get('/api/recipes/ingredients/substitutes', {
+        params: {
+          missing: missingNames.join(','),
+          have: userIngredients.join(','),
+          recipe: scaledIngredients.map(ing => ing.name).join(','),
+          staples: staplesParam()
+        }
+      })
+      setSubstitutes(Object.fromEntries(
+        (response.data.substitutions || []).map(entry => [entry.ingredient, entry])
+      ))
+      setSubstituteMatch(response.data.match || null)
+    } catch (error) {
+      console.error('Error fetching substitutes:', error)
+      setSubstitutes({})
+      setSubstituteMatch(null)
+    }
+  }
+
   if (loading) {
     return (
       <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
@@ -361,19 +502,6 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
 
   if (!recipe) return null
 
-  // Check which ingredients the user has
-  const getIngredientStatus = (ingredient) => {
-    if (!userIngredients.length) return 'unknown'
-    
-    const ingredientName = ingredient.name.toLowerCase()
-    const hasIngredient = userIngredients.some(userIng => 
-      ingredientName.includes(userIng.toLowerCase()) ||
-      userIng.toLowerCase().includes(ingredientName)
-    )
-    
-    return hasIngredient ? 'have' : 'missing'
-  }
-
   const spiceEmoji = {
     mild: '🌱',
     medium: '🌶️',
@@ -397,7 +525,7 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                 {servings} servings
               </span>
               <span className="text-sm px-2 py-1 bg-gray-100 dark:bg-gray-700 rounded-full">
-                {recipe.source?.replace('_', ' ') || 'Recipe'}
+                {recipe.source === 'mine' ? 'your recipe' : recipe.source?.replace('_', ' ') || 'Recipe'}
               </span>
             </div>
           </div>
@@ -459,7 +587,17 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
               {/* Tab Content */}
               {activeTab === 'ingredients' && (
                 <div className="animate-slide-up">
-                  <h3 className="text-xl font-bold mb-4">Ingredients ({servings} servings)</h3>
+                  <h3 className="text-xl font-bold mb-4">
+                    Ingredients ({servings} servings)
+                    {customizing && <span className="ml-2 text-sm font-normal text-gray-500">Updating...</span>}
+                  </h3>
+                  {changes.some(change => change.type !== 'scale') && (
+                    <ul className="mb-4 p-3 rounded-lg bg-orange-50 dark:bg-gray-700 text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                      {changes.filter(change => change.type !== 'scale').map((change, index) => (
+                        <li key={index}>• {change.note}</li>
+                      ))}
+                    </ul>
+                  )}
                   <div className="space-y-3">
                     {scaledIngredients.map((ingredient, index) => {
                       const status = getIngredientStatus(ingredient)
@@ -469,17 +607,32 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                           className={`flex items-center gap-3 p-3 rounded-lg ${
                             status === 'have' ? 'bg-green-50 dark:bg-green-900/20' : 
                             status === 'missing' ? 'bg-red-50 dark:bg-red-900/20' : 
+                            status === 'staple' ? 'bg-blue-50 dark:bg-blue-900/20' :
                             'bg-gray-50 dark:bg-gray-700'
                           }`}
                         >
-                          <div className={`flex-shrink-0 ${status === 'have' ? 'text-green-500' : status === 'missing' ? 'text-red-500' : 'text-gray-400'}`}>
+                          <div className={`flex-shrink-0 ${status === 'have' ? 'text-green-500' : status === 'missing' ? 'text-red-500' : status === 'staple' ? 'text-blue-500' : 'text-gray-400'}`}>
                             {status === 'have' ? <CheckCircle size={20} /> : 
                              status === 'missing' ? <XCircle size={20} /> : 
+                             status === 'staple' ? <Package size={20} /> :
                              <div className="w-5 h-5 border border-gray-300 rounded"></div>}
                           </div>
-                          <div className={`${status === 'missing' ? 'text-red-600 dark:text-red-400' : ''}`}>
-                            {ingredient.original}
+                          <div className={`flex-1 ${status === 'missing' ? 'text-red-600 dark:text-red-400' : ''}`}>
+                            {ingredient.display}
                           </div>
+                          {status === 'staple' && (
+                            <span className="flex-shrink-0 text-xs text-blue-600 dark:text-blue-400">In your pantry</span>
+                          )}
+                          {recipe.source !== 'fallback' && (
+                            <button
+                              onClick={() => excludeIngredient(ingredient.name)}
+                              className="flex-shrink-0 p-1 text-gray-400 hover:text-red-500 rounded-full"
+                              title={`Leave out ${ingredient.name}`}
+                              aria-label={`Leave out ${ingredient.name}`}
+                            >
+                              <X size={16} />
+                            </button>
+                          )}
                         </div>
                       )
                     })}
@@ -491,51 +644,61 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                 <div className="animate-slide-up">
                   <h3 className="text-xl font-bold mb-4">Instructions</h3>
                   <div className="space-y-6">
-                    {(recipe.analyzedInstructions?.[0]?.steps || []).map((step, index) => (
+                    {(current.analyzedInstructions?.[0]?.steps || []).map((step, index) => (
                       <div key={index} className="flex gap-4">
                         <div className="flex-shrink-0 w-8 h-8 bg-food-orange text-white rounded-full flex items-center justify-center font-bold">
                           {index + 1}
                         </div>
                         <div className="flex-1">
-                          <p className="mb-2">{step.step}</p>
+                          <p className="mb-2">{convertTemperatures(step.step, unitSystem)}</p>
                         </div>
                       </div>
                     )) || (
                       <p className="text-gray-500">No detailed instructions available. Use your cooking intuition!</p>
                     )}
                   </div>
+                  {recipe.tips && (
+                    <div className="mt-6 p-4 bg-yellow-50 dark:bg-yellow-900/20 rounded-xl">
+                      <h4 className="font-bold mb-1">Chef's Tip</h4>
+                      <p className="text-sm text-gray-600 dark:text-gray-400">{recipe.tips}</p>
+                    </div>
+                  )}
                 </div>
               )}
 
               {activeTab === 'nutrition' && (
                 <div className="animate-slide-up">
                   <h3 className="text-xl font-bold mb-4">Nutrition Information</h3>
-                  <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-                    <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
-                      <div className="text-lg font-bold">~250</div>
-                      <div className="text-gray-600 dark:text-gray-400">Calories</div>
-                    </div>
-                    <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
-                      <div className="text-lg font-bold">~15g</div>
-                      <div className="text-gray-600 dark:text-gray-400">Protein</div>
-                    </div>
-                    <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
-                      <div className="text-lg font-bold">~30g</div>
-                      <div className="text-gray-600 dark:text-gray-400">Carbs</div>
-                    </div>
-                    <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
-                      <div className="text-lg font-bold">~10g</div>
-                      <div className="text-gray-600 dark:text-gray-400">Fat</div>
-                    </div>
-                    <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
-                      <div className="text-lg font-bold">~5g</div>
-                      <div className="text-gray-600 dark:text-gray-400">Fiber</div>
-                    </div>
-                    <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
-                      <div className="text-lg font-bold">~500mg</div>
-                      <div className="text-gray-600 dark:text-gray-400">Sodium</div>
-                    </div>
-                  </div>
+                  {current.nutrition ? (
+                    <>
+                      <p className="text-sm text-gray-500 mb-4">
+                        Per serving · {current.nutrition.total.calories} calories in all {current.nutrition.servings} servings
+                      </p>
+                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                        {NUTRIENTS.map(({ key, label, unit }) => (
+                          <div key={key} className="bg-gray-50 dark:bg-gray-700 p-4 rounded-xl">
+                            <div className="text-lg font-bold">
+                              {current.nutrition.estimated ? '~' : ''}{current.nutrition.perServing[key]}{unit}
+                            </div>
+                            <div className="text-gray-600 dark:text-gray-400">{label}</div>
+                          </div>
+                        ))}
+                      </div>
+                      {current.nutrition.estimated && (
+                        <div className="mt-4 p-4 bg-yellow-50 dark:bg-yellow-900/20 rounded-xl text-sm text-yellow-800 dark:text-yellow-300">
+                          <p className="font-medium mb-1">Estimated values</p>
+                          {current.nutrition.assumed.length > 0 && (
+                            <p>Typical amounts assumed for: {current.nutrition.assumed.join(', ')}</p>
+                          )}
+                          {current.nutrition.unresolved.length > 0 && (
+                            <p>Not counted (no nutrition data): {current.nutrition.unresolved.join(', ')}</p>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <p className="text-gray-500">Nutrition information isn't available for this recipe.</p>
+                  )}
                 </div>
               )}
             </div>
@@ -576,6 +739,21 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                     onChange={(e) => setServings(parseInt(e.target.value))}
                     className="w-full h-2 bg-gray-200 dark:bg-gray-600 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:h-5 [&::-webkit-slider-thumb]:w-5 [&::-webkit-slider-thumb]:rounded-full [&::-webkit-slider-thumb]:bg-food-orange"
                   />
+                  <div className="flex rounded-lg overflow-hidden border border-gray-200 dark:border-gray-600">
+                    {[['us', 'US'], ['metric', 'Metric']].map(([system, label]) => (
+                      <button
+                        key={system}
+                        onClick={() => changeUnitSystem(system)}
+                        className={`flex-1 py-2 text-sm font-medium transition-colors ${
+                          unitSystem === system
+                            ? 'bg-food-orange text-white'
+                            : 'bg-white dark:bg-gray-600 hover:bg-gray-100 dark:hover:bg-gray-500'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                 </div>
               </div>
 
@@ -606,6 +784,49 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                 </div>
               </div>
 
+              {/* Dietary Swaps */}
+              {recipe.source !== 'fallback' && (
+                <div className="bg-gray-50 dark:bg-gray-700 p-6 rounded-2xl">
+                  <h3 className="text-lg font-bold mb-4 flex items-center gap-2">
+                    <Leaf size={20} />
+                    Dietary Swaps
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                    {DIET_SWAPS.map(({ key, label }) => (
+                      <button
+                        key={key}
+                        onClick={() => toggleSwap(key)}
+                        className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                          swaps.includes(key)
+                            ? 'bg-food-orange text-white'
+                            : 'bg-white dark:bg-gray-600 hover:bg-gray-100 dark:hover:bg-gray-500'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {excluded.length > 0 && (
+                    <div className="mt-4">
+                      <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Left out</p>
+                      <div className="flex flex-wrap gap-2">
+                        {excluded.map(name => (
+                          <button
+                            key={name}
+                            onClick={() => restoreIngredient(name)}
+                            className="px-3 py-1.5 rounded-full text-sm bg-white dark:bg-gray-600 hover:bg-gray-100 dark:hover:bg-gray-500 flex items-center gap-1"
+                            title={`Add ${name} back`}
+                          >
+                            <Undo2 size={14} />
+                            {name}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Missing Ingredients */}
               {userIngredients.length > 0 && scaledIngredients.some(ing => getIngredientStatus(ing) === 'missing') && (
                 <div className="bg-red-50 dark:bg-red-900/20 p-6 rounded-2xl">
@@ -617,12 +838,28 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                       .filter(ing => getIngredientStatus(ing) === 'missing')
                       .slice(0, 5)
                       .map((ing, index) => (
-                        <li key={index} className="flex items-center gap-2">
-                          <div className="w-2 h-2 bg-red-500 rounded-full"></div>
-                          <span>{ing.original}</span>
+                        <li key={index}>
+                          <div className="flex items-center gap-2">
+                            <div className="w-2 h-2 bg-red-500 rounded-full"></div>
+                            <span>{ing.display}</span>
+                          </div>
+                          {substitutes[ing.name]?.options.slice(0, 2).map((option, optionIndex) => (
+                            <div
+                              key={optionIndex}
+                              className={`ml-4 mt-1 text-sm ${option.available ? 'text-green-700 dark:text-green-400' : 'text-gray-600 dark:text-gray-400'}`}
+                            >
+                              {option.available ? '✓ Use' : 'Or'} {option.using.join(' + ')}: {option.how}
+                              {!option.available && <span className="italic"> (need {option.needs.join(', ')})</span>}
+                            </div>
+                          ))}
                         </li>
                       ))}
                   </ul>
+                  {substituteMatch && substituteMatch.withSubstitutes > substituteMatch.current && (
+                    <p className="text-sm mb-4 text-gray-700 dark:text-gray-300">
+                      With substitutes: <strong>{substituteMatch.current}%</strong> → <strong className="text-green-600 dark:text-green-400">{substituteMatch.withSubstitutes}%</strong> match
+                    </p>
+                  )}
                   <button
                     onClick={copyMissingIngredients}
                     className="w-full bg-red-500 hover:bg-red-600 text-white py-2 rounded-lg flex items-center justify-center gap-2"
@@ -658,13 +895,22 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
                   <Share2 size={20} />
                   Share Recipe
                 </button>
+
+                <button
+                  onClick={downloadCooklang}
+                  className="w-full border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 py-3 rounded-lg flex items-center justify-center gap-2"
+                  title="Plain-text recipe format (cooklang.org)"
+                >
+                  <FileDown size={20} />
+                  Export to Cooklang
+                </button>
               </div>
 
               {/* Quick Tips */}
               <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-xl">
                 <h4 className="font-bold mb-2">Quick Tips</h4>
                 <ul className="text-sm space-y-2 text-gray-600 dark:text-gray-400">
-                  <li>• Missing an ingredient? Try a substitute!</li>
+                  <li>• Missing an ingredient? Check the suggested swaps</li>
                   <li>• Scale servings up or down as needed</li>
                   <li>• Save to favorites for quick access</li>
                   <li>• Add to meal planner for the week</li>
@@ -679,13 +925,36 @@ const RecipeModal = ({ recipeId, onClose, userIngredients = [] }) => {
           <div className="flex justify-between items-center">
             <div className="text-sm text-gray-500">
               Recipe from {recipe.creditsText || recipe.source?.replace('_', ' ') || "Pradeep's Food Guide"}
+              {recipe.sourceUrl && (
+                <a
+                  href={recipe.sourceUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="ml-2 text-food-orange hover:underline"
+                >
+                  View original
+                </a>
+              )}
+            </div>
+            <div className="flex items-center gap-3">
+              {recipe.source !== 'fallback' && (
+                <button
+                  onClick={saveMyVersion}
+                  disabled={forking}
+                  className="px-4 py-2 bg-food-orange hover:bg-orange-600 text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+                  title="Copy this recipe, as customized, into My Recipes to edit"
+                >
+                  {forking ? <Loader className="animate-spin" size={16} /> : <GitFork size={16} />}
+                  Save my version
+                </button>
+              )}
+              <button
+                onClick={onClose}
+                className="px-6 py-2 border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              >
+                Close
+              </button>
             </div>
-            <button
-              onClick={onClose}
-              className="px-6 py-2 border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
-            >
-              Close
-            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { LogIn, Loader } from 'lucide-react'
+import { signIn, register } from '../utils/auth'
+
+// Email/password form for pages that need an account. Calls onSignedIn(user).
+const SignInForm = ({ title = 'Sign in', message, onSignedIn }) => {
+  const [mode, setMode] = useState('signin')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [name, setName] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!email.trim() || !password) {
+      toast.error('Email and password are required')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const user = mode === 'signin'
+        ? await signIn(email.trim(), password)
+        : await register(email.trim(), password, name.trim() || undefined)
+      toast.success(`Signed in as ${user.name || user.email}`)
+      onSignedIn?.(user)
+    } catch (error) {
+      console.error('Sign in failed:', error)
+      toast.error(error.response?.data?.error || 'Could not sign in')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="max-w-md mx-auto bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 border border-gray-100 dark:border-gray-700">
+      <h1 className="text-2xl font-display font-bold mb-2 flex items-center gap-3">
+        <LogIn className="text-food-orange" />
+        {title}
+      </h1>
+      {message && <p className="text-gray-600 dark:text-gray-400 mb-6">{message}</p>}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {mode === 'register' && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name (optional)"
+            className="input-field"
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          autoComplete="email"
+          className="input-field"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={mode === 'signin' ? 'current-password' : 'new-password'}
+          className="input-field"
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          {submitting && <Loader className="animate-spin" size={18} />}
+          {mode === 'signin' ? 'Sign in' : 'Create account'}
+        </button>
+      </form>
+
+      <button
+        onClick={() => setMode(mode === 'signin' ? 'register' : 'signin')}
+        className="mt-4 text-sm text-gray-500 hover:text-food-orange w-full text-center"
+      >
+        {mode === 'signin' ? "No account yet? Create one" : 'Already have an account? Sign in'}
+      </button>
+    </div>
+  )
+}
+
+export default SignInForm
@@ -0,0 +1,460 @@
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { Shield, Plus, Pencil, Trash2, RotateCcw, Upload, Search, Save, X, LogOut, Loader, Image } from 'lucide-react'
+import { api } from '../api/config'
+import SignInForm from '../components/SignInForm'
+import { getCurrentUser, isAdmin, signOut, onAuthChange } from '../utils/auth'
+
+// Same limits the backend checks (utils/recipeSchema.js), so most mistakes show up before saving
+const LIMITS = { titleLength: 120, minServings: 1, maxServings: 24, minMinutes: 1, maxMinutes: 600, minSteps: 2 }
+
+const EMPTY_FORM = {
+  id: '',
+  title: '',
+  description: '',
+  image: '',
+  prepTime: 20,
+  servings: 2,
+  ingredients: '',
+  instructions: '',
+  tips: ''
+}
+
+const ORIGIN_STYLES = {
+  bundled: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  edited: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  custom: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+}
+
+const lines = (text) => text.split('\n').map(line => line.trim()).filter(line => line)
+
+const toForm = (recipe) => ({
+  id: recipe.id,
+  title: recipe.title || '',
+  description: recipe.description || '',
+  image: recipe.image || '',
+  prepTime: recipe.prepTime || '',
+  servings: recipe.servings || '',
+  ingredients: (recipe.ingredients || []).join('\n'),
+  instructions: (recipe.instructions || []).join('\n'),
+  tips: recipe.tips || ''
+})
+
+const toRecipe = (form) => ({
+  ...(form.id !== '' ? { id: Number(form.id) } : {}),
+  title: form.title.trim(),
+  description: form.description.trim(),
+  ...(form.image.trim() ? { image: form.image.trim() } : {}),
+  prepTime: Number(form.prepTime),
+  servings: Number(form.servings),
+  ingredients: lines(form.ingredients),
+  instructions: lines(form.instructions),
+  tips: form.tips.trim()
+})
+
+const validateForm = (form) => {
+  const errors = []
+  const recipe = toRecipe(form)
+  if (!recipe.title) errors.push('Title is required')
+  else if (recipe.title.length > LIMITS.titleLength) errors.push(`Title must be at most ${LIMITS.titleLength} characters`)
+  if (!(Number.isInteger(recipe.servings) && recipe.servings >= LIMITS.minServings && recipe.servings <= LIMITS.maxServings)) {
+    errors.push(`Servings must be a whole number from ${LIMITS.minServings} to ${LIMITS.maxServings}`)
+  }
+  if (!(recipe.prepTime >= LIMITS.minMinutes && recipe.prepTime <= LIMITS.maxMinutes)) {
+    errors.push(`Total time must be ${LIMITS.minMinutes}-${LIMITS.maxMinutes} minutes`)
+  }
+  if (recipe.ingredients.length === 0) errors.push('Add at least one ingredient')
+  if (recipe.instructions.length < LIMITS.minSteps) errors.push(`Add at least ${LIMITS.minSteps} steps`)
+  if (recipe.image && !/^https?:\/\//.test(recipe.image)) errors.push('Image must be an http(s) URL')
+  return errors
+}
+
+const Admin = () => {
+  const [user, setUser] = useState(getCurrentUser)
+  const [recipes, setRecipes] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [query, setQuery] = useState('')
+  const [form, setForm] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [formErrors, setFormErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [importText, setImportText] = useState('')
+  const [importResult, setImportResult] = useState(null)
+  const [importing, setImporting] = useState(false)
+
+  useEffect(() => onAuthChange(() => setUser(getCurrentUser())), [])
+
+  useEffect(() => {
+    if (isAdmin(user)) loadRecipes()
+  }, [user])
+
+  const loadRecipes = async () => {
+    setLoading(true)
+    try {
+      const response = await api.get('/api/admin/recipes')
+      setRecipes(response.data.recipes || [])
+    } catch (error) {
+      console.error('Error loading local recipes:', error)
+      toast.error(error.response?.data?.error || 'Failed to load recipes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const startCreate = () => {
+    setForm(EMPTY_FORM)
+    setEditingId(null)
+    setFormErrors([])
+  }
+
+  const startEdit = (recipe) => {
+    setForm(toForm(recipe))
+    setEditingId(recipe.id)
+    setFormErrors([])
+  }
+
+  const closeForm = () => {
+    setForm(null)
+    setEditingId(null)
+    setFormErrors([])
+  }
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value })
+
+  const saveRecipe = async () => {
+    const errors = validateForm(form)
+    setFormErrors(errors)
+    if (errors.length > 0) return
+
+    setSaving(true)
+    try {
+      const recipe = toRecipe(form)
+      const response = editingId !== null
+        ? await api.put(`/api/admin/recipes/${editingId}`, recipe)
+        : await api.post('/api/admin/recipes', recipe)
+      toast.success(`Saved "${response.data.recipe.title}"`)
+      closeForm()
+      loadRecipes()
+    } catch (error) {
+      console.error('Error saving recipe:', error)
+      setFormErrors(error.response?.data?.errors || [error.response?.data?.error || 'Failed to save recipe'])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deleteRecipe = async (recipe) => {
+    const action = recipe.origin === 'custom' ? 'Delete' : 'Hide'
+    if (!window.confirm(`${action} "${recipe.title}"?`)) return
+
+    try {
+      const response = await api.delete(`/api/admin/recipes/${recipe.id}`)
+      toast.success(response.data.message)
+      loadRecipes()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete recipe')
+    }
+  }
+
+  const restoreRecipe = async (recipe) => {
+    try {
+      await api.post(`/api/admin/recipes/${recipe.id}/restore`)
+      toast.success(`Restored the bundled "${recipe.title}"`)
+      loadRecipes()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore recipe')
+    }
+  }
+
+  const readImportFile = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => setImportText(String(reader.result))
+    reader.readAsText(file)
+    e.target.value = ''
+  }
+
+  const importRecipes = async () => {
+    let list
+    try {
+      const parsed = JSON.parse(importText)
+      list = Array.isArray(parsed) ? parsed : parsed.recipes
+    } catch (error) {
+      toast.error('That is not valid JSON')
+      return
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+      toast.error('Paste an array of recipes, or { "recipes": [...] }')
+      return
+    }
+
+    setImporting(true)
+    try {
+      const response = await api.post('/api/admin/recipes/import', { recipes: list })
+      setImportResult(response.data)
+      toast.success(`Imported ${response.data.imported} recipe${response.data.imported !== 1 ? 's' : ''}`)
+      loadRecipes()
+    } catch (error) {
+      console.error('Error importing recipes:', error)
+      setImportResult(error.response?.data || null)
+      toast.error(error.response?.data?.error || 'Import failed')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  if (!user) {
+    return (
+      <div className="animate-fade-in py-8">
+        <SignInForm
+          title="Admin sign in"
+          message="Sign in with an admin account to curate the offline recipe catalogue."
+          onSignedIn={setUser}
+        />
+      </div>
+    )
+  }
+
+  if (!isAdmin(user)) {
+    return (
+      <div className="text-center py-16 animate-fade-in">
+        <Shield className="w-12 h-12 mx-auto mb-4 text-gray-400" />
+        <h1 className="text-2xl font-display font-bold mb-2">Admins only</h1>
+        <p className="text-gray-600 dark:text-gray-400 mb-6">
+          {user.email} doesn't have access to recipe curation.
+        </p>
+        <button onClick={signOut} className="btn-outline inline-flex items-center gap-2">
+          <LogOut size={16} />
+          Sign out
+        </button>
+      </div>
+    )
+  }
+
+  const search = query.trim().toLowerCase()
+  const visible = recipes.filter(recipe =>
+    !search || recipe.title.toLowerCase().includes(search) || String(recipe.id) === search ||
+    (recipe.ingredients || []).some(line => line.toLowerCase().includes(search))
+  )
+
+  return (
+    <div className="animate-fade-in">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold mb-2 flex items-center gap-3">
+            <Shield className="text-food-orange" />
+            Local Recipes
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            {recipes.length} recipes in the offline catalogue • Signed in as {user.email}
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <button onClick={startCreate} className="btn-secondary flex items-center gap-2">
+            <Plus size={18} />
+            New recipe
+          </button>
+          <button onClick={signOut} className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg flex items-center gap-2">
+            <LogOut size={16} />
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      {form && (
+        <div className="mb-8 bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 border border-gray-100 dark:border-gray-700">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold">{editingId !== null ? `Edit recipe ${editingId}` : 'New recipe'}</h2>
+            <button onClick={closeForm} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full" aria-label="Close editor">
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium">Title</span>
+              <input value={form.title} onChange={updateField('title')} className="input-field mt-1" />
+            </label>
+            <div className="grid grid-cols-3 gap-3">
+              <label className="block">
+                <span className="text-sm font-medium">Id</span>
+                <input
+                  value={form.id}
+                  onChange={updateField('id')}
+                  disabled={editingId !== null}
+                  placeholder="auto"
+                  className="input-field mt-1 disabled:opacity-60"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium">Minutes</span>
+                <input type="number" min={LIMITS.minMinutes} max={LIMITS.maxMinutes} value={form.prepTime} onChange={updateField('prepTime')} className="input-field mt-1" />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium">Servings</span>
+                <input type="number" min={LIMITS.minServings} max={LIMITS.maxServings} value={form.servings} onChange={updateField('servings')} className="input-field mt-1" />
+              </label>
+            </div>
+            <label className="block md:col-span-2">
+              <span className="text-sm font-medium">Description</span>
+              <input value={form.description} onChange={updateField('description')} className="input-field mt-1" />
+            </label>
+            <div className="md:col-span-2 flex gap-4 items-start">
+              <label className="block flex-1">
+                <span className="text-sm font-medium">Image URL</span>
+                <input value={form.image} onChange={updateField('image')} placeholder="https://..." className="input-field mt-1" />
+              </label>
+              <div className="w-28 h-20 mt-6 rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-700 flex items-center justify-center flex-shrink-0">
+                {/^https?:\/\//.test(form.image.trim())
+                  ? <img src={form.image.trim()} alt="Preview" className="w-full h-full object-cover" />
+                  : <Image className="text-gray-400" />}
+              </div>
+            </div>
+            <label className="block">
+              <span className="text-sm font-medium">Ingredients</span>
+              <span className="block text-xs text-gray-500">One per line, as "name - quantity", e.g. "onion - 2, chopped"</span>
+              <textarea value={form.ingredients} onChange={updateField('ingredients')} rows={8} className="input-field mt-1 font-mono text-sm" />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium">Steps</span>
+              <span className="block text-xs text-gray-500">One step per line</span>
+              <textarea value={form.instructions} onChange={updateField('instructions')} rows={8} className="input-field mt-1 text-sm" />
+            </label>
+            <label className="block md:col-span-2">
+              <span className="text-sm font-medium">Tips</span>
+              <input value={form.tips} onChange={updateField('tips')} className="input-field mt-1" />
+            </label>
+          </div>
+
+          {formErrors.length > 0 && (
+            <ul className="mt-4 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300 list-disc list-inside">
+              {formErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="mt-6 flex justify-end gap-3">
+            <button onClick={closeForm} className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg">
+              Cancel
+            </button>
+            <button
+              onClick={saveRecipe}
+              disabled={saving}
+              className="px-4 py-2 bg-food-orange text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+            >
+              {saving ? <Loader className="animate-spin" size={16} /> : <Save size={16} />}
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-8">
+        <div className="lg:w-2/3">
+          <div className="relative mb-4">
+            <Search size={18} className="absolute left-3 top-3.5 text-gray-400" />
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by title, id or ingredient"
+              className="input-field pl-10"
+            />
+          </div>
+
+          {loading ? (
+            <div className="text-center py-12">
+              <Loader className="animate-spin mx-auto text-food-orange" />
+            </div>
+          ) : (
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg divide-y divide-gray-100 dark:divide-gray-700">
+              {visible.map(recipe => (
+                <div key={recipe.id} className={`flex items-center gap-4 p-4 ${recipe.hidden ? 'opacity-60' : ''}`}>
+                  <span className="w-12 text-sm text-gray-500">{recipe.id}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate">{recipe.title}</div>
+                    <div className="text-xs text-gray-500 truncate">
+                      {recipe.prepTime} min • {recipe.servings} servings • {(recipe.ingredients || []).length} ingredients
+                    </div>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ORIGIN_STYLES[recipe.origin]}`}>
+                    {recipe.hidden ? 'hidden' : recipe.origin}
+                  </span>
+                  <div className="flex gap-1">
+                    <button onClick={() => startEdit(recipe)} className="p-2 text-gray-500 hover:text-food-orange" title="Edit">
+                      <Pencil size={16} />
+                    </button>
+                    {recipe.origin !== 'bundled' && recipe.origin !== 'custom' && (
+                      <button onClick={() => restoreRecipe(recipe)} className="p-2 text-gray-500 hover:text-blue-500" title="Restore the bundled version">
+                        <RotateCcw size={16} />
+                      </button>
+                    )}
+                    {!recipe.hidden && (
+                      <button onClick={() => deleteRecipe(recipe)} className="p-2 text-gray-500 hover:text-red-500" title={recipe.origin === 'custom' ? 'Delete' : 'Hide'}>
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              {visible.length === 0 && (
+                <div className="p-8 text-center text-gray-500">No recipes match "{query}"</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:w-1/3">
+          <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 sticky top-24">
+            <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+              <Upload size={20} />
+              Bulk import
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              A JSON array of recipes in the recipe pack format. Recipes with an existing id replace it; the rest are added.
+            </p>
+            <input type="file" accept=".json,application/json" onChange={readImportFile} className="mb-3 text-sm w-full" />
+            <textarea
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              rows={8}
+              placeholder='[{ "title": "...", "prepTime": 20, "servings": 2, "ingredients": ["rice - 1 cup"], "instructions": ["...", "..."] }]'
+              className="input-field font-mono text-xs"
+            />
+            <button
+              onClick={importRecipes}
+              disabled={importing || !importText.trim()}
+              className="mt-3 w-full px-4 py-2 bg-food-orange text-white rounded-lg flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {importing ? <Loader className="animate-spin" size={16} /> : <Upload size={16} />}
+              Import
+            </button>
+
+            {importResult && (
+              <div className="mt-4 text-sm">
+                {importResult.success && (
+                  <p className="text-green-700 dark:text-green-300">
+                    {importResult.created} added, {importResult.updated} updated
+                  </p>
+                )}
+                {(importResult.failed || []).length > 0 && (
+                  <div className="mt-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 max-h-60 overflow-y-auto">
+                    <p className="font-medium mb-1">{importResult.failed.length} not imported:</p>
+                    <ul className="space-y-1">
+                      {importResult.failed.map(item => (
+                        <li key={item.index}>
+                          #{item.index + 1} {item.title || '(untitled)'}: {item.errors.join('; ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Admin
@@ -3,14 +3,15 @@ import axios from 'axios'
 import toast from 'react-hot-toast'
 import RecipeCard from '../components/RecipeCard'
 import RecipeModal from '../components/RecipeModal'
-import { Search, X, Filter, ChefHat, Clock, TrendingUp, Sparkles, Loader } from 'lucide-react'
-import { api } from '../api/config';
+import { Search, X, Filter, ChefHat, Clock, TrendingUp, Sparkles, Loader, Package, RotateCcw } from 'lucide-react'
+import { api, SEARCH_TIMEOUT } from '../api/config';
+import { getStaples, setStaples, staplesParam } from '../utils/staples'
 
 const Dashboard = () => {
   const [ingredients, setIngredients] = useState('')
   const [ingredientTags, setIngredientTags] = useState([])
   const [suggestions, setSuggestions] = useState([])
-  const [selectedFilter, setSelectedFilter] = useState(null)
+  const [selectedFilters, setSelectedFilters] = useState([])
   const [recipes, setRecipes] = useState([])
   const [loading, setLoading] = useState(false)
   const [searching, setSearching] = useState(false)
@@ -18,6 +19,8 @@ const Dashboard = () => {
   const [modalOpen, setModalOpen] = useState(false)
   const [userIngredients, setUserIngredients] = useState([])
   const [showSuggestions, setShowSuggestions] = useState(false)
+  const [staples, setStaplesState] = useState([])
+  const [stapleInput, setStapleInput] = useState('')
 
   // Add this useEffect in Dashboard component
 useEffect(() => {
@@ -27,7 +30,7 @@ useEffect(() => {
       console.log('API Status:', response.data);
       
       if (!response.data.apis.spoonacular) {
-        toast.error('Spoonacular API not configured. Using AI fallback.', {
+        toast.error('Spoonacular API unavailable. Using AI fallback.', {
           duration: 5000
         });
       }
@@ -53,6 +56,11 @@ useEffect(() => {
     { key: 'sweet', label: 'Sweet', icon: '🍰', description: 'Desserts & treats', color: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-200' }
   ]
 
+  // Moods combine: a recipe has to match every selected filter
+  const toggleFilter = (key) => {
+    setSelectedFilters(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
+
   const popularIngredients = [
     'chicken', 'rice', 'pasta', 'tomato', 'onion', 'garlic', 'egg', 'cheese',
     'potato', 'carrot', 'broccoli', 'spinach', 'mushroom', 'bell pepper',
@@ -143,6 +151,40 @@ useEffect(() => {
     toast(`Removed ${removed[0]}`, { icon: '🗑️' })
   }
 
+  // The backend resolves the list: this browser's, else the account's, else the defaults
+  const loadStaples = async () => {
+    try {
+      const response = await api.get('/api/recipes/ingredients/staples', {
+        params: { staples: staplesParam() }
+      })
+      setStaplesState(response.data.staples || [])
+    } catch (error) {
+      console.error('Failed to load pantry staples:', error)
+    }
+  }
+
+  const updateStaples = (next) => {
+    setStaplesState(next)
+    setStaples(next)
+  }
+
+  const handleAddStaple = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      const value = stapleInput.trim().toLowerCase()
+      if (value && !staples.includes(value)) {
+        updateStaples([...staples, value])
+      }
+      setStapleInput('')
+    }
+  }
+
+  const resetStaples = async () => {
+    await setStaples(null)
+    await loadStaples()
+    toast('Pantry staples reset to defaults', { icon: '🧂' })
+  }
+
   const clearAll = () => {
     if (ingredientTags.length > 0) {
       setIngredientTags([])
@@ -162,9 +204,11 @@ useEffect(() => {
   
   try {
     const response = await api.get('/api/recipes/search', {  // Use api instead of axios
+      timeout: SEARCH_TIMEOUT,
       params: {
         ingredients: ingredientTags.join(','),
-        filter: selectedFilter,
+        filter: selectedFilters.length > 0 ? selectedFilters.join(',') : undefined,
+        staples: staplesParam(),
         number: 15
       }
     })
@@ -176,7 +220,7 @@ useEffect(() => {
         toast(
           <div className="flex items-center gap-2">
             <Sparkles className="text-purple-500" />
-            <span>Using AI-powered suggestions!</span>
+            <span>{response.data.message || 'Using AI-powered suggestions!'}</span>
           </div>,
           { duration: 4000 }
         )
@@ -210,6 +254,10 @@ useEffect(() => {
     setModalOpen(true)
   }
 
+  useEffect(() => {
+    loadStaples()
+  }, [])
+
   useEffect(() => {
     const saved = localStorage.getItem('lastIngredients')
     if (saved) {
@@ -367,18 +415,70 @@ useEffect(() => {
               </div>
             </div>
 
+            <div className="mb-8">
+              <div className="flex justify-between items-center mb-2">
+                <label className="text-sm font-medium text-gray-600 dark:text-gray-400 flex items-center gap-2">
+                  <Package size={16} />
+                  Pantry Staples
+                </label>
+                {getStaples() && (
+                  <button
+                    onClick={resetStaples}
+                    className="text-xs text-gray-400 hover:text-gray-600 flex items-center gap-1"
+                    title="Go back to the default staples"
+                  >
+                    <RotateCcw size={12} />
+                    Reset
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                Always in your kitchen, so you don't need to add them
+              </p>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {staples.map((staple) => (
+                  <span
+                    key={staple}
+                    className="inline-flex items-center gap-1 px-2.5 py-1 text-sm rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                  >
+                    {staple}
+                    <button
+                      onClick={() => updateStaples(staples.filter(item => item !== staple))}
+                      className="text-gray-400 hover:text-gray-600"
+                      aria-label={`Remove ${staple} from staples`}
+                    >
+                      <X size={12} />
+                    </button>
+                  </span>
+                ))}
+                {staples.length === 0 && (
+                  <span className="text-sm text-gray-500 dark:text-gray-400">No staples: every ingredient counts</span>
+                )}
+              </div>
+              <input
+                type="text"
+                value={stapleInput}
+                onChange={(e) => setStapleInput(e.target.value)}
+                onKeyDown={handleAddStaple}
+                placeholder="Add a staple..."
+                className="input-field text-sm py-2"
+              />
+            </div>
+
             <div className="mb-8">
               <label className="block text-lg font-semibold mb-4 flex items-center gap-2">
                 <Filter size={20} />
                 Filter by Mood
+                <span className="text-sm font-normal text-gray-500">(combine as many as you like)</span>
               </label>
               <div className="grid grid-cols-2 gap-3">
                 {filters.map((filter) => (
                   <button
                     key={filter.key}
-                    onClick={() => setSelectedFilter(selectedFilter === filter.key ? null : filter.key)}
+                    onClick={() => toggleFilter(filter.key)}
+                    aria-pressed={selectedFilters.includes(filter.key)}
                     className={`flex flex-col items-center justify-center p-3 rounded-xl transition-all duration-200 ${
-                      selectedFilter === filter.key
+                      selectedFilters.includes(filter.key)
                         ? `${filter.color} border-2 border-food-orange shadow-lg`
                         : 'bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600'
                     }`}
@@ -445,20 +545,37 @@ useEffect(() => {
                 </p>
               </div>
               
-              {selectedFilter && (
-                <div className="flex items-center gap-2">
-                  <span className="text-sm text-gray-500">Active filter:</span>
-                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                    filters.find(f => f.key === selectedFilter)?.color || 'bg-gray-100 dark:bg-gray-700'
-                  }`}>
-                    {filters.find(f => f.key === selectedFilter)?.icon} {filters.find(f => f.key === selectedFilter)?.label}
-                  </span>
-                  <button
-                    onClick={() => setSelectedFilter(null)}
-                    className="text-gray-400 hover:text-gray-600"
-                  >
-                    <X size={16} />
-                  </button>
+              {selectedFilters.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-500">Active filters:</span>
+                  {selectedFilters.map(key => {
+                    const filter = filters.find(f => f.key === key)
+                    return (
+                      <span
+                        key={key}
+                        className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium ${
+                          filter?.color || 'bg-gray-100 dark:bg-gray-700'
+                        }`}
+                      >
+                        {filter?.icon} {filter?.label}
+                        <button
+                          onClick={() => toggleFilter(key)}
+                          className="text-gray-400 hover:text-gray-600"
+                          title={`Remove ${filter?.label} filter`}
+                        >
+                          <X size={14} />
+                        </button>
+                      </span>
+                    )
+                  })}
+                  {selectedFilters.length > 1 && (
+                    <button
+                      onClick={() => setSelectedFilters([])}
+                      className="text-sm text-gray-400 hover:text-gray-600 underline"
+                    >
+                      Clear all
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -560,6 +677,7 @@ useEffect(() => {
       {modalOpen && selectedRecipe && (
         <RecipeModal
           recipeId={selectedRecipe.id}
+          source={selectedRecipe.source}
           onClose={() => setModalOpen(false)}
           userIngredients={userIngredients}
         />
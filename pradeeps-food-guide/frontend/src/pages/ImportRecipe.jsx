@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react'
+import { useNavigate, Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { ArrowLeft, Download, Loader, RotateCcw, Globe, FileText, Upload } from 'lucide-react'
+import RecipeForm from '../components/RecipeForm'
+import SignInForm from '../components/SignInForm'
+import { getCurrentUser, onAuthChange } from '../utils/auth'
+import { previewImport, saveMyRecipe } from '../utils/myRecipes'
+import { readCooklangFiles, importCooklangFiles } from '../utils/cooklang'
+
+const FORMATS = [
+  { key: 'web', label: 'Web page', icon: Globe },
+  { key: 'cooklang', label: 'Cooklang', icon: FileText }
+]
+
+// /my-recipes/import: paste a recipe page's source (or its JSON-LD) or a
+// Cooklang file, check what was read in the editor, then save it to My Recipes.
+// Several .cook files at once are saved straight away.
+const ImportRecipe = () => {
+  const navigate = useNavigate()
+  const [user, setUser] = useState(getCurrentUser)
+  const [format, setFormat] = useState('web')
+  const [content, setContent] = useState('')
+  const [fileName, setFileName] = useState(null)
+  const [files, setFiles] = useState([])
+  const [result, setResult] = useState(null)
+  const [reading, setReading] = useState(false)
+  const [imported, setImported] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [errors, setErrors] = useState([])
+
+  useEffect(() => onAuthChange(() => setUser(getCurrentUser())), [])
+
+  const chooseFormat = (key) => {
+    setFormat(key)
+    setContent('')
+    setFileName(null)
+    setFiles([])
+    setResult(null)
+    setErrors([])
+  }
+
+  // One file goes through the editor like pasted text; several are imported together
+  const readFiles = async (e) => {
+    const picked = await readCooklangFiles(e.target.files || [])
+    e.target.value = ''
+    setResult(null)
+    if (picked.length === 1 || format === 'web') {
+      setContent(picked[0]?.content || '')
+      setFileName(picked[0]?.name || null)
+      setFiles([])
+    } else {
+      setContent('')
+      setFileName(null)
+      setFiles(picked)
+    }
+  }
+
+  const readRecipe = async () => {
+    setReading(true)
+    setErrors([])
+    try {
+      setImported(await previewImport(content, format === 'cooklang' ? { format, name: fileName || undefined } : {}))
+    } catch (error) {
+      console.error('Error reading recipe:', error)
+      setErrors(error.response?.data?.errors || [error.response?.data?.error || 'Failed to read the recipe'])
+    } finally {
+      setReading(false)
+    }
+  }
+
+  const importFiles = async () => {
+    setReading(true)
+    setErrors([])
+    try {
+      const imported = await importCooklangFiles(files)
+      setResult(imported)
+      setFiles([])
+      toast.success(imported.message)
+    } catch (error) {
+      console.error('Error importing files:', error)
+      setResult(error.response?.data?.failed ? { recipes: [], failed: error.response.data.failed } : null)
+      setErrors([error.response?.data?.error || 'Failed to import files'])
+    } finally {
+      setReading(false)
+    }
+  }
+
+  const handleSubmit = async (data) => {
+    setSaving(true)
+    setErrors([])
+    try {
+      const saved = await saveMyRecipe({ ...data, note: imported.note })
+      toast.success(`Saved "${saved.title}"`)
+      navigate('/my-recipes')
+    } catch (error) {
+      console.error('Error saving recipe:', error)
+      setErrors(error.response?.data?.errors || [error.response?.data?.error || 'Failed to save recipe'])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const startOver = () => {
+    setImported(null)
+    setErrors([])
+  }
+
+  if (!user) {
+    return (
+      <div className="animate-fade-in py-8">
+        <SignInForm title="Sign in to import recipes" message="Imported recipes are kept on your account." onSignedIn={setUser} />
+      </div>
+    )
+  }
+
+  return (
+    <div className="animate-fade-in max-w-4xl mx-auto">
+      <Link to="/my-recipes" className="inline-flex items-center gap-1 text-gray-500 hover:text-food-orange mb-4">
+        <ArrowLeft size={16} />
+        My Recipes
+      </Link>
+      <h1 className="text-3xl font-display font-bold mb-6">Import a recipe</h1>
+
+      {imported ? (
+        <>
+          <div className="mb-6 p-4 rounded-lg bg-orange-50 dark:bg-orange-900/20 flex flex-col md:flex-row md:items-center justify-between gap-3">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              {imported.note}. Check the amounts and steps below before saving; recipes from the web often pack several steps into one.
+            </p>
+            <button onClick={startOver} className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg flex items-center gap-1 shrink-0">
+              <RotateCcw size={14} />
+              Start over
+            </button>
+          </div>
+          <RecipeForm
+            recipe={imported.recipe}
+            onSubmit={handleSubmit}
+            onCancel={() => navigate('/my-recipes')}
+            saving={saving}
+            errors={errors}
+            submitLabel="Save to My Recipes"
+          />
+        </>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6">
+          <div className="flex gap-2 mb-4">
+            {FORMATS.map(({ key, label, icon: Icon }) => (
+              <button
+                key={key}
+                onClick={() => chooseFormat(key)}
+                className={`px-4 py-2 rounded-lg flex items-center gap-2 ${
+                  format === key ? 'bg-food-orange text-white' : 'border border-gray-300 dark:border-gray-600'
+                }`}
+              >
+                <Icon size={16} />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {format === 'web' ? (
+            <p className="text-gray-600 dark:text-gray-400 mb-4">
+              Most recipe sites describe their recipes for search engines (schema.org). Open the recipe, choose
+              View Page Source, copy everything and paste it here. A saved page or the recipe's JSON-LD works too.
+            </p>
+          ) : (
+            <p className="text-gray-600 dark:text-gray-400 mb-4">
+              Paste a Cooklang recipe or pick .cook files. One file opens in the editor first; several are
+              saved straight to My Recipes.
+            </p>
+          )}
+          <input
+            type="file"
+            multiple={format === 'cooklang'}
+            accept={format === 'cooklang' ? '.cook,text/plain' : '.html,.htm,.json,.jsonld,text/html,application/json'}
+            onChange={readFiles}
+            className="mb-3 text-sm w-full"
+          />
+
+          {files.length > 0 ? (
+            <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm">
+              <p className="font-medium mb-1">{files.length} files to import:</p>
+              <p className="text-gray-600 dark:text-gray-400">{files.map(file => file.name).join(', ')}</p>
+            </div>
+          ) : (
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              rows={12}
+              placeholder={format === 'cooklang'
+                ? '---\ntitle: Masala chai\nservings: 2\n---\n\nBoil @water{1%cup} with @ginger{1%inch}(crushed) for ~{2%minutes}.'
+                : '<html>... <script type="application/ld+json">{ "@type": "Recipe", ... }</script> ...'}
+              className="input-field font-mono text-xs"
+            />
+          )}
+
+          {errors.length > 0 && (
+            <div className="mt-3 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+              {errors.map((error, idx) => <p key={idx}>{error}</p>)}
+            </div>
+          )}
+
+          {result && (
+            <div className="mt-3 text-sm">
+              {result.recipes.length > 0 && (
+                <p className="text-green-700 dark:text-green-300">
+                  {result.message}: {result.recipes.map(recipe => recipe.title).join(', ')}.{' '}
+                  <Link to="/my-recipes" className="text-food-orange hover:underline">See My Recipes</Link>
+                </p>
+              )}
+              {result.failed.length > 0 && (
+                <div className="mt-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300">
+                  {result.failed.map((failure, idx) => (
+                    <p key={idx}><strong>{failure.name || `File ${idx + 1}`}:</strong> {failure.errors.join('; ')}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {files.length > 0 ? (
+            <button
+              onClick={importFiles}
+              disabled={reading}
+              className="mt-4 px-6 py-2 bg-food-orange text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+            >
+              {reading ? <Loader className="animate-spin" size={16} /> : <Upload size={16} />}
+              Import {files.length} recipes
+            </button>
+          ) : (
+            <button
+              onClick={readRecipe}
+              disabled={reading || !content.trim()}
+              className="mt-4 px-6 py-2 bg-food-orange text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+            >
+              {reading ? <Loader className="animate-spin" size={16} /> : <Download size={16} />}
+              Read recipe
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportRecipe
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { BookOpen, Plus, Clock, Users, Pencil, Trash2, Loader, LogOut, GitFork, History, Download } from 'lucide-react'
+import RecipeModal from '../components/RecipeModal'
+import SignInForm from '../components/SignInForm'
+import { getCurrentUser, signOut, onAuthChange } from '../utils/auth'
+import { DEFAULT_RECIPE_IMAGE, listMyRecipes, deleteMyRecipe } from '../utils/myRecipes'
+
+const MyRecipes = () => {
+  const [user, setUser] = useState(getCurrentUser)
+  const [recipes, setRecipes] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [selectedRecipe, setSelectedRecipe] = useState(null)
+
+  useEffect(() => onAuthChange(() => setUser(getCurrentUser())), [])
+
+  useEffect(() => {
+    if (user) loadRecipes()
+  }, [user])
+
+  const loadRecipes = async () => {
+    setLoading(true)
+    try {
+      setRecipes(await listMyRecipes())
+    } catch (error) {
+      console.error('Error loading recipes:', error)
+      toast.error(error.response?.data?.error || 'Failed to load your recipes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const removeRecipe = async (recipe) => {
+    if (!window.confirm(`Delete "${recipe.title}"? This can't be undone.`)) return
+
+    try {
+      await deleteMyRecipe(recipe.id)
+      setRecipes(prev => prev.filter(item => item.id !== recipe.id))
+      toast.success('Recipe deleted')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete recipe')
+    }
+  }
+
+  if (!user) {
+    return (
+      <div className="animate-fade-in py-8">
+        <SignInForm
+          title="My Recipes"
+          message="Sign in to write down your own recipes. They show up in your searches and the meal planner."
+          onSignedIn={setUser}
+        />
+      </div>
+    )
+  }
+
+  return (
+    <div className="animate-fade-in">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold mb-2">My Recipes</h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            {recipes.length} recipe{recipes.length !== 1 ? 's' : ''} • Signed in as {user.email}
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <Link to="/my-recipes/new" className="btn-primary inline-flex items-center gap-2">
+            <Plus size={18} />
+            New Recipe
+          </Link>
+          <Link to="/my-recipes/import" className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg flex items-center gap-2">
+            <Download size={16} />
+            Import
+          </Link>
+          <button onClick={signOut} className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg flex items-center gap-2">
+            <LogOut size={16} />
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">
+          <Loader className="animate-spin mx-auto text-food-orange" />
+        </div>
+      ) : recipes.length === 0 ? (
+        <div className="text-center py-16">
+          <div className="w-24 h-24 mx-auto mb-6 rounded-full bg-orange-100 dark:bg-orange-900/20 flex items-center justify-center">
+            <BookOpen className="w-12 h-12 text-food-orange" />
+          </div>
+          <h2 className="text-2xl font-display font-bold mb-4">No recipes yet</h2>
+          <p className="text-gray-600 dark:text-gray-400 mb-8 max-w-md mx-auto">
+            Write down the dishes you know by heart, like grandma's dal or your weeknight pasta.
+            They'll come up whenever you search with their ingredients.
+          </p>
+          <Link to="/my-recipes/new" className="inline-flex items-center gap-2 btn-primary">
+            <Plus />
+            Write your first recipe
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {recipes.map(recipe => (
+            <div key={recipe.id} className="recipe-card group">
+              <button onClick={() => setSelectedRecipe(recipe)} className="block w-full overflow-hidden">
+                <img
+                  src={recipe.image || DEFAULT_RECIPE_IMAGE}
+                  alt={recipe.title}
+                  className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-500"
+                />
+              </button>
+
+              <div className="p-5">
+                <div className="flex items-start justify-between gap-2 mb-1">
+                  <h3 className="font-bold text-lg line-clamp-2">{recipe.title}</h3>
+                  {recipe.version > 1 && (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                      v{recipe.version}
+                    </span>
+                  )}
+                </div>
+                {recipe.forkedFrom && (
+                  <p className="text-xs text-gray-500 mb-1 flex items-center gap-1">
+                    <GitFork size={12} />
+                    Based on {recipe.forkedFrom.title}
+                  </p>
+                )}
+                {recipe.description && (
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-3 line-clamp-2">{recipe.description}</p>
+                )}
+
+                <div className="flex items-center gap-4 text-gray-600 dark:text-gray-400 mb-4">
+                  <span className="flex items-center gap-1">
+                    <Clock size={16} />
+                    {recipe.prepTime} min
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <Users size={16} />
+                    {recipe.servings} servings
+                  </span>
+                  <span className="text-sm">{recipe.ingredients.length} ingredients</span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <button
+                    onClick={() => setSelectedRecipe(recipe)}
+                    className="text-food-orange hover:text-orange-600 font-medium"
+                  >
+                    View Recipe
+                  </button>
+                  <div className="flex gap-2">
+                    <Link to={`/my-recipes/${recipe.id}/history`} className="p-1 text-gray-400 hover:text-food-orange" aria-label="History">
+                      <History size={16} />
+                    </Link>
+                    <Link to={`/my-recipes/${recipe.id}/edit`} className="p-1 text-gray-400 hover:text-food-orange" aria-label="Edit">
+                      <Pencil size={16} />
+                    </Link>
+                    <button onClick={() => removeRecipe(recipe)} className="p-1 text-gray-400 hover:text-red-500" aria-label="Delete">
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedRecipe && (
+        <RecipeModal
+          recipeId={selectedRecipe.id}
+          source="mine"
+          onClose={() => setSelectedRecipe(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default MyRecipes
@@ -1,14 +1,24 @@
 import { useState, useEffect } from 'react'
-import { Calendar, ShoppingCart, Printer, Download, Plus, Trash2, ChefHat, Clock, Users, X } from 'lucide-react'
+import { Calendar, ShoppingCart, Printer, Download, Plus, Trash2, ChefHat, BookOpen, Clock, Users, X } from 'lucide-react'
 import toast from 'react-hot-toast'
 import { Link } from 'react-router-dom'
+import { api } from '../api/config'
+import { formatMeasure } from '../utils/ingredients'
+import { getUnitSystem, setUnitSystem } from '../utils/units'
+import { getStaples } from '../utils/staples'
+import { getCurrentUser, onAuthChange } from '../utils/auth'
+import { listMyRecipes, toRecipeCard } from '../utils/myRecipes'
 
 const Planner = () => {
   const [planner, setPlanner] = useState({})
   const [favorites, setFavorites] = useState([])
+  const [myRecipes, setMyRecipes] = useState([])
   const [shoppingList, setShoppingList] = useState([])
+  const [skippedStaples, setSkippedStaples] = useState([])
   const [showShoppingList, setShowShoppingList] = useState(false)
+  const [buildingList, setBuildingList] = useState(false)
   const [dragItem, setDragItem] = useState(null)
+  const [unitSystem, setUnitSystemState] = useState(getUnitSystem)
 
   const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
   const mealTypes = ['Breakfast', 'Lunch', 'Dinner']
@@ -16,6 +26,8 @@ const Planner = () => {
   useEffect(() => {
     loadPlanner()
     loadFavorites()
+    loadMyRecipes()
+    return onAuthChange(loadMyRecipes)
   }, [])
 
   useEffect(() => {
@@ -57,6 +69,21 @@ const Planner = () => {
     setFavorites(saved)
   }
 
+  // The user's own recipes live on their account, so only when signed in
+  const loadMyRecipes = async () => {
+    if (!getCurrentUser()) {
+      setMyRecipes([])
+      return
+    }
+    try {
+      const recipes = await listMyRecipes()
+      setMyRecipes(recipes.map(toRecipeCard))
+    } catch (error) {
+      console.error('Error loading my recipes:', error)
+      setMyRecipes([])
+    }
+  }
+
   const savePlanner = () => {
     localStorage.setItem('mealPlan', JSON.stringify(planner))
   }
@@ -151,7 +178,7 @@ const Planner = () => {
     }
   }
 
-  const generateShoppingList = () => {
+  const generateShoppingList = async () => {
     const allMeals = []
     daysOfWeek.forEach(day => {
       mealTypes.forEach(meal => {
@@ -166,33 +193,49 @@ const Planner = () => {
       return
     }
 
-    // Create a shopping list based on common ingredients
-    const commonIngredients = [
-      { name: 'Chicken Breast', amount: '500g', category: 'Meat', checked: false },
-      { name: 'Rice', amount: '2 cups', category: 'Grains', checked: false },
-      { name: 'Tomatoes', amount: '6 pieces', category: 'Vegetables', checked: false },
-      { name: 'Onions', amount: '3 pieces', category: 'Vegetables', checked: false },
-      { name: 'Garlic', amount: '1 bulb', category: 'Vegetables', checked: false },
-      { name: 'Olive Oil', amount: '1 bottle', category: 'Oils', checked: false },
-      { name: 'Salt', amount: 'To taste', category: 'Seasonings', checked: false },
-      { name: 'Black Pepper', amount: 'To taste', category: 'Seasonings', checked: false },
-      { name: 'Mixed Herbs', amount: '1 pack', category: 'Seasonings', checked: false },
-      { name: 'Eggs', amount: '12 pieces', category: 'Dairy', checked: false },
-      { name: 'Milk', amount: '1 liter', category: 'Dairy', checked: false },
-      { name: 'Bread', amount: '1 loaf', category: 'Bakery', checked: false },
-    ]
-
-    setShoppingList(commonIngredients)
-    setShowShoppingList(true)
-    toast.success(`Generated shopping list for ${allMeals.length} meals`)
+    // The backend merges every recipe's ingredients by name, so "tomatoes" and
+    // "thakkali" from two recipes end up on one line
+    setBuildingList(true)
+    try {
+      const lastSearch = JSON.parse(localStorage.getItem('lastIngredients') || '[]')
+      const response = await api.post('/api/recipes/shopping-list', {
+        meals: allMeals.map(meal => ({ id: meal.id, source: meal.source, title: meal.title })),
+        ingredients: lastSearch,
+        staples: getStaples() ?? undefined
+      })
+
+      const { items, skipped = [], staples = [] } = response.data
+      if (items.length === 0) {
+        toast.error("Couldn't find ingredients for the planned meals")
+        return
+      }
+
+      setShoppingList(items.map(item => ({
+        ...item,
+        name: item.name.replace(/\b\w/g, letter => letter.toUpperCase()),
+        checked: false
+      })))
+      setSkippedStaples(staples)
+      setShowShoppingList(true)
+      toast.success(`Generated shopping list for ${allMeals.length} meals`)
+      if (skipped.length > 0) {
+        toast(`Couldn't load ingredients for ${skipped.join(', ')}`, { icon: '⚠️' })
+      }
+    } catch (error) {
+      console.error('Error generating shopping list:', error)
+      toast.error(error.response?.data?.error || 'Failed to generate shopping list')
+    } finally {
+      setBuildingList(false)
+    }
   }
 
   const toggleShoppingItem = (index) => {
-    setShoppingList(prev => {
-      const updated = [...prev]
-      updated[index].checked = !updated[index].checked
-      return updated
-    })
+    setShoppingList(prev => prev.map((item, idx) => (idx === index ? { ...item, checked: !item.checked } : item)))
+  }
+
+  const changeUnitSystem = (system) => {
+    setUnitSystem(system)
+    setUnitSystemState(system)
   }
 
   const printShoppingList = () => {
@@ -233,7 +276,7 @@ const Planner = () => {
               ${items.map(item => `
                 <div class="item ${item.checked ? 'checked' : ''}">
                   <span>${item.checked ? '✓' : '□'} ${item.name}</span>
-                  <span>${item.amount}</span>
+                  <span>${formatMeasure(item, unitSystem)}</span>
                 </div>
               `).join('')}
             </div>
@@ -248,7 +291,7 @@ const Planner = () => {
 
   const downloadShoppingList = () => {
     const text = shoppingList.map(item => 
-      `[${item.checked ? 'X' : ' '}] ${item.name} - ${item.amount} (${item.category})`
+      `[${item.checked ? 'X' : ' '}] ${item.name} - ${formatMeasure(item, unitSystem)} (${item.category})`
     ).join('\n')
     
     const blob = new Blob([text], { type: 'text/plain' })
@@ -293,10 +336,11 @@ const Planner = () => {
         <div className="flex flex-wrap gap-3 mt-4 md:mt-0">
           <button
             onClick={generateShoppingList}
-            className="btn-primary flex items-center gap-2"
+            disabled={buildingList}
+            className="btn-primary flex items-center gap-2 disabled:opacity-50"
           >
             <ShoppingCart />
-            Generate Shopping List
+            {buildingList ? 'Building list...' : 'Generate Shopping List'}
           </button>
           <button
             onClick={clearAll}
@@ -391,7 +435,7 @@ const Planner = () => {
             <h3 className="text-lg font-bold mb-4">Meal Planning Tips</h3>
             <div className="grid md:grid-cols-2 gap-4">
               <ul className="space-y-2 text-gray-600 dark:text-gray-400">
-                <li>• Drag recipes from favorites to plan your week</li>
+                <li>• Drag recipes from favorites or your own recipes to plan your week</li>
                 <li>• Click a meal slot to clear it</li>
                 <li>• Generate shopping list for the entire week</li>
                 <li>• Plan 2-3 days at a time for flexibility</li>
@@ -430,36 +474,35 @@ const Planner = () => {
             ) : (
               <div className="space-y-4 max-h-[400px] overflow-y-auto pr-2">
                 {favorites.map(recipe => (
-                  <div
-                    key={recipe.id}
-                    draggable
-                    onDragStart={(e) => handleDragStart(e, recipe)}
-                    className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg cursor-move hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors group"
-                  >
-                    <div className="flex items-start gap-3">
-                      <img 
-                        src={recipe.image} 
-                        alt={recipe.title}
-                        className="w-12 h-12 rounded-lg object-cover flex-shrink-0"
-                      />
-                      <div className="flex-1 min-w-0">
-                        <h4 className="font-medium truncate">{recipe.title}</h4>
-                        <div className="flex items-center gap-3 text-sm text-gray-500 mt-1">
-                          <span className="flex items-center gap-1">
-                            <Clock size={12} />
-                            {recipe.readyInMinutes}m
-                          </span>
-                          <span className="flex items-center gap-1">
-                            <Users size={12} />
-                            {recipe.servings}
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                    <div className="text-xs text-gray-400 mt-2 text-center opacity-0 group-hover:opacity-100 transition-opacity">
-                      Drag to meal planner
-                    </div>
-                  </div>
+                  <SidebarRecipe key={recipe.id} recipe={recipe} onDragStart={handleDragStart} />
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* My Recipes */}
+          <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 mb-6">
+            <h3 className="text-lg font-bold mb-4 flex items-center gap-2">
+              <BookOpen className="text-food-orange" />
+              My Recipes
+              <span className="ml-auto text-sm text-gray-500">{myRecipes.length}</span>
+            </h3>
+
+            {myRecipes.length === 0 ? (
+              <div className="text-center py-6 text-gray-500">
+                <p className="mb-4">{getCurrentUser() ? 'No recipes of your own yet' : 'Sign in to plan with your own recipes'}</p>
+                <Link
+                  to={getCurrentUser() ? '/my-recipes/new' : '/my-recipes'}
+                  className="text-food-orange hover:underline inline-flex items-center gap-1"
+                >
+                  <Plus size={16} />
+                  {getCurrentUser() ? 'Write a recipe' : 'Sign in'}
+                </Link>
+              </div>
+            ) : (
+              <div className="space-y-4 max-h-[400px] overflow-y-auto pr-2">
+                {myRecipes.map(recipe => (
+                  <SidebarRecipe key={recipe.id} recipe={recipe} onDragStart={handleDragStart} />
                 ))}
               </div>
             )}
@@ -471,10 +514,11 @@ const Planner = () => {
             <div className="space-y-3">
               <button
                 onClick={generateShoppingList}
-                className="w-full flex items-center justify-center gap-2 bg-food-green hover:bg-green-600 text-white py-3 rounded-lg font-medium"
+                disabled={buildingList}
+                className="disabled:opacity-50 w-full flex items-center justify-center gap-2 bg-food-green hover:bg-green-600 text-white py-3 rounded-lg font-medium"
               >
                 <ShoppingCart size={18} />
-                Shopping List
+                {buildingList ? 'Building list...' : 'Shopping List'}
               </button>
               
               <button
@@ -511,37 +555,59 @@ const Planner = () => {
                   <X size={20} />
                 </button>
               </div>
-              <p className="text-gray-600 dark:text-gray-400 mt-2">
-                Everything you need for this week's meals
-              </p>
+              <div className="flex justify-between items-center mt-2">
+                <p className="text-gray-600 dark:text-gray-400">
+                  Everything you need for this week's meals
+                </p>
+                <div className="flex rounded-lg overflow-hidden border border-gray-200 dark:border-gray-600">
+                  {[['us', 'US'], ['metric', 'Metric']].map(([system, label]) => (
+                    <button
+                      key={system}
+                      onClick={() => changeUnitSystem(system)}
+                      className={`px-3 py-1 text-sm font-medium transition-colors ${
+                        unitSystem === system
+                          ? 'bg-food-orange text-white'
+                          : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
             
             <div className="p-6 overflow-y-auto max-h-[60vh]">
-              {shoppingList.reduce((acc, item) => {
+              {Object.entries(shoppingList.reduce((acc, item, index) => {
                 if (!acc[item.category]) acc[item.category] = []
-                acc[item.category].push(item)
+                acc[item.category].push({ ...item, index })
                 return acc
-              }, {}).map(([category, items]) => (
+              }, {})).map(([category, items]) => (
                 <div key={category} className="mb-6">
                   <h3 className="text-lg font-bold mb-3 pb-2 border-b border-gray-200 dark:border-gray-700">{category}</h3>
                   <div className="space-y-2">
-                    {items.map((item, idx) => (
-                      <div key={idx} className="flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg">
+                    {items.map(item => (
+                      <div key={item.index} className="flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg">
                         <div className="flex items-center gap-3">
                           <input 
                             type="checkbox" 
                             checked={item.checked}
-                            onChange={() => toggleShoppingItem(idx)}
+                            onChange={() => toggleShoppingItem(item.index)}
                             className="rounded text-food-orange focus:ring-food-orange"
                           />
                           <span className={item.checked ? 'line-through text-gray-400' : ''}>{item.name}</span>
                         </div>
-                        <span className={`text-gray-600 dark:text-gray-400 ${item.checked ? 'line-through' : ''}`}>{item.amount}</span>
+                        <span className={`text-gray-600 dark:text-gray-400 ${item.checked ? 'line-through' : ''}`}>{formatMeasure(item, unitSystem)}</span>
                       </div>
                     ))}
                   </div>
                 </div>
               ))}
+              {skippedStaples.length > 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Not included (pantry staples): {skippedStaples.join(', ')}
+                </p>
+              )}
             </div>
             
             <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-between">
@@ -572,6 +638,38 @@ const Planner = () => {
   )
 }
 
+const SidebarRecipe = ({ recipe, onDragStart }) => (
+  <div
+    draggable
+    onDragStart={(e) => onDragStart(e, recipe)}
+    className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg cursor-move hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors group"
+  >
+    <div className="flex items-start gap-3">
+      <img 
+        src={recipe.image} 
+        alt={recipe.title}
+        className="w-12 h-12 rounded-lg object-cover flex-shrink-0"
+      />
+      <div className="flex-1 min-w-0">
+        <h4 className="font-medium truncate">{recipe.title}</h4>
+        <div className="flex items-center gap-3 text-sm text-gray-500 mt-1">
+          <span className="flex items-center gap-1">
+            <Clock size={12} />
+            {recipe.readyInMinutes}m
+          </span>
+          <span className="flex items-center gap-1">
+            <Users size={12} />
+            {recipe.servings}
+          </span>
+        </div>
+      </div>
+    </div>
+    <div className="text-xs text-gray-400 mt-2 text-center opacity-0 group-hover:opacity-100 transition-opacity">
+      Drag to meal planner
+    </div>
+  </div>
+)
+
 const DayColumn = ({ day, planner, getDayColor, onDrop, onDragOver, clearSlot, clearDay }) => {
   return (
     <div className={`rounded-2xl shadow-lg overflow-hidden ${getDayColor(day)}`}>
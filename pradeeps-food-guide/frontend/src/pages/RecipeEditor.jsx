@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { ArrowLeft, Loader } from 'lucide-react'
+import RecipeForm from '../components/RecipeForm'
+import SignInForm from '../components/SignInForm'
+import { getCurrentUser, onAuthChange } from '../utils/auth'
+import { emptyRecipe, getMyRecipe, saveMyRecipe } from '../utils/myRecipes'
+
+// /my-recipes/new and /my-recipes/:id/edit
+const RecipeEditor = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [user, setUser] = useState(getCurrentUser)
+  const [recipe, setRecipe] = useState(() => (id ? null : emptyRecipe()))
+  const [saving, setSaving] = useState(false)
+  const [errors, setErrors] = useState([])
+  // Shown in the version history, e.g. "less chilli"
+  const [note, setNote] = useState('')
+
+  useEffect(() => onAuthChange(() => setUser(getCurrentUser())), [])
+
+  useEffect(() => {
+    if (!user || !id) return
+    getMyRecipe(id)
+      .then(setRecipe)
+      .catch(error => {
+        console.error('Error loading recipe:', error)
+        toast.error(error.response?.data?.error || 'Failed to load recipe')
+        navigate('/my-recipes')
+      })
+  }, [user, id])
+
+  const handleSubmit = async (data) => {
+    setSaving(true)
+    setErrors([])
+    try {
+      const saved = await saveMyRecipe(id ? { ...data, note } : data, id)
+      toast.success(`Saved "${saved.title}"`)
+      navigate('/my-recipes')
+    } catch (error) {
+      console.error('Error saving recipe:', error)
+      setErrors(error.response?.data?.errors || [error.response?.data?.error || 'Failed to save recipe'])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!user) {
+    return (
+      <div className="animate-fade-in py-8">
+        <SignInForm title="Sign in to save recipes" message="Your own recipes are kept on your account." onSignedIn={setUser} />
+      </div>
+    )
+  }
+
+  return (
+    <div className="animate-fade-in max-w-4xl mx-auto">
+      <Link to="/my-recipes" className="inline-flex items-center gap-1 text-gray-500 hover:text-food-orange mb-4">
+        <ArrowLeft size={16} />
+        My Recipes
+      </Link>
+      <h1 className="text-3xl font-display font-bold mb-6">{id ? 'Edit recipe' : 'New recipe'}</h1>
+
+      {recipe && id && (
+        <div className="mb-6">
+          <label className="block text-sm font-medium mb-1">What did you change? <span className="text-gray-400">(optional)</span></label>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={200}
+            placeholder="e.g. Less chilli, added a step for resting the dough"
+            className="input-field"
+          />
+        </div>
+      )}
+
+      {recipe ? (
+        <RecipeForm
+          recipe={recipe}
+          onSubmit={handleSubmit}
+          onCancel={() => navigate('/my-recipes')}
+          saving={saving}
+          errors={errors}
+        />
+      ) : (
+        <div className="text-center py-12">
+          <Loader className="animate-spin mx-auto text-food-orange" />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecipeEditor
@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { ArrowLeft, GitFork, GitCompare, History, Pencil, RotateCcw, Loader } from 'lucide-react'
+import SignInForm from '../components/SignInForm'
+import { getCurrentUser, onAuthChange } from '../utils/auth'
+import { getMyRecipe, listVersions, compareVersions, revertToVersion } from '../utils/myRecipes'
+
+const CHANGE_STYLES = {
+  added: 'text-green-700 dark:text-green-400',
+  removed: 'text-red-600 dark:text-red-400',
+  changed: 'text-yellow-700 dark:text-yellow-400'
+}
+
+const CHANGE_MARKS = { added: '+', removed: '−', changed: '~' }
+
+// Steps and descriptions are too long for the summary line, so their text is shown below it
+const ChangeList = ({ changes }) => {
+  if (changes.length === 0) {
+    return <p className="text-sm text-gray-500">No differences</p>
+  }
+
+  return (
+    <ul className="space-y-1 text-sm">
+      {changes.map((change, idx) => (
+        <li key={idx} className={CHANGE_STYLES[change.type]}>
+          <span className="font-mono mr-2">{CHANGE_MARKS[change.type]}</span>
+          {change.summary}
+          {['instructions', 'description', 'tips'].includes(change.field) && (
+            <div className="ml-6 text-gray-600 dark:text-gray-400">
+              {change.from && <div className="line-through">{change.from}</div>}
+              {change.to && <div>{change.to}</div>}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// /my-recipes/:id/history
+const RecipeHistory = () => {
+  const { id } = useParams()
+  const [user, setUser] = useState(getCurrentUser)
+  const [recipe, setRecipe] = useState(null)
+  const [history, setHistory] = useState(null)
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [comparison, setComparison] = useState(null)
+  const [restoring, setRestoring] = useState(null)
+
+  useEffect(() => onAuthChange(() => setUser(getCurrentUser())), [])
+
+  useEffect(() => {
+    if (user) loadHistory()
+  }, [user, id])
+
+  const loadHistory = async () => {
+    try {
+      const [saved, versions] = await Promise.all([getMyRecipe(id), listVersions(id)])
+      setRecipe(saved)
+      setHistory(versions)
+      setTo(String(versions.current))
+      setFrom(String(versions.versions[1]?.version ?? versions.current))
+      setComparison(null)
+    } catch (error) {
+      console.error('Error loading history:', error)
+      toast.error(error.response?.data?.error || 'Failed to load version history')
+    }
+  }
+
+  const compare = async () => {
+    try {
+      const changes = await compareVersions(id, from, to)
+      setComparison({ from, to, changes })
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to compare versions')
+    }
+  }
+
+  const restore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? It will be saved as a new version, so you can always come back.`)) return
+
+    setRestoring(version)
+    try {
+      const result = await revertToVersion(id, version)
+      toast.success(result.message)
+      await loadHistory()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore version')
+    } finally {
+      setRestoring(null)
+    }
+  }
+
+  if (!user) {
+    return (
+      <div className="animate-fade-in py-8">
+        <SignInForm title="Sign in" message="Sign in to see the history of your recipes." onSignedIn={setUser} />
+      </div>
+    )
+  }
+
+  if (!recipe || !history) {
+    return (
+      <div className="text-center py-12">
+        <Loader className="animate-spin mx-auto text-food-orange" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="animate-fade-in max-w-4xl mx-auto">
+      <Link to="/my-recipes" className="inline-flex items-center gap-1 text-gray-500 hover:text-food-orange mb-4">
+        <ArrowLeft size={16} />
+        My Recipes
+      </Link>
+
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold mb-1 flex items-center gap-3">
+            <History className="text-food-orange" />
+            {recipe.title}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Version {history.current} • {history.versions.length} saved version{history.versions.length !== 1 ? 's' : ''}
+            {history.forkedFrom && (
+              <span className="inline-flex items-center gap-1 ml-2">
+                <GitFork size={14} />
+                Based on {history.forkedFrom.title}
+              </span>
+            )}
+          </p>
+        </div>
+        <Link to={`/my-recipes/${id}/edit`} className="btn-primary inline-flex items-center gap-2">
+          <Pencil size={16} />
+          Edit
+        </Link>
+      </div>
+
+      {history.versions.length > 1 && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 mb-6">
+          <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+            <GitCompare size={20} />
+            Compare versions
+          </h2>
+          <div className="flex flex-wrap items-center gap-3">
+            <select value={from} onChange={(e) => setFrom(e.target.value)} className="input-field w-auto">
+              {history.versions.map(entry => <option key={entry.version} value={entry.version}>Version {entry.version}</option>)}
+            </select>
+            <span className="text-gray-500">→</span>
+            <select value={to} onChange={(e) => setTo(e.target.value)} className="input-field w-auto">
+              {history.versions.map(entry => <option key={entry.version} value={entry.version}>Version {entry.version}</option>)}
+            </select>
+            <button onClick={compare} className="px-4 py-2 bg-food-orange text-white rounded-lg">
+              Compare
+            </button>
+          </div>
+          {comparison && (
+            <div className="mt-4">
+              <p className="text-sm font-medium mb-2">From version {comparison.from} to version {comparison.to}:</p>
+              <ChangeList changes={comparison.changes} />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {history.versions.map(entry => (
+          <div key={entry.version} className="bg-white dark:bg-gray-800 rounded-2xl shadow p-5">
+            <div className="flex justify-between items-start gap-4 mb-2">
+              <div>
+                <h3 className="font-bold">
+                  Version {entry.version}
+                  {entry.version === history.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">current</span>
+                  )}
+                </h3>
+                <p className="text-sm text-gray-500">
+                  {new Date(entry.savedAt).toLocaleString()}{entry.note ? ` • ${entry.note}` : ''}
+                </p>
+              </div>
+              {entry.version !== history.current && (
+                <button
+                  onClick={() => restore(entry.version)}
+                  disabled={restoring !== null}
+                  className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg flex items-center gap-1 hover:border-food-orange disabled:opacity-50"
+                >
+                  {restoring === entry.version ? <Loader className="animate-spin" size={14} /> : <RotateCcw size={14} />}
+                  Restore
+                </button>
+              )}
+            </div>
+            {entry.changes.length > 0 && <ChangeList changes={entry.changes} />}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default RecipeHistory
@@ -0,0 +1,45 @@
+// Signed-in account, kept per browser. The token is what api/config.js sends
+// as the Bearer header; the user is kept alongside it for the UI (name, role).
+import { api } from '../api/config'
+
+const AUTH_EVENT = 'auth-change'
+
+export const getCurrentUser = () => {
+  if (!localStorage.getItem('token')) return null
+  try {
+    return JSON.parse(localStorage.getItem('user'))
+  } catch (e) {
+    return null
+  }
+}
+
+export const isAdmin = (user = getCurrentUser()) => user?.role === 'admin'
+
+const remember = ({ token, user }) => {
+  localStorage.setItem('token', token)
+  localStorage.setItem('user', JSON.stringify(user))
+  window.dispatchEvent(new Event(AUTH_EVENT))
+  return user
+}
+
+export const signIn = async (email, password) => {
+  const response = await api.post('/api/auth/login', { email, password })
+  return remember(response.data)
+}
+
+export const register = async (email, password, name) => {
+  const response = await api.post('/api/auth/register', { email, password, name })
+  return remember(response.data)
+}
+
+export const signOut = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('user')
+  window.dispatchEvent(new Event(AUTH_EVENT))
+}
+
+// Calls `callback` whenever someone signs in or out; returns the unsubscribe function
+export const onAuthChange = (callback) => {
+  window.addEventListener(AUTH_EVENT, callback)
+  return () => window.removeEventListener(AUTH_EVENT, callback)
+}
@@ -0,0 +1,23 @@
+// Cooklang (.cook) files: plain-text recipes with ingredients, cookware and
+// timers marked in the steps, so a team can keep its recipes in git
+import { api } from '../api/config'
+
+// A recipe as the recipe view shows it → { filename, cooklang }
+export const exportCooklang = async (recipe) => {
+  const response = await api.post('/api/recipes/export/cooklang', { recipe })
+  return { filename: response.data.filename, cooklang: response.data.cooklang }
+}
+
+// Picked files → [{ name, content }] for the import endpoints
+export const readCooklangFiles = (files) => Promise.all(Array.from(files).map(file => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve({ name: file.name, content: String(reader.result) })
+  reader.onerror = () => reject(reader.error)
+  reader.readAsText(file)
+})))
+
+// Saves every file that makes a valid recipe: { message, recipes, failed: [{ name, errors }] }
+export const importCooklangFiles = async (files) => {
+  const response = await api.post('/api/users/recipes/import/cooklang', { files })
+  return response.data
+}
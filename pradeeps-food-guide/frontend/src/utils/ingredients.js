@@ -0,0 +1,72 @@
+// Display and scaling for the structured ingredients the backend sends
+// ({ name, original, amount, amountMax, unit, preparation }). Parsing happens
+// server-side; lines without an amount ("salt - to taste") are shown as-is.
+import { convertIngredient, convertMeasure } from './units'
+
+const FRACTIONS = [
+  [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+  [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞']
+];
+
+// Units that read better as fractions than decimals
+const FRACTION_UNITS = ['tsp', 'tbsp', 'cup', 'pinch', 'dash', 'can', 'stick', null];
+
+const ABBREVIATED = ['tsp', 'tbsp', 'fl oz', 'ml', 'l', 'g', 'kg', 'mg', 'oz', 'lb'];
+
+// 1.5 → "1 ½", 0.333 → "⅓", 2.25 (g) → "2.25"
+export const formatAmount = (amount, unit = null) => {
+  if (amount === null || amount === undefined) return ''
+
+  if (FRACTION_UNITS.includes(unit)) {
+    const whole = Math.floor(amount)
+    const rest = amount - whole
+    const fraction = FRACTIONS.find(([value]) => Math.abs(value - rest) < 0.04)
+
+    if (rest < 0.04) return String(whole || amount.toFixed(2).replace(/\.?0+$/, ''))
+    if (1 - rest < 0.04) return String(whole + 1)
+    if (fraction) return whole > 0 ? `${whole} ${fraction[1]}` : fraction[1]
+  }
+
+  // Grams and millilitres don't need decimals once they're large
+  const rounded = amount >= 10 ? Math.round(amount) : Math.round(amount * 100) / 100
+  return String(rounded)
+}
+
+const formatUnit = (unit, amount) => {
+  if (!unit) return ''
+  if (ABBREVIATED.includes(unit) || amount <= 1) return unit
+  return /(?:ch|sh|s)$/.test(unit) ? `${unit}es` : `${unit}s`
+}
+
+// "1 ½ cups all-purpose flour, sifted"
+export const formatIngredient = (ingredient) => {
+  if (ingredient.amount === null || ingredient.amount === undefined) {
+    return ingredient.original || ingredient.name
+  }
+
+  const { amount, amountMax, unit, name, preparation } = ingredient
+  const quantity = amountMax
+    ? `${formatAmount(amount, unit)}-${formatAmount(amountMax, unit)}`
+    : formatAmount(amount, unit)
+
+  return [quantity, formatUnit(unit, amountMax ?? amount), name].filter(part => part).join(' ') +
+    (preparation ? `, ${preparation}` : '')
+}
+
+// "500 g" / "1.1 lb" for lists that show the quantity on its own
+export const formatMeasure = ({ amount, unit, name }, system = 'us') => {
+  if (amount === null || amount === undefined) return 'To taste'
+  const measure = convertMeasure({ amount, unit }, system, name)
+  return [formatAmount(measure.amount, measure.unit), formatUnit(measure.unit, measure.amount)].filter(part => part).join(' ')
+}
+
+// Scales by `factor` and then converts into the preferred unit system
+export const scaleIngredient = (ingredient, factor, system = 'us') => {
+  const scale = (value) => (value === null || value === undefined ? value : value * factor)
+  const scaled = convertIngredient({
+    ...ingredient,
+    amount: scale(ingredient.amount),
+    amountMax: scale(ingredient.amountMax)
+  }, system)
+  return { ...scaled, display: formatIngredient(scaled) }
+}
@@ -0,0 +1,78 @@
+// "My Recipes": recipes the signed-in user wrote, stored on their account.
+// Ingredients are { amount, unit, name, preparation } and steps { text, minutes }.
+import { api } from '../api/config'
+
+export const DEFAULT_RECIPE_IMAGE = 'https://images.unsplash.com/photo-1490818387583-1baba5e638af?w=312&h=231&fit=crop&q=80'
+
+export const emptyRecipe = () => ({
+  title: '',
+  description: '',
+  image: '',
+  prepTime: 30,
+  servings: 2,
+  ingredients: [{ amount: '', unit: '', name: '', preparation: '' }],
+  instructions: [{ text: '', minutes: '' }, { text: '', minutes: '' }],
+  tips: ''
+})
+
+export const listMyRecipes = async () => {
+  const response = await api.get('/api/users/recipes')
+  return response.data.recipes || []
+}
+
+export const getMyRecipe = async (id) => {
+  const response = await api.get(`/api/users/recipes/${id}`)
+  return response.data.recipe
+}
+
+// Creates the recipe, or replaces it when `id` is given
+export const saveMyRecipe = async (recipe, id = null) => {
+  const response = id
+    ? await api.put(`/api/users/recipes/${id}`, recipe)
+    : await api.post('/api/users/recipes', recipe)
+  return response.data.recipe
+}
+
+export const deleteMyRecipe = (id) => api.delete(`/api/users/recipes/${id}`)
+
+// Reads a recipe from a page's HTML source or JSON-LD (or a Cooklang file with
+// { format: 'cooklang', name }) without saving it: { recipe, note } where note
+// says where it came from, for saveMyRecipe
+export const previewImport = async (content, options = {}) => {
+  const response = await api.post('/api/users/recipes/import/preview', { content, ...options })
+  return { recipe: response.data.recipe, note: response.data.note }
+}
+
+// "Save my version": copies a recipe, customized with the same options as
+// /api/recipes/:id/customize, into My Recipes
+export const forkRecipe = async (id, options) => {
+  const response = await api.post(`/api/recipes/${id}/fork`, options)
+  return response.data.recipe
+}
+
+// Version history, newest first: { current, forkedFrom, versions: [{ version, note, changes, savedAt }] }
+export const listVersions = async (id) => {
+  const response = await api.get(`/api/users/recipes/${id}/versions`)
+  return response.data
+}
+
+export const compareVersions = async (id, from, to) => {
+  const response = await api.get(`/api/users/recipes/${id}/compare`, { params: { from, to } })
+  return response.data.changes
+}
+
+export const revertToVersion = async (id, version) => {
+  const response = await api.post(`/api/users/recipes/${id}/revert`, { version })
+  return response.data
+}
+
+// Card shape used by the planner and favorites
+export const toRecipeCard = (recipe) => ({
+  id: recipe.id,
+  title: recipe.title,
+  image: recipe.image || DEFAULT_RECIPE_IMAGE,
+  readyInMinutes: recipe.prepTime,
+  servings: recipe.servings,
+  summary: recipe.description,
+  source: 'mine'
+})
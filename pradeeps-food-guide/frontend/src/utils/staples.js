@@ -0,0 +1,36 @@
+// Pantry staples: ingredients the user always has (salt, oil ...), counted as
+// available when matching recipes and left off shopping lists. Kept per
+// browser like the unit system; null means the backend's default list. When
+// signed in, changes are saved to the account as well.
+import { api } from '../api/config'
+
+export const getStaples = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem('pantryStaples'))
+    return Array.isArray(saved) ? saved : null
+  } catch (e) {
+    return null
+  }
+}
+
+export const setStaples = async (staples) => {
+  if (staples === null) {
+    localStorage.removeItem('pantryStaples')
+  } else {
+    localStorage.setItem('pantryStaples', JSON.stringify(staples))
+  }
+
+  if (localStorage.getItem('token')) {
+    try {
+      await api.put('/api/users/staples', { staples })
+    } catch (error) {
+      console.error('Failed to save staples to account:', error)
+    }
+  }
+}
+
+// For query strings: undefined lets the backend use the account's or default list
+export const staplesParam = () => {
+  const staples = getStaples()
+  return staples ? staples.join(',') : undefined
+}
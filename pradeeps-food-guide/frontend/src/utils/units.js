@@ -0,0 +1,148 @@
+// Unit conversion between US and metric measures. Unit names are the canonical
+// ones the backend parser produces (tsp, tbsp, cup, ml, g, oz, lb ...).
+// Count units (clove, can, piece ...) are the same in both systems.
+
+export const UNIT_SYSTEMS = ['us', 'metric']
+
+// Size of each unit in millilitres (volume) or grams (weight)
+const UNITS = {
+  tsp: { type: 'volume', system: 'both', base: 4.92892 },
+  tbsp: { type: 'volume', system: 'both', base: 14.7868 },
+  'fl oz': { type: 'volume', system: 'us', base: 29.5735 },
+  cup: { type: 'volume', system: 'us', base: 236.588 },
+  pint: { type: 'volume', system: 'us', base: 473.176 },
+  quart: { type: 'volume', system: 'us', base: 946.353 },
+  gallon: { type: 'volume', system: 'us', base: 3785.41 },
+  ml: { type: 'volume', system: 'metric', base: 1 },
+  l: { type: 'volume', system: 'metric', base: 1000 },
+  mg: { type: 'weight', system: 'metric', base: 0.001 },
+  g: { type: 'weight', system: 'metric', base: 1 },
+  kg: { type: 'weight', system: 'metric', base: 1000 },
+  oz: { type: 'weight', system: 'us', base: 28.3495 },
+  lb: { type: 'weight', system: 'us', base: 453.592 }
+}
+
+// Grams per US cup for dry and solid staples, so "2 cups flour" can become
+// grams (and back). Liquids aren't listed: they convert to millilitres, and
+// neither is whole produce, which is weighed rather than measured in cups.
+const DENSITIES = [
+  ['all-purpose flour', 125], ['whole wheat flour', 120], ['bread flour', 127], ['rice flour', 158],
+  ['gram flour', 92], ['besan', 92], ['maida', 125], ['atta', 120], ['flour', 125],
+  ['brown sugar', 213], ['powdered sugar', 120], ['icing sugar', 120], ['caster sugar', 225], ['sugar', 200],
+  ['jaggery', 200], ['cocoa', 85], ['baking powder', 230], ['baking soda', 230], ['cream of tartar', 150], ['salt', 292],
+  ['basmati rice', 185], ['rice', 185], ['rolled oats', 90], ['oats', 90], ['quinoa', 170],
+  ['semolina', 167], ['rava', 167], ['sooji', 167], ['couscous', 173], ['breadcrumbs', 108],
+  ['lentils', 192], ['dal', 192], ['chickpeas', 164], ['beans', 180], ['peas', 145],
+  ['peanut butter', 258], ['butter', 227], ['ghee', 205], ['cream cheese', 232], ['cheese', 113], ['paneer', 150],
+  ['yogurt', 245], ['curd', 245], ['honey', 340], ['almonds', 143], ['cashews', 137], ['nuts', 140],
+  ['raisins', 145], ['chocolate chips', 170], ['coconut', 80]
+]
+
+// "coconut milk", "peanut oil" ... are liquids even though they start like a
+// staple. Only the last word counts, so "cream cheese" and "cream of tartar" aren't.
+const LIQUID = /\b(?:milk|oil|water|juice|stock|broth|sauce|cream|vinegar|syrup|extract)s?$/
+
+// The staple named last wins, as that's what the ingredient is ("salted butter"
+// is butter, "sugar snap peas" are peas); then the longest ("brown sugar", not "sugar")
+const densityFor = (name = '') => {
+  const lower = name.toLowerCase().trim()
+  if (LIQUID.test(lower)) return null
+
+  let best = null
+  DENSITIES.forEach(([key, density]) => {
+    const match = lower.match(new RegExp(`\\b${key}s?\\b`))
+    if (!match) return
+    const end = match.index + match[0].length
+    if (!best || end > best.end || (end === best.end && key.length > best.key.length)) best = { key, density, end }
+  })
+  return best ? best.density : null
+}
+
+const roundTo = (value, step) => Math.round(value / step) * step
+
+// Keep metric numbers kitchen-friendly: 237 ml → 240 ml, 4.7 g → 4.7 g
+const roundMetric = (value) => {
+  if (value >= 100) return roundTo(value, 5)
+  if (value >= 10) return Math.round(value)
+  return Math.round(value * 10) / 10
+}
+
+const toMetric = (amount, unit, name) => {
+  const info = UNITS[unit]
+
+  if (info.type === 'weight') {
+    const grams = amount * info.base
+    return grams >= 1000 ? { amount: Math.round(grams / 10) / 100, unit: 'kg' } : { amount: roundMetric(grams), unit: 'g' }
+  }
+
+  const ml = amount * info.base
+  const density = densityFor(name)
+  if (density) return { amount: roundMetric((ml / UNITS.cup.base) * density), unit: 'g' }
+  return ml >= 1000 ? { amount: Math.round(ml / 10) / 100, unit: 'l' } : { amount: roundMetric(ml), unit: 'ml' }
+}
+
+// Pick the US unit a cook would use for this much
+const toUs = (amount, unit, name) => {
+  const info = UNITS[unit]
+  let ml = info.type === 'volume' ? amount * info.base : null
+
+  if (info.type === 'weight') {
+    const grams = amount * info.base
+    const density = densityFor(name)
+    if (!density) {
+      const ounces = grams / UNITS.oz.base
+      return ounces >= 16 ? { amount: Math.round((ounces / 16) * 100) / 100, unit: 'lb' } : { amount: Math.round(ounces * 10) / 10, unit: 'oz' }
+    }
+    ml = (grams / density) * UNITS.cup.base
+  }
+
+  if (ml < UNITS.tbsp.base) return { amount: roundTo(ml / UNITS.tsp.base, 0.25), unit: 'tsp' }
+  if (ml < UNITS.cup.base / 4) return { amount: roundTo(ml / UNITS.tbsp.base, 0.5), unit: 'tbsp' }
+  return { amount: roundTo(ml / UNITS.cup.base, 0.125), unit: 'cup' }
+}
+
+// { amount, unit } in the requested system; unknown and count units come back unchanged
+export const convertMeasure = ({ amount, unit }, system, name) => {
+  const info = UNITS[unit]
+  if (amount === null || amount === undefined || !info) return { amount, unit }
+  if (info.system === 'both' || info.system === system) return { amount, unit }
+
+  return system === 'metric' ? toMetric(amount, unit, name) : toUs(amount, unit, name)
+}
+
+// Converts an ingredient's amount (and the top of a range) into `system`
+export const convertIngredient = (ingredient, system) => {
+  const { amount, unit } = convertMeasure(ingredient, system, ingredient.name)
+  if (unit === ingredient.unit) return ingredient
+
+  const amountMax = ingredient.amountMax
+    ? convertMeasure({ amount: ingredient.amountMax, unit: ingredient.unit }, system, ingredient.name).amount
+    : ingredient.amountMax
+
+  return { ...ingredient, amount, amountMax, unit }
+}
+
+// "Bake at 350°F" ⇄ "Bake at 180°C" inside instruction text; oven dials
+// go in 25°F / 5°C steps
+const TEMPERATURE = /(\d{2,3})\s*(?:°\s*|degrees?\s+)(F|C|Fahrenheit|Celsius)\b/gi
+
+export const convertTemperatures = (text, system) => {
+  if (!text) return text
+
+  return text.replace(TEMPERATURE, (match, value, scale) => {
+    const fahrenheit = scale[0].toUpperCase() === 'F'
+    if (fahrenheit && system === 'metric') return `${roundTo(((value - 32) * 5) / 9, 5)}°C`
+    if (!fahrenheit && system === 'us') return `${roundTo((value * 9) / 5 + 32, 25)}°F`
+    return match
+  })
+}
+
+// Preference is kept per browser like favorites and the meal plan
+export const getUnitSystem = () => {
+  const saved = localStorage.getItem('unitSystem')
+  return UNIT_SYSTEMS.includes(saved) ? saved : 'us'
+}
+
+export const setUnitSystem = (system) => {
+  localStorage.setItem('unitSystem', system)
+}